@@ -0,0 +1,456 @@
+/**
+ * HTTP API Routes
+ * REST endpoints for reviewing past calls, served by the same HTTP server as the WebSockets
+ *
+ *   GET /api/sessions/:token/calls      - List a student's calls (?limit, ?offset, ?from, ?to)
+ *   GET /api/calls/:callSid             - Full turn-by-turn transcript
+ *   GET /api/calls/:callSid/export      - Download as ?format=json|text|csv
+ *   POST /api/sessions/:token/invalidate - Drop cached settings after the student saves changes
+ *   POST /api/sessions/:token/signed-token - Issue a signed, expiring session token (workshop app / instructor)
+ *   GET /api/sessions/:token/callers/:caller/memory    - What the student's agent remembers about a caller
+ *   DELETE /api/sessions/:token/callers/:caller/memory - Forget a caller
+ *   POST /api/sessions/:token/replay    - Replay a call's caller turns with a changed config
+ */
+
+import { listCalls, getCallTranscript, getCallerMemory, deleteCallerMemory } from './database.js';
+import { getRequestCredential, canAccessSession, isSettingsWebhookSecret, isInstructorKey, signSessionToken } from './auth.js';
+import { invalidateStudentConfig, SettingsUnavailableError } from './settings-loader.js';
+import { StudentConfigError } from './student-config.js';
+import { runReplay, ReplayError } from './call-replay.js';
+import { createLogger, sessionPrefix } from './logger.js';
+
+const log = createLogger('api');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SESSION_TOKEN_TTL_SECONDS = parseInt(process.env.SESSION_TOKEN_TTL_SECONDS || '43200', 10);
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const routes = [
+  { method: 'GET', pattern: /^\/api\/sessions\/([^/]+)\/calls$/, handler: listSessionCalls },
+  { method: 'GET', pattern: /^\/api\/calls\/([^/]+)$/, handler: getCall },
+  { method: 'GET', pattern: /^\/api\/calls\/([^/]+)\/export$/, handler: exportCall },
+  { method: 'POST', pattern: /^\/api\/sessions\/([^/]+)\/invalidate$/, handler: invalidateSessionSettings },
+  { method: 'POST', pattern: /^\/api\/sessions\/([^/]+)\/signed-token$/, handler: issueSignedToken },
+  { method: 'GET', pattern: /^\/api\/sessions\/([^/]+)\/callers\/([^/]+)\/memory$/, handler: getCallerMemoryRoute },
+  { method: 'DELETE', pattern: /^\/api\/sessions\/([^/]+)\/callers\/([^/]+)\/memory$/, handler: deleteCallerMemoryRoute },
+  { method: 'POST', pattern: /^\/api\/sessions\/([^/]+)\/replay$/, handler: replaySessionCall }
+];
+
+/**
+ * Handle a request under /api/
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {Object} options - { requestCredentialsFn } for routes that call the student's model
+ */
+export async function handleApiRequest(req, res, options = {}) {
+  const url = new URL(req.url, 'http://localhost');
+
+  // Allow the workshop app to call the API from the browser
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  // A path can have a route per method (e.g. GET and DELETE on caller memory)
+  const pathRoutes = routes.filter(route => route.pattern.test(url.pathname));
+  if (pathRoutes.length > 0) {
+    const route = pathRoutes.find(route => route.method === req.method);
+    if (!route) {
+      sendJson(res, 405, { success: false, error: 'Method not allowed' });
+      return;
+    }
+
+    const match = url.pathname.match(route.pattern);
+
+    const credential = getRequestCredential(req, url);
+    if (!credential) {
+      sendJson(res, 401, { success: false, error: 'Session token or instructor key required' });
+      return;
+    }
+
+    let params;
+    try {
+      params = match.slice(1).map(decodeURIComponent);
+    } catch (error) {
+      sendJson(res, 400, { success: false, error: 'Malformed URL encoding' });
+      return;
+    }
+
+    try {
+      await route.handler({ req, res, url, params, credential, options });
+    } catch (error) {
+      log.error('API error', { path: url.pathname, error });
+      sendJson(res, 500, { success: false, error: 'Server error' });
+    }
+    return;
+  }
+
+  sendJson(res, 404, { success: false, error: 'Not found' });
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+export function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// GET /api/sessions/:token/calls
+async function listSessionCalls({ res, url, params, credential }) {
+  const [sessionToken] = params;
+
+  if (!canAccessSession(credential, sessionToken)) {
+    sendJson(res, 403, { success: false, error: 'Not allowed to view this session' });
+    return;
+  }
+
+  const limit = parseInteger(url.searchParams.get('limit'), DEFAULT_PAGE_SIZE);
+  const offset = parseInteger(url.searchParams.get('offset'), 0);
+  const from = parseDate(url.searchParams.get('from'));
+  const to = parseDate(url.searchParams.get('to'));
+
+  if (limit === null || limit < 1 || offset === null || offset < 0) {
+    sendJson(res, 400, { success: false, error: 'limit and offset must be non-negative integers' });
+    return;
+  }
+  if (from === undefined || to === undefined) {
+    sendJson(res, 400, { success: false, error: 'from and to must be valid dates' });
+    return;
+  }
+
+  const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+  const { calls, total } = await listCalls(sessionToken, { limit: pageSize, offset, from, to });
+
+  sendJson(res, 200, {
+    success: true,
+    calls: calls.map(formatCall),
+    paging: {
+      limit: pageSize,
+      offset,
+      total,
+      hasMore: offset + calls.length < total
+    }
+  });
+}
+
+// GET /api/calls/:callSid
+async function getCall({ res, params, credential }) {
+  const call = await loadAuthorizedCall(res, params[0], credential);
+  if (!call) return;
+
+  sendJson(res, 200, {
+    success: true,
+    call: formatTranscript(call)
+  });
+}
+
+// GET /api/calls/:callSid/export?format=json|text|csv
+async function exportCall({ res, url, params, credential }) {
+  const format = url.searchParams.get('format') || 'json';
+  if (!['json', 'text', 'csv'].includes(format)) {
+    sendJson(res, 400, { success: false, error: 'format must be json, text or csv' });
+    return;
+  }
+
+  const call = await loadAuthorizedCall(res, params[0], credential);
+  if (!call) return;
+
+  const transcript = formatTranscript(call);
+  const exports = {
+    json: { type: 'application/json', extension: 'json', body: () => JSON.stringify(transcript, null, 2) },
+    text: { type: 'text/plain; charset=utf-8', extension: 'txt', body: () => toPlainText(transcript) },
+    csv: { type: 'text/csv; charset=utf-8', extension: 'csv', body: () => toCsv(transcript) }
+  };
+  const output = exports[format];
+
+  res.writeHead(200, {
+    'Content-Type': output.type,
+    'Content-Disposition': `attachment; filename="call-${transcript.callSid}.${output.extension}"`
+  });
+  res.end(output.body());
+}
+
+// POST /api/sessions/:token/invalidate
+// Called by the workshop app (with SETTINGS_WEBHOOK_SECRET) or the student's own browser
+async function invalidateSessionSettings({ res, params, credential }) {
+  const [sessionToken] = params;
+
+  if (!isSettingsWebhookSecret(credential) && !canAccessSession(credential, sessionToken)) {
+    sendJson(res, 403, { success: false, error: 'Not allowed to invalidate this session' });
+    return;
+  }
+
+  const wasCached = invalidateStudentConfig(sessionToken);
+  log.info('Settings invalidated', { session: sessionPrefix(sessionToken), wasCached });
+
+  sendJson(res, 200, {
+    success: true,
+    wasCached
+  });
+}
+
+// POST /api/sessions/:token/signed-token?ttl=<seconds>
+// The workshop app (or instructor) gets a token to put in the student's /ws/ and /tunnel/ URLs
+async function issueSignedToken({ res, url, params, credential }) {
+  const [sessionToken] = params;
+
+  if (!isSettingsWebhookSecret(credential) && !isInstructorKey(credential)) {
+    sendJson(res, 403, { success: false, error: 'Only the workshop app or instructor can issue tokens' });
+    return;
+  }
+  if (!process.env.SESSION_TOKEN_SECRET) {
+    sendJson(res, 501, { success: false, error: 'SESSION_TOKEN_SECRET is not configured' });
+    return;
+  }
+
+  const ttl = parseInteger(url.searchParams.get('ttl'), SESSION_TOKEN_TTL_SECONDS);
+  if (ttl === null || ttl < 1) {
+    sendJson(res, 400, { success: false, error: 'ttl must be a positive number of seconds' });
+    return;
+  }
+
+  const { token, expiresAt } = signSessionToken(sessionToken, ttl);
+
+  sendJson(res, 200, {
+    success: true,
+    token,
+    expiresAt: new Date(expiresAt * 1000).toISOString()
+  });
+}
+
+// GET /api/sessions/:token/callers/:caller/memory
+async function getCallerMemoryRoute({ res, params, credential }) {
+  const [sessionToken, caller] = params;
+
+  if (!canAccessSession(credential, sessionToken)) {
+    sendJson(res, 403, { success: false, error: 'Not allowed to view this session' });
+    return;
+  }
+
+  const memory = await getCallerMemory(sessionToken, caller);
+  if (!memory) {
+    sendJson(res, 404, { success: false, error: 'No memory for this caller' });
+    return;
+  }
+
+  sendJson(res, 200, {
+    success: true,
+    memory: {
+      caller: memory.caller,
+      summary: memory.summary,
+      facts: memory.facts,
+      callCount: memory.call_count,
+      createdAt: memory.created_at,
+      updatedAt: memory.updated_at
+    }
+  });
+}
+
+// DELETE /api/sessions/:token/callers/:caller/memory
+// Lets the student (or instructor) honor a caller's request to be forgotten
+async function deleteCallerMemoryRoute({ res, params, credential }) {
+  const [sessionToken, caller] = params;
+
+  if (!canAccessSession(credential, sessionToken)) {
+    sendJson(res, 403, { success: false, error: 'Not allowed to modify this session' });
+    return;
+  }
+
+  const deleted = await deleteCallerMemory(sessionToken, caller);
+  log.info(deleted ? 'Caller memory deleted' : 'Caller memory not found', { session: sessionPrefix(sessionToken) });
+
+  sendJson(res, 200, {
+    success: true,
+    deleted
+  });
+}
+
+// POST /api/sessions/:token/replay
+// Body: { callSid } or { transcript }, plus `config` overrides (see call-replay.js)
+async function replaySessionCall({ req, res, params, credential, options }) {
+  const [sessionToken] = params;
+
+  if (!canAccessSession(credential, sessionToken)) {
+    sendJson(res, 403, { success: false, error: 'Not allowed to replay calls for this session' });
+    return;
+  }
+
+  const body = await readJsonBody(req);
+  if (body === undefined) {
+    // The rest of an oversized body is never read, so the connection can't be reused
+    res.setHeader('Connection', 'close');
+    sendJson(res, 400, { success: false, error: 'Body must be JSON (at most 1 MB)' });
+    return;
+  }
+
+  try {
+    const replay = await runReplay(sessionToken, body, { requestCredentialsFn: options.requestCredentialsFn });
+    sendJson(res, 200, { success: true, replay });
+  } catch (error) {
+    if (error instanceof ReplayError) {
+      sendJson(res, error.status, { success: false, error: error.message });
+    } else if (error instanceof StudentConfigError) {
+      sendJson(res, 400, { success: false, error: 'Invalid config overrides', errors: error.errors });
+    } else if (error instanceof SettingsUnavailableError) {
+      sendJson(res, 503, { success: false, error: 'Failed to load student settings' });
+    } else {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Load a call and check the credential can see it
+ * Sends a 404 (without revealing whether the call exists) when it can't
+ */
+async function loadAuthorizedCall(res, callSid, credential) {
+  const call = await getCallTranscript(callSid);
+  if (!call || !canAccessSession(credential, call.session_token)) {
+    sendJson(res, 404, { success: false, error: 'Call not found' });
+    return null;
+  }
+  return call;
+}
+
+function formatCall(call) {
+  return {
+    callSid: call.call_sid,
+    from: call.from_number,
+    to: call.to_number,
+    direction: call.direction,
+    startedAt: call.started_at,
+    endedAt: call.ended_at,
+    durationSeconds: call.duration_seconds,
+    turnCount: call.turn_count
+  };
+}
+
+function formatTranscript(call) {
+  return {
+    ...formatCall(call),
+    turns: call.turns.map(turn => ({
+      index: turn.turn_index,
+      role: turn.role,
+      text: turn.text,
+      toolCalls: turn.tool_calls || [],
+      usage: turn.total_tokens === null ? null : {
+        promptTokens: turn.prompt_tokens,
+        completionTokens: turn.completion_tokens,
+        totalTokens: turn.total_tokens
+      },
+      latencyMs: turn.latency_ms,
+      firstTokenMs: turn.first_token_ms,
+      interrupted: turn.interrupted,
+      createdAt: turn.created_at
+    }))
+  };
+}
+
+function toPlainText(transcript) {
+  const startedAt = new Date(transcript.startedAt);
+  const lines = [
+    `Call ${transcript.callSid}`,
+    `From: ${transcript.from || 'unknown'}  To: ${transcript.to || 'unknown'}  Direction: ${transcript.direction || 'unknown'}`,
+    `Started: ${startedAt.toISOString()}  Duration: ${transcript.durationSeconds ?? '?'}s`,
+    ''
+  ];
+
+  for (const turn of transcript.turns) {
+    const offset = formatOffset(new Date(turn.createdAt) - startedAt);
+    const speaker = turn.role === 'user' ? 'Caller' : 'Assistant';
+    for (const toolCall of turn.toolCalls) {
+      lines.push(`[${offset}] Tool: ${toolCall.name}(${toolCall.arguments}) -> ${JSON.stringify(toolCall.result)}`);
+    }
+    lines.push(`[${offset}] ${speaker}: ${turn.text ?? ''}${turn.interrupted ? ' [interrupted]' : ''}`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function toCsv(transcript) {
+  const header = [
+    'turn_index', 'role', 'text', 'interrupted', 'tool_calls',
+    'prompt_tokens', 'completion_tokens', 'total_tokens',
+    'latency_ms', 'first_token_ms', 'created_at'
+  ];
+
+  const rows = transcript.turns.map(turn => [
+    turn.index,
+    turn.role,
+    turn.text,
+    turn.interrupted,
+    turn.toolCalls.length > 0 ? JSON.stringify(turn.toolCalls) : '',
+    turn.usage?.promptTokens,
+    turn.usage?.completionTokens,
+    turn.usage?.totalTokens,
+    turn.latencyMs,
+    turn.firstTokenMs,
+    turn.createdAt ? new Date(turn.createdAt).toISOString() : ''
+  ]);
+
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  // Spreadsheets run cells starting with = + - @ as formulas - callers control the text
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatOffset(ms) {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+// Returns undefined when the body is too large or not JSON
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      return undefined;
+    }
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    return undefined;
+  }
+}
+
+// Returns the fallback when missing, null when not an integer
+function parseInteger(value, fallback) {
+  if (value === null || value === '') {
+    return fallback;
+  }
+  return /^\d+$/.test(value) ? parseInt(value, 10) : null;
+}
+
+// Returns null when missing, undefined when not a valid date
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
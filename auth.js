@@ -0,0 +1,202 @@
+/**
+ * Auth Helpers
+ * Credential checks for the HTTP API and WebSocket upgrades
+ *
+ * A request authenticates with either a student's session token or the
+ * instructor key (INSTRUCTOR_KEY), sent as `Authorization: Bearer <credential>`
+ * or as a `?key=` query parameter for plain browser downloads.
+ *
+ * When SESSION_TOKEN_SECRET is set, session tokens must be signed:
+ *   <sessionToken>.<expiresAt>.<signature>
+ * where expiresAt is a Unix time in seconds and signature is the base64url
+ * HMAC-SHA256 of "<sessionToken>.<expiresAt>". Without the secret, plain
+ * session tokens are accepted (local development).
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Extract the credential from a request
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {URL} url - Parsed request URL
+ * @returns {string|null} Credential or null if none was sent
+ */
+export function getRequestCredential(req, url) {
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.substring(7).trim() || null;
+  }
+  return url.searchParams.get('key') || null;
+}
+
+/**
+ * Check whether a credential is the instructor key
+ * @param {string|null} credential - Credential from the request
+ * @returns {boolean} True if it matches INSTRUCTOR_KEY
+ */
+export function isInstructorKey(credential) {
+  const instructorKey = process.env.INSTRUCTOR_KEY;
+  return !!instructorKey && !!credential && safeEqual(credential, instructorKey);
+}
+
+/**
+ * Check whether a credential is the settings webhook secret used by the workshop app
+ * @param {string|null} credential - Credential from the request
+ * @returns {boolean} True if it matches SETTINGS_WEBHOOK_SECRET
+ */
+export function isSettingsWebhookSecret(credential) {
+  const secret = process.env.SETTINGS_WEBHOOK_SECRET;
+  return !!secret && !!credential && safeEqual(credential, secret);
+}
+
+/**
+ * Check whether a credential is the Prometheus scrape token
+ * @param {string|null} credential - Credential from the request
+ * @returns {boolean} True if it matches METRICS_TOKEN
+ */
+export function isMetricsToken(credential) {
+  const token = process.env.METRICS_TOKEN;
+  return !!token && !!credential && safeEqual(credential, token);
+}
+
+/**
+ * Check whether a credential grants access to a student's data
+ * Students can only see their own session; the instructor can see all of them
+ * @param {string|null} credential - Credential from the request
+ * @param {string} sessionToken - Session the data belongs to
+ * @returns {boolean} True if access is allowed
+ */
+export function canAccessSession(credential, sessionToken) {
+  if (!credential) {
+    return false;
+  }
+  if (isInstructorKey(credential)) {
+    return true;
+  }
+  const verified = verifySessionToken(credential);
+  return verified.valid && safeEqual(verified.sessionToken, sessionToken);
+}
+
+/**
+ * Sign a session token so it can be used in WebSocket URLs and as an API credential
+ * @param {string} sessionToken - Student's session token
+ * @param {number} ttlSeconds - How long the signed token is valid
+ * @returns {Object} { token, expiresAt } - expiresAt is a Unix time in seconds
+ */
+export function signSessionToken(sessionToken, ttlSeconds) {
+  const secret = process.env.SESSION_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('SESSION_TOKEN_SECRET is not set');
+  }
+  const expiresAt = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return {
+    token: `${sessionToken}.${expiresAt}.${tokenSignature(secret, sessionToken, expiresAt)}`,
+    expiresAt
+  };
+}
+
+/**
+ * Verify a (signed) session token
+ * @param {string} token - Token from the URL or request
+ * @returns {Object} { valid: true, sessionToken, expiresAt } or { valid: false, reason }
+ *   where reason is 'malformed', 'bad_signature' or 'expired'
+ */
+export function verifySessionToken(token) {
+  const secret = process.env.SESSION_TOKEN_SECRET;
+  if (!token) {
+    return { valid: false, reason: 'malformed' };
+  }
+  if (!secret) {
+    return { valid: true, sessionToken: token, expiresAt: null };
+  }
+
+  const match = String(token).match(/^(.+)\.(\d+)\.([A-Za-z0-9_-]+)$/);
+  if (!match) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const [, sessionToken, expiresAtText, signature] = match;
+  const expiresAt = parseInt(expiresAtText, 10);
+
+  if (!safeEqual(signature, tokenSignature(secret, sessionToken, expiresAt))) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+  if (expiresAt * 1000 <= Date.now()) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  return { valid: true, sessionToken, expiresAt };
+}
+
+/**
+ * Validate the X-Twilio-Signature header on a ConversationRelay upgrade request
+ * Twilio signs the full wss:// URL with the account's auth token (HMAC-SHA1, base64).
+ * Always passes when TWILIO_AUTH_TOKEN is not set.
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {boolean} True if the signature matches
+ */
+export function isValidTwilioSignature(req) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    return true;
+  }
+
+  const signature = req.headers['x-twilio-signature'];
+  if (!signature) {
+    return false;
+  }
+
+  // Behind Railway's proxy the request arrives as plain HTTP - the forwarded headers
+  // describe the URL Twilio actually called. Twilio may sign it with or without the port.
+  const forwardedProto = String(req.headers['x-forwarded-proto'] || '').split(',')[0].trim();
+  const scheme = req.socket.encrypted || forwardedProto === 'https' || forwardedProto === 'wss' ? 'wss' : 'ws';
+  const host = String(req.headers['x-forwarded-host'] || req.headers.host || '').split(',')[0].trim();
+  const hosts = new Set([host, host.replace(/:\d+$/, '')]);
+
+  for (const candidateHost of hosts) {
+    const expected = crypto
+      .createHmac('sha1', authToken)
+      .update(Buffer.from(`${scheme}://${candidateHost}${req.url}`, 'utf-8'))
+      .digest('base64');
+    if (safeEqual(signature, expected)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check a browser Origin against TUNNEL_ALLOWED_ORIGINS
+ * Defaults to the workshop app (VERCEL_API_URL); '*' allows any origin.
+ * Requests without an Origin header (non-browser clients) are allowed - they still need a valid token.
+ * @param {string|undefined} origin - Origin header
+ * @returns {boolean} True if the origin may open a tunnel
+ */
+export function isAllowedOrigin(origin) {
+  if (!origin) {
+    return true;
+  }
+
+  const configured = process.env.TUNNEL_ALLOWED_ORIGINS ||
+    new URL(process.env.VERCEL_API_URL || 'https://twilio-voice-ai-workshop-vercel.vercel.app').origin;
+  const allowed = configured.split(',').map(entry => entry.trim().replace(/\/$/, '')).filter(Boolean);
+
+  return allowed.includes('*') || allowed.includes(origin);
+}
+
+function tokenSignature(secret, sessionToken, expiresAt) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${sessionToken}.${expiresAt}`)
+    .digest('base64url');
+}
+
+// Constant-time string comparison so credentials can't be guessed by timing
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  if (bufferA.length !== bufferB.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(bufferA, bufferB);
+}
@@ -0,0 +1,370 @@
+/**
+ * Call Replay
+ * Answers the caller turns of a past call again with a changed config, so students can
+ * see how their agent would have replied with a tweaked prompt, model or tools
+ *
+ * The turns come from a recorded call (by callSid) or an uploaded transcript - the JSON
+ * from /api/calls/:callSid/export, a list of { role, text } turns, or a list of caller
+ * lines. They run through handleConversationRelay on an in-memory socket, so the replay
+ * uses the same agent loop, tools, history and usage caps as a live call. Replays aren't
+ * saved, shown on the instructor feed or remembered in caller memory.
+ *
+ * Each turn comes back with the original and replayed reply side by side:
+ *   { index, caller, original: { text, toolCalls, usage, latencyMs, firstTokenMs } | null, replay: {...} | null }
+ * Tools really run during a replay (webhooks are called, save_value writes).
+ */
+
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { handleConversationRelay } from './conversation-handler.js';
+import { getCallTranscript } from './database.js';
+import { loadStudentConfig } from './settings-loader.js';
+import { applyConfigOverrides } from './student-config.js';
+import { createLogger, sessionPrefix } from './logger.js';
+
+const log = createLogger('replay');
+
+export const MAX_REPLAY_TURNS = 30;
+
+const REPLAY_TURN_TIMEOUT_MS = parseInt(process.env.REPLAY_TURN_TIMEOUT_MS || '60000', 10);
+const MAX_CALLER_TEXT_LENGTH = 2000;
+
+/**
+ * Error raised for a replay request that can't run
+ * `status` is the HTTP status to answer with
+ */
+export class ReplayError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReplayError';
+    this.status = status;
+  }
+}
+
+/**
+ * Replay a call for a student
+ * @param {string} sessionToken - Student's session token
+ * @param {Object} request - { callSid } or { transcript }, plus optional `config` overrides
+ *   in settings API names (see OVERRIDABLE_SETTINGS in student-config.js)
+ * @param {Object} options - { requestCredentialsFn, onTurn(turn) }
+ * @returns {Promise<Object>} { callSid, model, overrides, turns, totals, ended }
+ * @throws {ReplayError} If the call or transcript can't be replayed
+ * @throws {StudentConfigError} If the overrides are invalid
+ */
+export async function runReplay(sessionToken, request, options = {}) {
+  if (!request || typeof request !== 'object') {
+    throw new ReplayError('Request must be a JSON object');
+  }
+  if (!request.callSid === !request.transcript) {
+    throw new ReplayError('Send either callSid or transcript');
+  }
+  const overrides = request.config ?? {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new ReplayError('config must be an object of settings');
+  }
+
+  let call = { callSid: null, from: null, to: null, direction: null };
+  let turns;
+  if (request.callSid) {
+    const recorded = await getCallTranscript(String(request.callSid));
+    if (!recorded || recorded.session_token !== sessionToken) {
+      throw new ReplayError('Call not found', 404);
+    }
+    call = {
+      callSid: recorded.call_sid,
+      from: recorded.from_number,
+      to: recorded.to_number,
+      direction: recorded.direction
+    };
+    turns = turnsFromTranscript(recorded.turns.map(recordedTurn));
+  } else {
+    turns = turnsFromTranscript(request.transcript);
+  }
+
+  if (turns.length === 0) {
+    throw new ReplayError('The call has no caller turns to replay');
+  }
+  if (turns.length > MAX_REPLAY_TURNS) {
+    throw new ReplayError(`A replay can have at most ${MAX_REPLAY_TURNS} caller turns`);
+  }
+
+  const savedConfig = await loadStudentConfig(sessionToken);
+  if (!savedConfig) {
+    throw new ReplayError('No settings found for this session', 404);
+  }
+  const studentConfig = applyConfigOverrides(savedConfig, overrides);
+
+  log.info('Replaying call', { session: sessionPrefix(sessionToken), turns: turns.length, replayOf: call.callSid });
+
+  const replay = await replayTurns(studentConfig, sessionToken, turns, { ...options, call });
+
+  return {
+    callSid: call.callSid,
+    model: studentConfig.llm.model || null,
+    overrides: Object.keys(overrides),
+    ...replay
+  };
+}
+
+/**
+ * Handle a `replay` command from the browser tunnel
+ *   → { type: 'replay', requestId, callSid | transcript, config }
+ *   ← { type: 'replay_turn', requestId, turn } for each turn as it finishes
+ *   ← { type: 'replay_result', requestId, replay } or { type: 'replay_failed', requestId, error, errors? }
+ * Replies go to the tab that asked, not to every tab of the session
+ * @param {WebSocket} ws - Browser tunnel socket
+ * @param {string} sessionToken - Student's session token
+ * @param {Object} command - Tunnel message
+ * @param {Function} requestCredentialsFn - Function to request credentials through tunnel
+ */
+export async function handleReplayCommand(ws, sessionToken, command, requestCredentialsFn) {
+  const reply = (message) => {
+    if (ws.readyState === 1) { // 1 = OPEN
+      ws.send(JSON.stringify({ requestId: command.requestId, ...message }));
+    }
+  };
+
+  try {
+    const replay = await runReplay(sessionToken, command, {
+      requestCredentialsFn,
+      onTurn: (turn) => reply({ type: 'replay_turn', turn })
+    });
+    reply({ type: 'replay_result', replay });
+  } catch (error) {
+    log.error('Replay failed', { session: sessionPrefix(sessionToken), error });
+    reply({
+      type: 'replay_failed',
+      error: error.name === 'ReplayError' || error.name === 'StudentConfigError' ? error.message : 'Replay failed',
+      ...(error.errors ? { errors: error.errors } : {})
+    });
+  }
+}
+
+/**
+ * Extract the caller turns (and the replies they got) from a transcript
+ * @param {Array|Object} transcript - Export JSON ({ turns }), [{ role, text, ... }] or caller lines
+ * @returns {Array} [{ caller, original }]
+ * @throws {ReplayError} If the transcript isn't in a known format
+ */
+export function turnsFromTranscript(transcript) {
+  const entries = Array.isArray(transcript) ? transcript : transcript?.turns;
+  if (!Array.isArray(entries)) {
+    throw new ReplayError('transcript must be a list of turns or an exported call');
+  }
+
+  const turns = [];
+  for (const entry of entries) {
+    const turn = typeof entry === 'string' ? { role: 'user', text: entry } : entry;
+    if (!turn || typeof turn.text !== 'string' || !['user', 'caller', 'assistant'].includes(turn.role)) {
+      throw new ReplayError('Each transcript turn needs a role (user or assistant) and text');
+    }
+
+    if (turn.role === 'assistant') {
+      // Greetings before the first caller turn aren't replies to anything
+      const previous = turns[turns.length - 1];
+      if (previous && !previous.original) {
+        previous.original = originalReply(turn);
+      }
+      continue;
+    }
+
+    if (!turn.text.trim()) continue;
+    if (turn.text.length > MAX_CALLER_TEXT_LENGTH) {
+      throw new ReplayError(`Caller turns can be at most ${MAX_CALLER_TEXT_LENGTH} characters`);
+    }
+    turns.push({ caller: turn.text, original: null });
+  }
+  return turns;
+}
+
+/**
+ * Run caller turns through the conversation handler one at a time
+ * @param {Object} studentConfig - Config to answer with
+ * @param {string} sessionToken - Student's session token
+ * @param {Array} turns - [{ caller, original }] from turnsFromTranscript
+ * @param {Object} options - { call, requestCredentialsFn, onTurn(turn) }
+ * @returns {Promise<Object>} { turns, totals, ended }
+ */
+export async function replayTurns(studentConfig, sessionToken, turns, options = {}) {
+  const socket = createReplaySocket();
+  const events = [];
+  const eventSink = {
+    send: (token, message) => {
+      events.push(message);
+      return 0;
+    }
+  };
+
+  await handleConversationRelay(socket, studentConfig, sessionToken, options.requestCredentialsFn, eventSink, { replay: true });
+
+  const call = options.call || {};
+  await socket.deliver({
+    type: 'setup',
+    sessionId: `replay_${crypto.randomUUID()}`,
+    callSid: `replay_${call.callSid || crypto.randomUUID()}`,
+    from: call.from,
+    to: call.to,
+    direction: call.direction,
+    customParameters: {}
+  });
+
+  // A replay spends like a call, so it stops at the same budgets
+  // (it doesn't count against the per-minute call limits)
+  const limit = events.find(event => event.type === 'budget_exceeded');
+  if (limit) {
+    socket.close();
+    throw new ReplayError(`Can't replay: ${limit.scope} ${limit.limit} limit reached`, 429);
+  }
+
+  const results = [];
+  let ended = null;
+
+  try {
+    for (const [index, turn] of turns.entries()) {
+      const result = { index, caller: turn.caller, original: turn.original, replay: null };
+      results.push(result);
+
+      // The new config ended the call earlier than the original did
+      if (ended) continue;
+
+      const frameStart = socket.frames.length;
+      const eventStart = events.length;
+      const startedAt = Date.now();
+
+      const answered = socket.deliver({ type: 'prompt', voicePrompt: turn.caller, lang: 'en-US', last: true });
+      const timedOut = await timeout(answered, REPLAY_TURN_TIMEOUT_MS);
+      if (timedOut) {
+        await socket.deliver({ type: 'interrupt', utteranceUntilInterrupt: '' });
+        await answered;
+      }
+
+      result.replay = replayedReply(socket.frames.slice(frameStart), events.slice(eventStart), startedAt);
+      if (timedOut) {
+        result.replay.error = `No reply within ${REPLAY_TURN_TIMEOUT_MS}ms`;
+      }
+
+      const ending = events.slice(eventStart).find(event => event.type === 'call_ending');
+      if (ending) {
+        ended = { afterTurn: index, handoffData: ending.handoffData };
+      }
+
+      options.onTurn?.(result);
+    }
+  } finally {
+    socket.close();
+  }
+
+  return {
+    turns: results,
+    totals: {
+      original: totalsFor(results.map(result => result.original)),
+      replay: totalsFor(results.map(result => result.replay))
+    },
+    ended
+  };
+}
+
+/**
+ * In-memory stand-in for the Twilio socket
+ * deliver() resolves once the handler has finished with the frame (e.g. the whole turn)
+ */
+function createReplaySocket() {
+  const socket = new EventEmitter();
+  socket.readyState = 1; // OPEN
+  socket.frames = [];
+
+  socket.send = (data) => {
+    socket.frames.push({ ...JSON.parse(data), receivedAt: Date.now() });
+  };
+  socket.deliver = (frame) => Promise.all(socket.listeners('message').map(listener => listener(JSON.stringify(frame))));
+  socket.close = () => {
+    if (socket.readyState !== 1) return;
+    socket.readyState = 3; // CLOSED
+    socket.emit('close', 1000, Buffer.from(''));
+  };
+
+  return socket;
+}
+
+// What the caller would have heard, with the tool calls, usage and timing behind it
+function replayedReply(frames, events, startedAt) {
+  const spoken = frames.filter(frame => frame.type === 'text' && frame.token);
+  const toolCalls = events
+    .filter(event => event.type === 'tool_call_result')
+    .map(event => ({
+      step: event.step,
+      name: event.toolName,
+      arguments: events.find(start => start.type === 'tool_call_start' && start.toolCallId === event.toolCallId)?.arguments,
+      result: event.result
+    }));
+
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  for (const event of events.filter(event => event.type === 'token_usage')) {
+    usage.promptTokens += event.promptTokens;
+    usage.completionTokens += event.completionTokens;
+    usage.totalTokens += event.totalTokens;
+  }
+
+  const error = events.find(event => event.type === 'error');
+  const limit = events.find(event => event.type === 'budget_exceeded');
+
+  return {
+    text: spoken.map(frame => frame.token).join(''),
+    toolCalls,
+    usage,
+    latencyMs: Date.now() - startedAt,
+    firstTokenMs: spoken.length > 0 ? spoken[0].receivedAt - startedAt : null,
+    error: error?.message || (limit ? `${limit.scope} ${limit.limit} limit reached` : null)
+  };
+}
+
+// Reply as the original call recorded it
+function originalReply(turn) {
+  return {
+    text: turn.text,
+    toolCalls: (turn.toolCalls || []).map(({ step, name, arguments: args, result }) => ({ step, name, arguments: args, result })),
+    usage: turn.usage || null,
+    latencyMs: turn.latencyMs ?? null,
+    firstTokenMs: turn.firstTokenMs ?? null,
+    interrupted: !!turn.interrupted
+  };
+}
+
+// call_turns row in transcript form
+function recordedTurn(row) {
+  return {
+    role: row.role,
+    text: row.text || '',
+    toolCalls: row.tool_calls || [],
+    usage: row.total_tokens === null ? null : {
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+      totalTokens: row.total_tokens
+    },
+    latencyMs: row.latency_ms,
+    firstTokenMs: row.first_token_ms,
+    interrupted: row.interrupted
+  };
+}
+
+function totalsFor(replies) {
+  const answered = replies.filter(Boolean);
+  const latencies = answered.map(reply => reply.latencyMs).filter(latency => latency !== null);
+  return {
+    turns: answered.length,
+    totalTokens: answered.reduce((sum, reply) => sum + (reply.usage?.totalTokens || 0), 0),
+    toolCalls: answered.reduce((sum, reply) => sum + reply.toolCalls.length, 0),
+    averageLatencyMs: latencies.length > 0 ? Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length) : null
+  };
+}
+
+// Resolves to true if the promise didn't settle in time
+function timeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise.then(() => false),
+    new Promise(resolve => {
+      timer = setTimeout(() => resolve(true), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,100 @@
+/**
+ * Caller Memory
+ * Lets a student's agent remember callers across calls (opt-in with the `callerMemory` setting)
+ *
+ * Memory is kept per session token and caller phone number in the caller_memory table:
+ *   summary - rolling summary of previous conversations, rewritten when each call ends
+ *   facts   - values saved with the remember_caller_fact tool, e.g. { preferredName: 'Sam' }
+ *
+ * At setup the memory is added to the system prompt; callers can have it deleted through the API.
+ */
+
+import { getCallerMemory, saveCallerSummary, setCallerFact } from './database.js';
+
+const MAX_FACTS = 50;
+const MAX_FACT_KEY_LENGTH = 100;
+const MAX_FACT_VALUE_LENGTH = 1000;
+
+/**
+ * Error raised for a fact that can't be saved
+ */
+export class CallerMemoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CallerMemoryError';
+  }
+}
+
+/**
+ * Load a caller's memory for one call
+ * @param {string} sessionToken - Student's session token
+ * @param {string} caller - Caller's phone number (setup `from`)
+ * @returns {Promise<Object>} { caller, summary, facts, previousCalls, promptSection(), remember(key, value), saveSummary(summary) }
+ */
+export async function loadCallerMemory(sessionToken, caller) {
+  const row = await getCallerMemory(sessionToken, caller);
+  let summary = row?.summary || null;
+  const facts = { ...(row?.facts || {}) };
+
+  return {
+    caller,
+    previousCalls: row?.call_count || 0,
+
+    get summary() {
+      return summary;
+    },
+
+    get facts() {
+      return facts;
+    },
+
+    /**
+     * Text to append to the system prompt (empty for a first-time caller)
+     * @returns {string}
+     */
+    promptSection() {
+      const factLines = Object.entries(facts).map(([key, value]) => `- ${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+      if (!summary && factLines.length === 0) {
+        return '';
+      }
+      return [
+        '',
+        '',
+        '# What you remember about this caller',
+        `They have called ${this.previousCalls} time${this.previousCalls === 1 ? '' : 's'} before.`,
+        ...(summary ? [`Previous conversations: ${summary}`] : []),
+        ...(factLines.length > 0 ? ['Saved facts:', ...factLines] : [])
+      ].join('\n');
+    },
+
+    /**
+     * Save a fact about the caller
+     * @param {string} key - Fact name
+     * @param {string|number|boolean} value - Fact value
+     * @throws {CallerMemoryError} If the fact is too large or the caller has too many facts
+     */
+    async remember(key, value) {
+      if (typeof key !== 'string' || !key || key.length > MAX_FACT_KEY_LENGTH) {
+        throw new CallerMemoryError(`key must be 1-${MAX_FACT_KEY_LENGTH} characters`);
+      }
+      if (!['string', 'number', 'boolean'].includes(typeof value) || String(value).length > MAX_FACT_VALUE_LENGTH) {
+        throw new CallerMemoryError(`value must be a string, number or boolean of at most ${MAX_FACT_VALUE_LENGTH} characters`);
+      }
+      if (!(key in facts) && Object.keys(facts).length >= MAX_FACTS) {
+        throw new CallerMemoryError(`A caller can have at most ${MAX_FACTS} facts`);
+      }
+
+      await setCallerFact(sessionToken, caller, key, value);
+      facts[key] = value;
+    },
+
+    /**
+     * Record the end of a call with the updated conversation summary
+     * @param {string|null} newSummary - Summary of all conversations (null keeps the old one)
+     */
+    async saveSummary(newSummary) {
+      await saveCallerSummary(sessionToken, caller, newSummary);
+      summary = newSummary || summary;
+    }
+  };
+}
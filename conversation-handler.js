@@ -3,7 +3,21 @@
  * Manages Twilio ConversationRelay WebSocket protocol with student-specific configs
  */
 
-import OpenAI from 'openai';
+import { resolveLLMSettings, createLLMProvider, usesOfficialEndpoint, llmErrorType } from './llm-provider.js';
+import { executeToolCall, prepareTools, isKnownTool } from './tool-executor.js';
+import { createCall, endCall, saveCallTurn, markCallTurnInterrupted } from './database.js';
+import { registerActiveCall, updateActiveCall, unregisterActiveCall, publishCallEvent } from './instructor-feed.js';
+import { checkCallAllowed, checkRequestAllowed, recordUsage } from './usage-tracker.js';
+import { createKeyLease } from './credential-tunnel.js';
+import { createDtmfMenu, fillDigits } from './dtmf-menu.js';
+import { createRelayOutbound } from './relay-outbound.js';
+import { selectPromptTemplate, promptValuesForCall, renderPromptTemplate } from './prompt-template.js';
+import { createConversationHistory, buildSummaryRequest } from './conversation-history.js';
+import { loadCallerMemory } from './caller-memory.js';
+import { createLogger, setLogContext, bindLogContext } from './logger.js';
+import { callsStarted, callsEnded, timeToFirstToken, turnLatency, llmErrors, toolCalls, toolCallDuration } from './metrics.js';
+
+const log = createLogger('call');
 
 /**
  * Handle ConversationRelay WebSocket connection
@@ -11,25 +25,34 @@ import OpenAI from 'openai';
  * @param {Object} studentConfig - Student's configuration from database
  * @param {string} sessionToken - Student's session token
  * @param {Function} requestCredentialsFn - Function to request credentials through tunnel
- * @param {Map} activeTunnels - Map of active browser tunnel connections
+ * @param {Object} activeTunnels - Tunnel registry of open browser tabs (see tunnel-registry.js)
+ * @param {Object} callOptions - { replay: true } for a replayed call (see call-replay.js), which
+ *   isn't shown on the instructor feed, saved, or remembered in caller memory
+ * @returns {Promise<Object>} { drain(goodbye) } - says goodbye and ends the call when the server shuts down
  */
-export async function handleConversationRelay(ws, studentConfig, sessionToken, requestCredentialsFn, activeTunnels) {
-  console.log(`🎤 Starting ConversationRelay for ${studentConfig.student_name || sessionToken.substring(0, 8)}`);
+export async function handleConversationRelay(ws, studentConfig, sessionToken, requestCredentialsFn, activeTunnels, callOptions = {}) {
+  setLogContext({ student: studentConfig.student_name });
+  log.info('Starting ConversationRelay', { replay: callOptions.replay || undefined });
+
+  // Register with the instructor feed so the call shows up on the dashboard
+  const callId = callOptions.replay ? null : registerActiveCall({
+    sessionToken,
+    studentName: studentConfig.student_name
+  });
+  if (!callOptions.replay) {
+    callsStarted.inc();
+  }
 
   // Helper function to send events to browser through tunnel
+  // Lifecycle events are also mirrored to instructor dashboards
   const sendTunnelEvent = (eventType, data) => {
-    const tunnelWs = activeTunnels?.get(sessionToken);
-    if (tunnelWs && tunnelWs.readyState === 1) { // 1 = OPEN
-      try {
-        tunnelWs.send(JSON.stringify({
-          type: eventType,
-          timestamp: new Date().toISOString(),
-          ...data
-        }));
-      } catch (error) {
-        console.error(`Failed to send tunnel event ${eventType}:`, error.message);
-      }
-    }
+    publishCallEvent(callId, eventType, data);
+
+    activeTunnels?.send(sessionToken, {
+      type: eventType,
+      timestamp: new Date().toISOString(),
+      ...data
+    });
   };
 
   // Send WebSocket connection established event
@@ -39,22 +62,32 @@ export async function handleConversationRelay(ws, studentConfig, sessionToken, r
     hasTools: !!(studentConfig.tools && studentConfig.tools.length > 0)
   });
 
-  // Initialize OpenAI with student's API key
-  let openaiApiKey = studentConfig.openai_api_key;
+  // Pick the LLM provider and model from the student's config
+  const llmSettings = resolveLLMSettings(studentConfig.llm);
+  const isOpenAIProtocol = llmSettings.provider === 'openai';
+
+  /**
+   * Ask the student's browser for an OpenAI key over the encrypted credential tunnel
+   * (the browser tunnel only holds OpenAI keys)
+   * @param {string} reason - Why the key is needed (shown to the student)
+   * @returns {Promise<string|null>} API key, or null if the browser couldn't provide one
+   */
+  const requestTunnelKey = async (reason) => {
+    if (!isOpenAIProtocol || !requestCredentialsFn) {
+      return null;
+    }
 
-  // If no key in database, try to get it through credential tunnel
-  if (!openaiApiKey && requestCredentialsFn) {
-    console.log(`   🔑 No stored key - requesting through credential tunnel...`);
+    log.info('Requesting API key through credential tunnel', { reason });
 
     // Send credential request event
     sendTunnelEvent('credential_request_sent', {
-      reason: 'No OpenAI key in database'
+      reason
     });
 
     try {
-      openaiApiKey = await requestCredentialsFn(sessionToken);
-      if (openaiApiKey) {
-        console.log(`   ✅ Using student's OpenAI API key (from tunnel)`);
+      const tunnelKey = await requestCredentialsFn(sessionToken, { provider: llmSettings.provider, reason });
+      if (tunnelKey) {
+        log.info('Using student API key from tunnel', { provider: llmSettings.provider });
 
         // Send credential received event
         sendTunnelEvent('credential_received', {
@@ -62,30 +95,186 @@ export async function handleConversationRelay(ws, studentConfig, sessionToken, r
           source: 'tunnel'
         });
       }
+      return tunnelKey;
     } catch (error) {
-      console.log(`   ⚠️  Tunnel request failed: ${error.message}`);
+      log.warn('Credential tunnel request failed', { error });
 
       // Send credential request failed event
       sendTunnelEvent('credential_request_failed', {
         error: error.message
       });
+      return null;
     }
+  };
+
+  // Initialize the provider with the student's API key
+  let apiKey = isOpenAIProtocol ? studentConfig.openai_api_key : studentConfig.anthropic_api_key;
+
+  // If no key in database, try to get it through credential tunnel
+  let keyFromTunnel = false;
+  if (!apiKey) {
+    apiKey = await requestTunnelKey('No OpenAI key in database');
+    keyFromTunnel = !!apiKey;
   }
 
   // Fall back to instructor's key if tunnel unavailable
-  if (!openaiApiKey) {
-    openaiApiKey = process.env.OPENAI_API_KEY;
-    console.log(`   ⚠️  Using instructor's OpenAI API key (fallback)`);
-  } else if (studentConfig.openai_api_key) {
-    console.log(`   ✅ Using student's OpenAI API key (from database)`);
+  // Never send the instructor's key to a student-supplied base URL
+  // keySource decides which spend caps apply (see usage-tracker.js)
+  let keySource = 'student';
+  if (!apiKey) {
+    if (usesOfficialEndpoint(llmSettings)) {
+      apiKey = isOpenAIProtocol ? process.env.OPENAI_API_KEY : process.env.ANTHROPIC_API_KEY;
+      keySource = 'fallback';
+      log.warn('Using instructor API key (fallback)', { provider: llmSettings.provider });
+    } else {
+      keySource = 'none';
+      log.warn('No API key for custom endpoint - sending requests without one', { baseUrl: llmSettings.base_url });
+    }
+  } else if (studentConfig.openai_api_key || studentConfig.anthropic_api_key) {
+    log.info('Using student API key from settings', { provider: llmSettings.provider });
   }
 
-  const openai = new OpenAI({
-    apiKey: openaiApiKey
+  // The key lives only in this lease, which is released when the call ends
+  // (keys from the browser also expire after CREDENTIAL_LEASE_MAX_MS)
+  let keyLease = keyFromTunnel ? createKeyLease(apiKey) : createKeyLease(apiKey, null);
+  apiKey = null;
+
+  const llm = createLLMProvider(llmSettings, () => keyLease.get());
+  log.info('LLM selected', { provider: llm.provider, model: llm.model, baseUrl: llmSettings.base_url });
+
+  // Swap in a fresh key from the browser after the provider rejects the current one
+  // (revoked key, or a tunnel lease that has expired)
+  const renewKey = async () => {
+    const freshKey = await requestTunnelKey(`${llm.provider} rejected the API key (401)`);
+    if (!freshKey) {
+      return false;
+    }
+    keyLease.release();
+    keyLease = createKeyLease(freshKey);
+    keySource = 'student';
+    return true;
+  };
+
+  // Tell the student when a rate limit or budget stops their assistant
+  const reportLimit = (limit) => {
+    log.warn('Usage limit reached', { limit: limit.limit, scope: limit.scope, used: limit.used, cap: limit.cap });
+    sendTunnelEvent('budget_exceeded', {
+      limit: limit.limit,
+      scope: limit.scope,
+      used: limit.used,
+      cap: limit.cap,
+      keySource
+    });
+  };
+
+  // Once a cap is hit, the caller hears its message instead of the model
+  let blockedBy = null;
+
+  // Resolves once setup has checked the call against the rate limits and budgets
+  let callChecked = Promise.resolve();
+
+  // System prompt for this call - the template is filled in with call details at setup
+  let systemPrompt = studentConfig.system_prompt || DEFAULT_SYSTEM_PROMPT;
+
+  // Tokens used by this call so far (for MAX_TOKENS_PER_CALL)
+  let callTokens = 0;
+
+  // Aborts background requests (history summaries) when the call ends
+  const callController = new AbortController();
+
+  /**
+   * Run a summary request (history summaries and caller memory)
+   * Summaries count against the same token and spend caps as the conversation
+   * @param {Array} messages - Summary request in OpenAI chat format
+   * @param {AbortSignal} signal - Cancels the request
+   * @returns {Promise<string|null>} Summary text, or null if a cap has been reached
+   */
+  const runSummaryRequest = async (messages, signal) => {
+    if (await checkRequestAllowed(sessionToken, keySource, callTokens)) {
+      return null;
+    }
+
+    let text = '';
+    let usage = null;
+    for await (const event of llm.streamChat({ messages, signal })) {
+      if (event.type === 'text') text += event.text;
+      if (event.type === 'usage') usage = event;
+    }
+
+    if (usage) {
+      callTokens += usage.totalTokens;
+      recordUsage(sessionToken, {
+        model: llm.model,
+        keySource,
+        promptTokens: usage.promptTokens,
+        completionTokens: usage.completionTokens
+      });
+    }
+    return text;
+  };
+
+  // Store conversation history, kept within HISTORY_MAX_TOKENS (see conversation-history.js)
+  const history = createConversationHistory({
+    strategy: studentConfig.history_strategy,
+    summarize: (messages) => runSummaryRequest(messages, callController.signal)
   });
+  const conversationHistory = history.messages;
+
+  // What the agent remembers about this caller (only with the callerMemory setting)
+  // Turns wait for it to load so the first reply already knows the caller
+  let callerMemory = null;
+  let callerMemoryReady = Promise.resolve();
+
+  const loadMemoryForCaller = async (caller) => {
+    try {
+      callerMemory = await loadCallerMemory(sessionToken, caller);
+      systemPrompt += callerMemory.promptSection();
+
+      log.info('Caller memory loaded', { previousCalls: callerMemory.previousCalls, facts: Object.keys(callerMemory.facts).length });
+      sendTunnelEvent('caller_memory_loaded', {
+        caller,
+        previousCalls: callerMemory.previousCalls,
+        hasSummary: !!callerMemory.summary,
+        facts: callerMemory.facts
+      });
+    } catch (error) {
+      log.error('Failed to load caller memory', { error });
+    }
+  };
 
-  // Store conversation history
-  const conversationHistory = [];
+  // Fold this call into the caller's memory once it ends
+  const rememberCall = async () => {
+    if (!callerMemory || (!history.summary && !conversationHistory.some(message => message.role === 'user'))) {
+      return;
+    }
+    try {
+      const previousSummary = [callerMemory.summary, history.summary].filter(Boolean).join('\n');
+      const summary = await runSummaryRequest(
+        buildSummaryRequest(previousSummary || null, conversationHistory),
+        AbortSignal.timeout(MEMORY_SUMMARY_TIMEOUT_MS)
+      );
+      await callerMemory.saveSummary(summary?.trim() || null);
+      log.info('Saved caller memory');
+    } catch (error) {
+      log.error('Failed to save caller memory', { error });
+    }
+  };
+
+  // Report the history size to the browser and summarize older turns if it's getting long
+  const updateHistory = () => {
+    sendTunnelEvent('history_status', history.status(systemPrompt));
+
+    history.compact().then(summarized => {
+      if (summarized) {
+        log.info('Summarized earlier turns of the conversation');
+        sendTunnelEvent('history_status', history.status(systemPrompt));
+      }
+    }).catch(error => {
+      if (!callController.signal.aborted) {
+        log.error('Failed to summarize history', { error });
+      }
+    });
+  };
 
   // Store call metadata
   let callMetadata = {
@@ -95,11 +284,673 @@ export async function handleConversationRelay(ws, studentConfig, sessionToken, r
     to: null,
     direction: null,
     callSid: null,
+    customParameters: {},
+    promptVariant: null,
     startTime: new Date().toISOString()
   };
 
+  // The assistant turn currently being generated, if any
+  // Messages produced during a turn are staged in turn.messages and only
+  // committed to conversationHistory once the turn completes or is interrupted
+  let currentTurn = null;
+
+  // Persist call data in order without blocking the conversation
+  // A database problem is logged but never interrupts the call
+  let persistQueue = Promise.resolve();
+  const persist = (description, fn) => {
+    if (!callMetadata.callSid || callOptions.replay) return;
+    persistQueue = persistQueue
+      .then(fn)
+      .catch(error => log.error(`Failed to save ${description}`, { error }));
+  };
+
+  // Turn numbering for the persisted transcript
+  let nextTurnIndex = 0;
+  let lastAssistantTurnIndex = null;
+
+  const recordTurn = (turn) => {
+    const index = nextTurnIndex++;
+    const callSid = callMetadata.callSid;
+    persist(`${turn.role} turn`, () => saveCallTurn(callSid, { index, ...turn }));
+    lastAssistantTurnIndex = turn.role === 'assistant' ? index : null;
+    return index;
+  };
+
+  const recordAssistantTurn = (turn, text, interrupted) => recordTurn({
+    role: 'assistant',
+    text,
+    toolCalls: turn.toolCalls,
+    usage: turn.usage,
+    latencyMs: Date.now() - turn.startedAt,
+    firstTokenMs: turn.firstTokenAt ? turn.firstTokenAt - turn.startedAt : null,
+    interrupted
+  });
+
+  // Messages to Twilio: text, play, sendDigits, language and end (see relay-outbound.js)
+  const relay = createRelayOutbound(ws);
+
+  // An end requested during a turn (end_call, transfer_to_human) waits until the reply is spoken
+  let pendingEnd = null;
+  let endTimer = null;
+
+  // Goodbye to say once the current reply is done, set when the server is shutting down
+  let shutdownGoodbye = null;
+
+  // Reply in progress (or queued behind one being cancelled), and the number of the latest one
+  let replying = null;
+  let latestReply = 0;
+
+  // Call control for the built-in tools
+  const callControl = {
+    end: (handoffData) => {
+      pendingEnd = handoffData;
+    },
+    setLanguage: (language) => {
+      relay.language({ ttsLanguage: language, transcriptionLanguage: language });
+      sendTunnelEvent('language_changed', { language });
+    },
+    play: (source) => {
+      relay.play(source);
+    },
+    sendDigits: (digits) => {
+      relay.sendDigits(digits);
+    }
+  };
+
+  /**
+   * End the call once the caller has heard the final reply
+   * @param {string} spokenText - Reply that was just sent to TTS
+   */
+  const finishCall = (spokenText) => {
+    const handoffData = pendingEnd;
+    pendingEnd = null;
+    log.info('Ending call', { reasonCode: handoffData.reasonCode });
+    sendTunnelEvent('call_ending', { handoffData });
+
+    // Twilio ends the session as soon as it gets `end`, so leave time for TTS to finish
+    endTimer = setTimeout(() => relay.end(handoffData), estimateSpeechMs(spokenText));
+  };
+
+  /**
+   * Tell the caller the server is going away and end the call
+   * Does nothing if the call is already ending
+   */
+  const sayGoodbye = () => {
+    if (endTimer) {
+      return;
+    }
+
+    log.info('Saying goodbye before server shutdown');
+    conversationHistory.push({
+      role: 'assistant',
+      content: shutdownGoodbye
+    });
+    recordTurn({
+      role: 'assistant',
+      text: shutdownGoodbye
+    });
+    sendTunnelEvent('ai_response', {
+      text: shutdownGoodbye,
+      source: 'shutdown',
+      tokensUsed: 0
+    });
+    relay.text(shutdownGoodbye, true);
+
+    pendingEnd = { reasonCode: 'server-shutdown', reason: 'The server is restarting' };
+    finishCall(shutdownGoodbye);
+  };
+
+  /**
+   * Stream a chat completion, forwarding speakable chunks to Twilio as they arrive
+   * Tool call deltas are reassembled by index so they can be executed afterwards
+   * @param {Object} request - { messages, tools, toolChoice } in OpenAI chat format
+   * @param {Object} turn - Current turn; its signal aborts the request and drops any chunks not yet sent
+   * @returns {Promise<Object>} { content, toolCalls, finishReason, usage }
+   */
+  const streamCompletion = async (request, turn) => {
+    const { signal } = turn.controller;
+    const stream = llm.streamChat({ ...request, signal });
+
+    let content = '';
+    let pending = '';
+    let chunkIndex = 0;
+    let finishReason = null;
+    let usage = null;
+    const toolCalls = [];
+
+    const forward = (text) => {
+      if (signal.aborted) return; // Turn was interrupted - caller won't hear this
+      relay.text(text, false);
+      sendTunnelEvent('ai_response_delta', {
+        text,
+        index: chunkIndex++
+      });
+    };
+
+    for await (const event of stream) {
+      switch (event.type) {
+        case 'text': {
+          if (!turn.firstTokenAt) {
+            turn.firstTokenAt = Date.now();
+          }
+          content += event.text;
+          pending += event.text;
+
+          const { speakable, rest } = splitSpeakable(pending);
+          if (speakable) {
+            forward(speakable);
+            pending = rest;
+          }
+          break;
+        }
+
+        case 'tool_call_delta': {
+          const toolCall = toolCalls[event.index] || (toolCalls[event.index] = {
+            id: '',
+            type: 'function',
+            function: { name: '', arguments: '' }
+          });
+
+          if (event.id) toolCall.id = event.id;
+          if (event.name) toolCall.function.name += event.name;
+          if (event.arguments) toolCall.function.arguments += event.arguments;
+          break;
+        }
+
+        case 'finish':
+          finishReason = event.reason;
+          break;
+
+        case 'usage':
+          usage = {
+            promptTokens: event.promptTokens,
+            completionTokens: event.completionTokens,
+            totalTokens: event.totalTokens
+          };
+          break;
+      }
+    }
+
+    // Streams can end quietly on abort, so surface it as an error here
+    signal.throwIfAborted();
+
+    // Flush whatever is left once the stream ends
+    if (pending.trim()) {
+      forward(pending);
+    }
+
+    return {
+      content,
+      toolCalls: toolCalls.filter(Boolean),
+      finishReason,
+      usage
+    };
+  };
+
+  /**
+   * Cancel the in-flight turn (if any) and trim history to what the caller actually heard
+   * @param {string} spokenText - Text Twilio reports as spoken before the interruption
+   * @returns {boolean} True if an in-flight turn was cancelled
+   */
+  const interruptTurn = (spokenText) => {
+    if (currentTurn) {
+      const turn = currentTurn;
+      currentTurn = null;
+      turn.controller.abort();
+
+      // Keep completed tool exchanges, then record only the spoken part of the reply
+      conversationHistory.push(...turn.messages);
+      if (spokenText) {
+        conversationHistory.push({
+          role: 'assistant',
+          content: spokenText
+        });
+      }
+      recordAssistantTurn(turn, spokenText, true);
+      return true;
+    }
+
+    if (lastAssistantTurnIndex !== null) {
+      const callSid = callMetadata.callSid;
+      const turnIndex = lastAssistantTurnIndex;
+      persist('interrupted turn', () => markCallTurnInterrupted(callSid, turnIndex, spokenText));
+    }
+
+    // Turn already finished generating - TTS was cut off partway through the reply
+    for (let i = conversationHistory.length - 1; i >= 0; i--) {
+      const message = conversationHistory[i];
+      if (message.role === 'user') break;
+      if (message.role === 'assistant' && !message.tool_calls) {
+        if (spokenText) {
+          message.content = spokenText;
+        } else {
+          conversationHistory.splice(i, 1);
+        }
+        break;
+      }
+    }
+    return false;
+  };
+
+  /**
+   * Execute one tool call for a turn and report it to the browser
+   * @param {Object} toolCall - { id, function: { name, arguments } } in OpenAI format
+   * @param {number} step - Agent loop step the call belongs to
+   * @param {Object} turn - Current turn; its signal cancels the tool
+   * @returns {Promise<Object>} Tool result message for the model
+   */
+  const runToolCall = async (toolCall, step, turn) => {
+    sendTunnelEvent('tool_call_start', {
+      step,
+      toolName: toolCall.function.name,
+      arguments: toolCall.function.arguments,
+      toolCallId: toolCall.id
+    });
+
+    const toolStart = Date.now();
+    const toolResult = await executeToolCall(
+      toolCall.function.name,
+      toolCall.function.arguments,
+      studentConfig,
+      { signal: turn.controller.signal, sessionToken, callSid: callMetadata.callSid, callControl, callerMemory }
+    );
+    const toolLabel = isKnownTool(studentConfig.tools, toolCall.function.name) ? toolCall.function.name : 'unknown';
+    toolCalls.inc({ tool: toolLabel, outcome: toolResult.success ? 'success' : 'error' });
+    toolCallDuration.observe({ tool: toolLabel }, (Date.now() - toolStart) / 1000);
+
+    turn.toolCalls.push({
+      step,
+      id: toolCall.id,
+      name: toolCall.function.name,
+      arguments: toolCall.function.arguments,
+      result: toolResult
+    });
+
+    // Send tool result to browser
+    if (!turn.controller.signal.aborted) {
+      sendTunnelEvent('tool_call_result', {
+        step,
+        toolName: toolCall.function.name,
+        toolCallId: toolCall.id,
+        success: toolResult.success,
+        result: toolResult,
+        durationMs: Date.now() - toolStart
+      });
+    }
+
+    return {
+      role: 'tool',
+      tool_call_id: toolCall.id,
+      content: JSON.stringify(toolResult)
+    };
+  };
+
+  /**
+   * Run one assistant turn for something the caller said (or entered on the keypad)
+   * The agent loop streams the reply to Twilio, executing tool calls as the model makes them
+   * @param {string} userText - The caller's words, added to history as a user turn
+   * @param {Object} options - { toolCall } to run a tool call before the first model request
+   */
+  const respondTo = (userText, options = {}) => {
+    // A caller who speaks while the server is shutting down gets the goodbye instead
+    if (shutdownGoodbye) {
+      sayGoodbye();
+      return Promise.resolve();
+    }
+
+    // The call is already ending - don't start another reply
+    if (endTimer) {
+      return Promise.resolve();
+    }
+
+    // New input supersedes a reply that is still running. Twilio only sends `interrupt`
+    // while audio plays, so a reply busy with a tool call (or not interruptible) is
+    // cancelled here, and the new turn waits until the old one has unwound
+    if (currentTurn) {
+      log.info('New input during a reply - cancelling it');
+      interruptTurn('');
+    }
+
+    const replyNumber = ++latestReply;
+    const reply = Promise.resolve(replying)
+      .then(() => runTurn(userText, options, () => replyNumber !== latestReply))
+      .finally(() => {
+        if (replying === reply) {
+          replying = null;
+          if (shutdownGoodbye) {
+            sayGoodbye();
+          }
+        }
+      });
+    replying = reply;
+    return reply;
+  };
+
+  const runTurn = async (userText, options, isSuperseded) => {
+    // An end requested by an interrupted or failed turn is dropped
+    pendingEnd = null;
+
+    // Add to conversation history
+    conversationHistory.push({
+      role: 'user',
+      content: userText
+    });
+
+    recordTurn({
+      role: 'user',
+      text: userText
+    });
+
+    await callChecked;
+    if (blockedBy) {
+      conversationHistory.push({
+        role: 'assistant',
+        content: blockedBy.message
+      });
+      recordTurn({
+        role: 'assistant',
+        text: blockedBy.message
+      });
+      relay.text(blockedBy.message, true);
+      return;
+    }
+
+    await callerMemoryReady;
+
+    // Newer input arrived while this turn waited - its words stay in history for that turn
+    if (isSuperseded()) {
+      return;
+    }
+
+    // Track this turn so an interrupt can cancel it
+    const turn = {
+      controller: new AbortController(),
+      messages: [],
+      startedAt: Date.now(),
+      firstTokenAt: null,
+      toolCalls: [],
+      usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+    };
+    currentTurn = turn;
+    const { signal } = turn.controller;
+
+    try {
+      const tools = prepareTools(studentConfig.tools);
+      const maxToolSteps = studentConfig.max_tool_steps ?? DEFAULT_MAX_TOOL_STEPS;
+
+      // Agent loop: keep offering tools and executing tool calls until the
+      // model answers in plain text or the student's step limit is reached
+      let step = 0;
+      let completion;
+
+      // Keypad actions can start the turn with a tool call of their own
+      if (options.toolCall) {
+        const toolMessage = await runToolCall(options.toolCall, step, turn);
+        signal.throwIfAborted();
+        turn.messages.push({
+          role: 'assistant',
+          content: null,
+          tool_calls: [options.toolCall]
+        }, toolMessage);
+      }
+
+      while (true) {
+        const limitReached = step >= maxToolSteps;
+
+        // Add tools if student configured them
+        // Once the limit is reached, force a text answer from the results so far
+        const completionRequest = {
+          messages: history.buildRequest(systemPrompt, turn.messages),
+          tools,
+          toolChoice: limitReached ? 'none' : 'auto'
+        };
+
+        if (limitReached && step > 0) {
+          log.warn('Tool step limit reached', { maxToolSteps });
+          sendTunnelEvent('tool_step_limit_reached', {
+            step,
+            maxToolSteps
+          });
+        }
+
+        // Stop before the request if a token or spend cap has been hit
+        const limit = await checkRequestAllowed(sessionToken, keySource, callTokens);
+        signal.throwIfAborted();
+        if (limit) {
+          blockedBy = limit;
+          completion = null;
+          reportLimit(limit);
+          break;
+        }
+
+        log.info('Calling LLM', { provider: llm.provider, model: llm.model, messages: completionRequest.messages.length - 1, step });
+
+        // Send LLM request start event (event names kept for existing browser clients)
+        sendTunnelEvent('openai_request_start', {
+          step,
+          messageCount: completionRequest.messages.length - 1,
+          provider: llm.provider,
+          model: llm.model,
+          hasTools: tools.length > 0,
+          stream: true
+        });
+
+        completion = await streamCompletion(completionRequest, turn).catch(async (error) => {
+          // A rejected key gets one retry with a fresh key from the browser
+          if (error.status !== 401 || signal.aborted || !await renewKey()) {
+            throw error;
+          }
+          return streamCompletion(completionRequest, turn);
+        });
+        log.info('LLM responded', { provider: llm.provider, step, finishReason: completion.finishReason, usage: completion.usage });
+
+        // Send LLM request complete event
+        sendTunnelEvent('openai_request_complete', {
+          step,
+          success: true,
+          finishReason: completion.finishReason
+        });
+
+        // Send token usage to browser (only reported if the endpoint supports stream usage)
+        if (completion.usage) {
+          turn.usage.promptTokens += completion.usage.promptTokens;
+          turn.usage.completionTokens += completion.usage.completionTokens;
+          turn.usage.totalTokens += completion.usage.totalTokens;
+          callTokens += completion.usage.totalTokens;
+
+          const { costUsd, sessionDailyUsd } = recordUsage(sessionToken, {
+            model: llm.model,
+            keySource,
+            promptTokens: completion.usage.promptTokens,
+            completionTokens: completion.usage.completionTokens
+          });
+
+          sendTunnelEvent('token_usage', {
+            step,
+            model: llm.model,
+            keySource,
+            promptTokens: completion.usage.promptTokens,
+            completionTokens: completion.usage.completionTokens,
+            totalTokens: completion.usage.totalTokens,
+            estimatedCost: costUsd.toFixed(6),
+            dailyCost: sessionDailyUsd.toFixed(6)
+          });
+        }
+
+        if (completion.toolCalls.length === 0 || limitReached) {
+          break;
+        }
+
+        log.info('AI wants to call tools', { step, tools: completion.toolCalls.map(t => t.function.name) });
+
+        // Tool calls in the same round are independent - run them in parallel
+        const toolMessages = await Promise.all(completion.toolCalls.map(toolCall => runToolCall(toolCall, step, turn)));
+        signal.throwIfAborted();
+
+        // Stage the assistant tool call message together with its results
+        // (any text spoken before the tool calls is kept alongside them)
+        turn.messages.push({
+          role: 'assistant',
+          content: completion.content || null,
+          tool_calls: completion.toolCalls
+        }, ...toolMessages);
+
+        step++;
+      }
+
+      // The reply has already been streamed to Twilio
+      // (unless a cap stopped the loop - then the caller hears the limit message)
+      if (!completion) {
+        relay.text(blockedBy.message, false);
+      }
+      const aiResponse = completion ? completion.content : blockedBy.message;
+      log.debug('AI replied', { steps: step, text: aiResponse });
+
+      turn.messages.push({
+        role: 'assistant',
+        content: aiResponse
+      });
+
+      // Send AI response to browser
+      sendTunnelEvent('ai_response', {
+        text: aiResponse,
+        afterTools: step > 0,
+        steps: step,
+        tokensUsed: completion?.usage?.totalTokens || 0
+      });
+
+      // Turn complete - commit it to history and close out the streamed response
+      conversationHistory.push(...turn.messages);
+      currentTurn = null;
+      recordAssistantTurn(turn, aiResponse, false);
+      relay.text('', true);
+
+      // Replies stopped by a cap never reached the model
+      if (completion) {
+        const labels = { provider: llm.provider, model: llm.model };
+        turnLatency.observe(labels, (Date.now() - turn.startedAt) / 1000);
+        if (turn.firstTokenAt) {
+          timeToFirstToken.observe(labels, (turn.firstTokenAt - turn.startedAt) / 1000);
+        }
+      }
+      updateHistory();
+
+      if (pendingEnd) {
+        finishCall(aiResponse);
+      }
+
+    } catch (aiError) {
+      if (signal.aborted) {
+        // Interrupted by the caller - history was already trimmed by interruptTurn
+        log.info('Turn cancelled by interrupt');
+        return;
+      }
+
+      if (currentTurn === turn) {
+        currentTurn = null;
+      }
+
+      log.error('LLM request failed', { provider: llm.provider, model: llm.model, keySource, error: aiError });
+      llmErrors.inc({ provider: llm.provider, type: llmErrorType(aiError) });
+
+      // Send error to browser
+      sendTunnelEvent('error', {
+        message: aiError.message,
+        type: 'openai_error'
+      });
+
+      // Keep the tool exchanges that completed and answer the caller's message with the
+      // apology, so history and the saved transcript show what the caller heard
+      turn.messages.push({
+        role: 'assistant',
+        content: ERROR_REPLY
+      });
+      conversationHistory.push(...turn.messages);
+      recordAssistantTurn(turn, ERROR_REPLY, false);
+      relay.text(ERROR_REPLY, true);
+    }
+  };
+
+  /**
+   * Carry out a keypad action from the student's dtmf config
+   * @param {Object} action - Action from dtmf.keys or dtmf.collect (see dtmf-menu.js)
+   * @param {string} digits - Key(s) the caller entered
+   */
+  const runDtmfAction = async (action, digits) => {
+    log.info('Keypad action', { action: action.type, digits });
+
+    sendTunnelEvent('dtmf_action', {
+      action: action.type,
+      digits
+    });
+
+    switch (action.type) {
+      case 'reply': {
+        // Canned answer - no model call (it replaces a reply still running, like new input does)
+        if (endTimer) {
+          break;
+        }
+        if (currentTurn) {
+          interruptTurn('');
+        }
+        const text = fillDigits(action.text, digits);
+        conversationHistory.push(
+          { role: 'user', content: `[keypad: ${digits}]` },
+          { role: 'assistant', content: text }
+        );
+        recordTurn({ role: 'user', text: `[keypad: ${digits}]` });
+        recordTurn({ role: 'assistant', text });
+        relay.text(text, true);
+
+        sendTunnelEvent('ai_response', {
+          text,
+          source: 'dtmf',
+          tokensUsed: 0
+        });
+        updateHistory();
+        break;
+      }
+
+      case 'prompt':
+        await respondTo(fillDigits(action.text, digits));
+        break;
+
+      case 'tool':
+        // The tool runs first, then the model answers with its result in context
+        await respondTo(`[keypad: ${digits}]`, {
+          toolCall: {
+            id: `dtmf_${Date.now()}`,
+            type: 'function',
+            function: {
+              name: action.name,
+              arguments: JSON.stringify({ [action.argument || 'digits']: digits })
+            }
+          }
+        });
+        break;
+
+      case 'send_digits':
+        relay.sendDigits(fillDigits(action.digits, digits));
+        break;
+
+      case 'play':
+        relay.play(action.source);
+        break;
+    }
+  };
+
+  // Keypad menus from the student's config (digits are only forwarded to the browser without one)
+  // Actions start after the current event so `dtmf_pressed` reaches the browser first
+  const dtmfMenu = studentConfig.dtmf ? createDtmfMenu(studentConfig.dtmf, (action, digits) => {
+    queueMicrotask(() => {
+      runDtmfAction(action, digits).catch(error => {
+        log.error('Keypad action failed', { error });
+      });
+    });
+  }) : null;
+
   // Handle incoming messages from Twilio
-  ws.on('message', async (message) => {
+  ws.on('message', bindLogContext(async (message) => {
     try {
       const data = JSON.parse(message);
 
@@ -108,17 +959,34 @@ export async function handleConversationRelay(ws, studentConfig, sessionToken, r
         // Event: SETUP - Initial connection with call metadata
         // ----------------------------------------------------------------------
         case 'setup':
-          console.log(`📞 Call Setup for ${studentConfig.student_name}:`);
-          console.log(`  Session ID: ${data.sessionId}`);
-          console.log(`  Call SID: ${data.callSid}`);
-          console.log(`  From: ${data.from}`);
-          console.log(`  To: ${data.to}`);
+          setLogContext({ callSid: data.callSid });
+          log.info('Call setup', { sessionId: data.sessionId, from: data.from, to: data.to, direction: data.direction });
 
           callMetadata.callSid = data.callSid;
           callMetadata.from = data.from;
           callMetadata.to = data.to;
           callMetadata.direction = data.direction;
           callMetadata.sessionId = data.sessionId;
+          callMetadata.customParameters = data.customParameters || {};
+
+          // Pick the prompt (or variant) and fill in the caller, time and TwiML parameters
+          const promptChoice = selectPromptTemplate(studentConfig, callMetadata.customParameters);
+          systemPrompt = renderPromptTemplate(promptChoice.template || DEFAULT_SYSTEM_PROMPT, promptValuesForCall(callMetadata));
+          callMetadata.promptVariant = promptChoice.variant;
+          if (promptChoice.variant) {
+            log.info('Using prompt variant', { variant: promptChoice.variant });
+          }
+
+          if (studentConfig.caller_memory && data.from && !callOptions.replay) {
+            callerMemoryReady = loadMemoryForCaller(data.from);
+          }
+
+          updateActiveCall(callId, {
+            callSid: data.callSid,
+            from: data.from,
+            to: data.to,
+            direction: data.direction
+          });
 
           // Send to browser
           sendTunnelEvent('call_setup', {
@@ -127,23 +995,67 @@ export async function handleConversationRelay(ws, studentConfig, sessionToken, r
             from: data.from,
             to: data.to,
             direction: data.direction,
+            customParameters: callMetadata.customParameters,
+            promptVariant: callMetadata.promptVariant,
             studentName: studentConfig.student_name
           });
 
+          persist('call', () => createCall({
+            callSid: data.callSid,
+            sessionToken,
+            from: data.from,
+            to: data.to,
+            direction: data.direction,
+            startedAt: callMetadata.startTime
+          }));
+
+          // Only a call Twilio has set up counts against the per-minute call limits
+          // (replays are the student testing a change, not callers - they only check the budgets)
+          callChecked = (callOptions.replay
+            ? checkRequestAllowed(sessionToken, keySource, 0)
+            : checkCallAllowed(sessionToken, keySource)
+          ).then(limit => {
+            blockedBy = limit;
+            if (limit) {
+              reportLimit(limit);
+            }
+          });
+          await callChecked;
+
+          // A call refused by a rate limit or budget gets the limit message instead of the greeting
+          if (blockedBy) {
+            conversationHistory.push({
+              role: 'assistant',
+              content: blockedBy.message
+            });
+            recordTurn({
+              role: 'assistant',
+              text: blockedBy.message
+            });
+            relay.text(blockedBy.message, true);
+            break;
+          }
+
           // If there's a custom welcome greeting, send it as initial AI response
           // This ensures the greeting appears in transcripts/call monitor
-          if (studentConfig.custom_welcome_greeting) {
-            console.log(`👋 ${studentConfig.student_name} - AI greeting: ${studentConfig.custom_welcome_greeting}`);
+          const greeting = studentConfig.voice_settings?.greeting;
+          if (greeting) {
+            log.debug('AI greeting', { text: greeting });
 
             // Add to conversation history
             conversationHistory.push({
               role: 'assistant',
-              content: studentConfig.custom_welcome_greeting
+              content: greeting
+            });
+
+            recordTurn({
+              role: 'assistant',
+              text: greeting
             });
 
             // Send AI response to browser
             sendTunnelEvent('ai_response', {
-              text: studentConfig.custom_welcome_greeting,
+              text: greeting,
               isInitialGreeting: true,
               tokensUsed: 0
             });
@@ -154,7 +1066,7 @@ export async function handleConversationRelay(ws, studentConfig, sessionToken, r
         // Event: PROMPT - Caller spoke, we got their words as TEXT
         // ----------------------------------------------------------------------
         case 'prompt':
-          console.log(`🗣️  ${studentConfig.student_name} - Caller said: ${data.voicePrompt}`);
+          log.debug('Caller said', { text: data.voicePrompt });
 
           // Send to browser
           sendTunnelEvent('user_spoke', {
@@ -162,204 +1074,19 @@ export async function handleConversationRelay(ws, studentConfig, sessionToken, r
             callSid: callMetadata.callSid
           });
 
-          // Add to conversation history
-          conversationHistory.push({
-            role: 'user',
-            content: data.voicePrompt
-          });
-
-          try{
-            // Call OpenAI with student's custom system prompt
-            const defaultPrompt = `You are a helpful assistant.
-
-# Voice Conversation Guidelines
-- Keep responses BRIEF (1-2 sentences max)
-- Be conversational and natural
-- Avoid lists, bullet points, or structured formatting
-- Don't say "as an AI" or mention you're artificial
-- If you don't know something, say so briefly
-- Respond quickly - every second matters in voice
-- Use casual language, contractions, and natural speech patterns
-
-# Response Style
-- Short and direct
-- Friendly but professional
-- Natural and human-like`;
-
-            const messages = [
-              {
-                role: 'system',
-                content: studentConfig.system_prompt || defaultPrompt
-              },
-              ...conversationHistory
-            ];
-
-            // Add tools if student configured them
-            const completionParams = {
-              model: 'gpt-4o-mini',
-              messages: messages,
-              max_tokens: 150,
-              temperature: 0.7
-            };
-
-            if (studentConfig.tools && studentConfig.tools.length > 0) {
-              completionParams.tools = studentConfig.tools;
-              completionParams.tool_choice = 'auto';
-            }
-
-            console.log(`🤖 ${studentConfig.student_name} - Calling OpenAI with ${conversationHistory.length} messages...`);
-
-            // Send OpenAI request start event
-            sendTunnelEvent('openai_request_start', {
-              messageCount: conversationHistory.length,
-              model: 'gpt-4o-mini',
-              hasTools: !!(studentConfig.tools && studentConfig.tools.length > 0)
-            });
-
-            const completion = await openai.chat.completions.create(completionParams);
-            console.log(`✅ ${studentConfig.student_name} - OpenAI responded successfully`);
-
-            // Send OpenAI request complete event
-            sendTunnelEvent('openai_request_complete', {
-              success: true,
-              finishReason: completion.choices[0].finish_reason
-            });
-
-            const message = completion.choices[0].message;
-
-            // Send token usage to browser
-            sendTunnelEvent('token_usage', {
-              promptTokens: completion.usage.prompt_tokens,
-              completionTokens: completion.usage.completion_tokens,
-              totalTokens: completion.usage.total_tokens,
-              estimatedCost: (completion.usage.total_tokens * 0.000015).toFixed(6) // Rough GPT-4o-mini cost
-            });
-
-            // Handle tool calls if present
-            if (message.tool_calls) {
-              console.log(`🔧 ${studentConfig.student_name} - AI wants to call tools:`,
-                message.tool_calls.map(t => t.function.name));
-
-              // Send tool call event to browser
-              for (const toolCall of message.tool_calls) {
-                sendTunnelEvent('tool_call_start', {
-                  toolName: toolCall.function.name,
-                  arguments: toolCall.function.arguments,
-                  toolCallId: toolCall.id
-                });
-              }
-
-              // Add assistant message with tool calls to history
-              conversationHistory.push(message);
-
-              // Execute tools and add results
-              for (const toolCall of message.tool_calls) {
-                const toolResult = await executeToolCall(
-                  toolCall.function.name,
-                  JSON.parse(toolCall.function.arguments),
-                  studentConfig
-                );
-
-                // Send tool result to browser
-                sendTunnelEvent('tool_call_result', {
-                  toolName: toolCall.function.name,
-                  toolCallId: toolCall.id,
-                  result: toolResult
-                });
-
-                conversationHistory.push({
-                  role: 'tool',
-                  tool_call_id: toolCall.id,
-                  content: JSON.stringify(toolResult)
-                });
-              }
-
-              // Get final response after tool execution
-              const finalCompletion = await openai.chat.completions.create({
-                model: 'gpt-4o-mini',
-                messages: [
-                  { role: 'system', content: studentConfig.system_prompt },
-                  ...conversationHistory
-                ],
-                max_tokens: 150,
-                temperature: 0.7
-              });
-
-              const aiResponse = finalCompletion.choices[0].message.content;
-              console.log(`🤖 ${studentConfig.student_name} - AI (after tools): ${aiResponse}`);
-
-              conversationHistory.push({
-                role: 'assistant',
-                content: aiResponse
-              });
-
-              // Send AI response to browser
-              sendTunnelEvent('ai_response', {
-                text: aiResponse,
-                afterTools: true,
-                tokensUsed: finalCompletion.usage?.total_tokens || 0
-              });
-
-              // Send response to Twilio
-              ws.send(JSON.stringify({
-                type: 'text',
-                token: aiResponse,
-                last: true
-              }));
-
-            } else {
-              // No tool calls, just respond
-              const aiResponse = message.content;
-              console.log(`🤖 ${studentConfig.student_name} - AI: ${aiResponse}`);
-
-              conversationHistory.push({
-                role: 'assistant',
-                content: aiResponse
-              });
-
-              // Send AI response to browser
-              sendTunnelEvent('ai_response', {
-                text: aiResponse,
-                tokensUsed: completion.usage?.total_tokens || 0
-              });
-
-              // Send response to Twilio
-              ws.send(JSON.stringify({
-                type: 'text',
-                token: aiResponse,
-                last: true
-              }));
-            }
-
-          } catch (aiError) {
-            console.error(`❌ ${studentConfig.student_name} - OpenAI error:`, aiError.message);
-            console.error(`   Error details:`, aiError);
-            console.error(`   API Key exists:`, !!studentConfig.openai_api_key);
-            console.error(`   API Key starts with:`, studentConfig.openai_api_key?.substring(0, 10));
-
-            // Send error to browser
-            sendTunnelEvent('error', {
-              message: aiError.message,
-              type: 'openai_error'
-            });
-
-            ws.send(JSON.stringify({
-              type: 'text',
-              token: 'I apologize, I encountered an error processing your request.',
-              last: true
-            }));
-          }
+          await respondTo(data.voicePrompt);
           break;
 
         // ----------------------------------------------------------------------
         // Event: DTMF - Caller pressed a keypad button
         // ----------------------------------------------------------------------
         case 'dtmf':
-          console.log(`🔢 ${studentConfig.student_name} - DTMF: ${data.digit}`);
+          log.debug('DTMF', { digit: data.digit });
 
           // Send to browser
           sendTunnelEvent('dtmf_pressed', {
-            digit: data.digit
+            digit: data.digit,
+            status: dtmfMenu ? dtmfMenu.press(data.digit) : 'ignored'
           });
           break;
 
@@ -367,16 +1094,20 @@ export async function handleConversationRelay(ws, studentConfig, sessionToken, r
         // Event: INTERRUPT - Caller interrupted the AI mid-sentence
         // ----------------------------------------------------------------------
         case 'interrupt':
-          console.log(`⚠️  ${studentConfig.student_name} - Interrupted at: ${data.utteranceUntilInterrupt}`);
+          log.info('Interrupted', { utteranceUntilInterrupt: data.utteranceUntilInterrupt });
+
+          // Cancel any in-flight generation and trim history to what was spoken
+          const cancelledTurn = interruptTurn(data.utteranceUntilInterrupt || '');
 
           // Send to browser
           sendTunnelEvent('interrupted', {
-            utteranceUntilInterrupt: data.utteranceUntilInterrupt
+            utteranceUntilInterrupt: data.utteranceUntilInterrupt,
+            cancelledTurn
           });
           break;
 
         default:
-          console.log(`❓ ${studentConfig.student_name} - Unknown event: ${data.type}`);
+          log.warn('Unknown event', { eventType: data.type });
           // Send ALL unknown events to browser for debugging/filtering
           sendTunnelEvent('unknown_event', {
             originalType: data.type,
@@ -385,15 +1116,34 @@ export async function handleConversationRelay(ws, studentConfig, sessionToken, r
       }
 
     } catch (error) {
-      console.error(`❌ ${studentConfig.student_name} - Error parsing message:`, error);
+      log.error('Error handling message', { error });
     }
-  });
+  }));
 
   // Handle connection close
-  ws.on('close', () => {
+  ws.on('close', bindLogContext(() => {
     const duration = Math.round((Date.now() - new Date(callMetadata.startTime)) / 1000);
-    console.log(`📞 ${studentConfig.student_name} - ConversationRelay disconnected`);
-    console.log(`   Call duration: ${duration}s`);
+    log.info('ConversationRelay disconnected', { durationSeconds: duration });
+
+    // Stop generating for a caller who has hung up
+    if (currentTurn) {
+      currentTurn.controller.abort();
+      currentTurn = null;
+    }
+    callController.abort();
+
+    // The call is over - drop any half-entered digits and a pending end
+    dtmfMenu?.cancel();
+    clearTimeout(endTimer);
+
+    // Update the caller's memory (which needs the model), then drop the API key
+    rememberCall().finally(() => keyLease.release());
+
+    const callSid = callMetadata.callSid;
+    persist('call end', () => endCall(callSid, {
+      endedAt: new Date().toISOString(),
+      durationSeconds: duration
+    }));
 
     // Send call ended event to browser
     sendTunnelEvent('call_ended', {
@@ -402,33 +1152,100 @@ export async function handleConversationRelay(ws, studentConfig, sessionToken, r
       from: callMetadata.from,
       to: callMetadata.to
     });
-  });
+
+    unregisterActiveCall(callId);
+    if (!callOptions.replay) {
+      callsEnded.inc();
+    }
+  }));
 
   // Handle errors
-  ws.on('error', (error) => {
-    console.error(`❌ ${studentConfig.student_name} - WebSocket error:`, error.message);
+  ws.on('error', bindLogContext((error) => {
+    log.error('WebSocket error', { error });
 
     // Send error to browser
     sendTunnelEvent('error', {
       message: error.message,
       type: 'websocket_error'
     });
-  });
+  }));
+
+  return {
+    // Called by server.js on SIGTERM - a reply in progress is finished first
+    drain: (goodbye) => {
+      shutdownGoodbye = goodbye;
+      if (!replying) {
+        sayGoodbye();
+      }
+    }
+  };
 }
 
+// What the caller hears when a turn fails
+const ERROR_REPLY = 'I apologize, I encountered an error processing your request.';
+
+// System prompt for students who haven't written one
+const DEFAULT_SYSTEM_PROMPT = `You are a helpful assistant.
+
+# Voice Conversation Guidelines
+- Keep responses BRIEF (1-2 sentences max)
+- Be conversational and natural
+- Avoid lists, bullet points, or structured formatting
+- Don't say "as an AI" or mention you're artificial
+- If you don't know something, say so briefly
+- Respond quickly - every second matters in voice
+- Use casual language, contractions, and natural speech patterns
+
+# Response Style
+- Short and direct
+- Friendly but professional
+- Natural and human-like`;
+
+// Default number of tool-calling rounds per turn before forcing a text answer
+const DEFAULT_MAX_TOOL_STEPS = 5;
+
+// Longest the end-of-call caller memory summary may take
+const MEMORY_SUMMARY_TIMEOUT_MS = 15000;
+
+// Rough TTS speaking rate, used to wait for a goodbye before ending the call
+const SPEECH_MS_PER_CHAR = 70;
+const END_CALL_GRACE_MS = 1000;
+
+function estimateSpeechMs(text) {
+  return END_CALL_GRACE_MS + (text || '').length * SPEECH_MS_PER_CHAR;
+}
+
+// Minimum buffered length before we break on a clause (comma, semicolon, colon)
+// rather than waiting for a full sentence
+const MIN_CLAUSE_LENGTH = 40;
+
 /**
- * Execute a tool call
- * @param {string} toolName - Name of the tool
- * @param {Object} args - Tool arguments
- * @param {Object} studentConfig - Student configuration
+ * Split streamed text at the last sentence or clause boundary
+ * @param {string} text - Buffered text not yet sent to Twilio
+ * @returns {Object} { speakable, rest } - text ready for TTS and the remainder to keep buffering
  */
-async function executeToolCall(toolName, args, studentConfig) {
-  console.log(`🔧 Executing tool: ${toolName}`, args);
+export function splitSpeakable(text) {
+  let cut = lastBoundary(text, /[.!?]+["')\]]*\s+/g);
+
+  if (cut === -1 && text.length >= MIN_CLAUSE_LENGTH) {
+    cut = lastBoundary(text, /[,;:]\s+/g);
+  }
+
+  if (cut === -1) {
+    return { speakable: '', rest: text };
+  }
 
-  // Tool execution logic would go here
-  // For now, return a placeholder
   return {
-    success: true,
-    message: `Tool ${toolName} executed with args: ${JSON.stringify(args)}`
+    speakable: text.substring(0, cut),
+    rest: text.substring(cut)
   };
 }
+
+function lastBoundary(text, pattern) {
+  let cut = -1;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    cut = match.index + match[0].length;
+  }
+  return cut;
+}
@@ -0,0 +1,201 @@
+/**
+ * Conversation History
+ * Keeps the history sent to the model within a token budget
+ *
+ * The system prompt and the most recent turns are always sent verbatim. Once the
+ * history grows near HISTORY_MAX_TOKENS, older turns are handled by the student's
+ * history strategy:
+ *   'summarize' (default) - condensed into a rolling summary added to the system prompt
+ *   'truncate'            - dropped from the request
+ * A request that is still over budget (e.g. while a summary is being written) drops
+ * its oldest turns, so the model always gets a history that fits.
+ *
+ * History is handled in whole turns - a caller message plus everything the assistant
+ * did in reply - so a tool call is never separated from its result.
+ *
+ * Token counts are estimates (about 4 characters per token), close enough for
+ * budgeting without a tokenizer for every provider.
+ */
+
+export const HISTORY_STRATEGIES = ['summarize', 'truncate'];
+
+const DEFAULT_MAX_TOKENS = parseInt(process.env.HISTORY_MAX_TOKENS || '3000', 10);
+const DEFAULT_KEEP_TURNS = parseInt(process.env.HISTORY_KEEP_TURNS || '4', 10);
+
+// Summarize once the history reaches this share of the budget, before truncation kicks in
+const SUMMARIZE_AT = 0.75;
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+const SUMMARY_INSTRUCTIONS = `You summarize phone calls between a caller and a voice assistant.
+Write a short summary (at most 5 sentences) of what has happened so far: who the caller is,
+what they want, facts and tool results the assistant learned, and anything promised or decided.
+Reply with the summary only.`;
+
+/**
+ * Estimate the tokens in a list of chat messages
+ * @param {Array} messages - Messages in OpenAI chat format
+ * @returns {number} Approximate token count
+ */
+export function estimateTokens(messages) {
+  let chars = 0;
+  for (const message of messages) {
+    chars += (message.content || '').length;
+    if (message.tool_calls) {
+      chars += JSON.stringify(message.tool_calls).length;
+    }
+  }
+  return Math.ceil(chars / CHARS_PER_TOKEN) + messages.length * MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Create the history for one call
+ * @param {Object} options - { strategy, maxTokens, keepRecentTurns, summarize }
+ *   summarize(messages) - runs a chat request and resolves to the reply text (or null to skip)
+ * @returns {Object} { messages, summary, buildRequest, compact, status }
+ */
+export function createConversationHistory(options = {}) {
+  const strategy = options.strategy || 'summarize';
+  const maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+  const keepRecentTurns = options.keepRecentTurns ?? DEFAULT_KEEP_TURNS;
+
+  // Verbatim history - callers push to and trim this array directly
+  const messages = [];
+  let summary = null;
+  let summarizedTurns = 0;
+  let compacting = null;
+
+  // Work out which turns fit the budget; the oldest go first and the latest is always kept
+  const fit = (systemPrompt, turnMessages) => {
+    const system = {
+      role: 'system',
+      content: summary ? `${systemPrompt}\n\n# Earlier in this call\n${summary}` : systemPrompt
+    };
+    const turns = splitTurns(messages);
+    let tokens = estimateTokens([system, ...messages, ...turnMessages]);
+
+    let start = 0;
+    while (tokens > maxTokens && start < turns.length - 1) {
+      tokens -= estimateTokens(turns[start]);
+      start++;
+    }
+    return { system, kept: turns.slice(start).flat(), truncatedTurns: start, tokens };
+  };
+
+  return {
+    messages,
+
+    // Rolling summary of the turns no longer in `messages`
+    get summary() {
+      return summary;
+    },
+
+    /**
+     * Messages for a model request: system prompt (with the summary), as much history
+     * as fits the budget, then the messages of the turn in progress
+     * @param {string} systemPrompt - Call's system prompt
+     * @param {Array} turnMessages - Messages staged by the current turn
+     * @returns {Array} Request messages
+     */
+    buildRequest(systemPrompt, turnMessages = []) {
+      const { system, kept } = fit(systemPrompt, turnMessages);
+      return [system, ...kept, ...turnMessages];
+    },
+
+    /**
+     * Fold older turns into the summary when the history is near the budget ('summarize' only)
+     * The turns stay in the history until the summary is ready, so this can run between turns
+     * @returns {Promise<boolean>} True if turns were summarized
+     */
+    compact() {
+      if (strategy !== 'summarize' || !options.summarize) {
+        return Promise.resolve(false);
+      }
+      if (compacting) {
+        return compacting;
+      }
+
+      const turns = splitTurns(messages);
+      const older = turns.slice(0, Math.max(0, turns.length - keepRecentTurns));
+      if (older.length === 0 || estimateTokens(messages) < maxTokens * SUMMARIZE_AT) {
+        return Promise.resolve(false);
+      }
+
+      const folded = older.flat();
+      compacting = options.summarize(buildSummaryRequest(summary, folded))
+        .then(text => {
+          // Only drop the turns if nothing has rewritten the front of the history meanwhile
+          if (!text?.trim() || !folded.every((message, i) => messages[i] === message)) {
+            return false;
+          }
+          messages.splice(0, folded.length);
+          summary = text.trim();
+          summarizedTurns += older.length;
+          return true;
+        })
+        .finally(() => {
+          compacting = null;
+        });
+      return compacting;
+    },
+
+    /**
+     * Current state for the history_status tunnel event
+     * `tokens` is the estimated size of the next request's system prompt and history
+     * @param {string} systemPrompt - Call's system prompt
+     * @returns {Object} { strategy, tokens, maxTokens, messages, summarizedTurns, truncatedTurns, summaryTokens }
+     */
+    status(systemPrompt) {
+      const { tokens, truncatedTurns } = fit(systemPrompt, []);
+      return {
+        strategy,
+        tokens,
+        maxTokens,
+        messages: messages.length,
+        summarizedTurns,
+        truncatedTurns,
+        summaryTokens: summary ? estimateTokens([{ content: summary }]) : 0
+      };
+    }
+  };
+}
+
+/**
+ * Build the chat request that condenses messages into a summary
+ * @param {string|null} previousSummary - Summary to extend
+ * @param {Array} messages - Messages to fold into it
+ * @returns {Array} Request messages in OpenAI chat format
+ */
+export function buildSummaryRequest(previousSummary, messages) {
+  const transcript = messages.map(message => {
+    if (message.role === 'tool') {
+      return `Tool result: ${message.content}`;
+    }
+    if (message.tool_calls) {
+      const calls = message.tool_calls.map(call => `${call.function.name}(${call.function.arguments})`).join(', ');
+      return `${message.content ? `Assistant: ${message.content}\n` : ''}Assistant called: ${calls}`;
+    }
+    return `${message.role === 'user' ? 'Caller' : 'Assistant'}: ${message.content}`;
+  }).join('\n');
+
+  return [
+    { role: 'system', content: SUMMARY_INSTRUCTIONS },
+    {
+      role: 'user',
+      content: `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}Conversation to add:\n${transcript}`
+    }
+  ];
+}
+
+// A turn starts at each caller message (anything before the first, e.g. the greeting, is its own turn)
+function splitTurns(messages) {
+  const turns = [];
+  for (const message of messages) {
+    if (message.role === 'user' || turns.length === 0) {
+      turns.push([]);
+    }
+    turns[turns.length - 1].push(message);
+  }
+  return turns;
+}
@@ -0,0 +1,192 @@
+/**
+ * Credential Tunnel
+ * Fetches a student's API key from their browser without it crossing the wire in plaintext
+ *
+ * 1. Server -> every open tab:
+ *      { type: 'credential_request', requestId, provider, reason,
+ *        keyExchange: { algorithm: 'ECDH-P256+HKDF-SHA256+AES-256-GCM', publicKey } }
+ *    `publicKey` is a fresh P-256 key for this request only (base64, uncompressed raw point).
+ * 2. The browser generates its own P-256 key pair, derives the shared secret with ECDH,
+ *    runs it through HKDF-SHA256 (empty salt, info 'workshop-credential:' + requestId) to get
+ *    an AES-256-GCM key, and encrypts the API key with requestId as additional data.
+ * 3. Browser -> server:
+ *      { type: 'credential_response', requestId, encrypted: { publicKey, iv, ciphertext } }
+ *    All base64; `ciphertext` includes the GCM tag (as WebCrypto returns it).
+ *    A tab without a key answers with `encrypted: null`.
+ *
+ * The ephemeral private key never leaves this process and is discarded after one response.
+ * Plaintext keys (the old `openaiApiKey` field) are rejected.
+ *
+ * Decrypted keys are held in a lease (createKeyLease) that the call releases when it ends.
+ */
+
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('credential-tunnel');
+
+export const KEY_EXCHANGE_ALGORITHM = 'ECDH-P256+HKDF-SHA256+AES-256-GCM';
+
+const CURVE = 'prime256v1'; // P-256 in WebCrypto
+const HKDF_INFO_PREFIX = 'workshop-credential:';
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Upper bound on how long a tunnel key stays usable, even if the call never ends cleanly
+const LEASE_MAX_MS = parseInt(process.env.CREDENTIAL_LEASE_MAX_MS || '3600000', 10);
+
+/**
+ * Ask the student's browser tabs for an API key over the tunnel
+ * The request goes to every open tab and the first tab to answer wins
+ * @param {Object} activeTunnels - Tunnel registry (see tunnel-registry.js)
+ * @param {string} sessionToken - Student's session token
+ * @param {Object} options - { provider, reason }
+ * @returns {Promise<string|null>} Decrypted API key, or null if no tab is open or the browser has none
+ */
+export async function requestCredential(activeTunnels, sessionToken, options = {}) {
+  const tabs = activeTunnels.getOpen(sessionToken);
+
+  if (tabs.length === 0) {
+    log.warn('No active tunnel for session');
+    return null;
+  }
+
+  const requestId = `req_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+  const ecdh = crypto.createECDH(CURVE);
+  const publicKey = ecdh.generateKeys('base64');
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timeout);
+      for (const tab of tabs) {
+        tab.removeEventListener('message', messageHandler);
+      }
+    };
+
+    const timeout = setTimeout(() => {
+      cleanup();
+      reject(new Error('Credential request timeout - browser may be closed'));
+    }, REQUEST_TIMEOUT_MS);
+
+    const messageHandler = (event) => {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (error) {
+        return; // Ignore parse errors
+      }
+      if (data.type !== 'credential_response' || data.requestId !== requestId) {
+        return;
+      }
+
+      cleanup();
+
+      if (data.openaiApiKey) {
+        reject(new Error('Browser sent an unencrypted key - the workshop app must encrypt it with keyExchange.publicKey'));
+        return;
+      }
+      if (!data.encrypted) {
+        resolve(null);
+        return;
+      }
+
+      try {
+        const apiKey = decryptCredential(ecdh, requestId, data.encrypted);
+        log.info('Received encrypted key from browser tunnel', { provider: options.provider || 'openai' });
+        resolve(apiKey);
+      } catch (error) {
+        reject(new Error(`Could not decrypt credential: ${error.message}`));
+      }
+    };
+
+    for (const tab of tabs) {
+      tab.addEventListener('message', messageHandler);
+    }
+
+    // Send credential request to every open tab
+    log.info('Requesting credentials through tunnel', { tabs: tabs.length });
+    // Not buffered - a stale credential request must never be replayed on resume
+    activeTunnels.send(sessionToken, {
+      type: 'credential_request',
+      requestId,
+      provider: options.provider || 'openai',
+      reason: options.reason || null,
+      keyExchange: {
+        algorithm: KEY_EXCHANGE_ALGORITHM,
+        publicKey
+      }
+    }, { buffer: false });
+  });
+}
+
+/**
+ * Encrypt an API key for a credential request (the browser's side of the exchange)
+ * Used by tools and tests that act as the browser
+ * @param {string} serverPublicKey - keyExchange.publicKey from the credential request
+ * @param {string} requestId - requestId from the credential request
+ * @param {string} apiKey - Key to send
+ * @returns {Object} { publicKey, iv, ciphertext } for the credential response
+ */
+export function encryptCredential(serverPublicKey, requestId, apiKey) {
+  const ecdh = crypto.createECDH(CURVE);
+  const publicKey = ecdh.generateKeys('base64');
+  const key = deriveKey(ecdh.computeSecret(serverPublicKey, 'base64'), requestId);
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(requestId));
+  const ciphertext = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+
+  return {
+    publicKey,
+    iv: iv.toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+}
+
+/**
+ * Hold an API key for the length of a call
+ * The key is dropped when the lease is released or expires; get() then returns null
+ * @param {string|null} apiKey - Key to hold
+ * @param {number|null} ttlMs - Maximum lifetime (null = until released)
+ * @returns {Object} { get(), release(), expiresAt }
+ */
+export function createKeyLease(apiKey, ttlMs = LEASE_MAX_MS) {
+  let key = apiKey || null;
+
+  const timer = ttlMs ? setTimeout(() => {
+    key = null;
+  }, ttlMs) : null;
+  timer?.unref();
+
+  return {
+    expiresAt: ttlMs ? Date.now() + ttlMs : null,
+    get: () => key,
+    release: () => {
+      key = null;
+      clearTimeout(timer);
+    }
+  };
+}
+
+function decryptCredential(ecdh, requestId, encrypted) {
+  const { publicKey, iv, ciphertext } = encrypted;
+  if (typeof publicKey !== 'string' || typeof iv !== 'string' || typeof ciphertext !== 'string') {
+    throw new Error('encrypted must contain publicKey, iv and ciphertext');
+  }
+
+  const key = deriveKey(ecdh.computeSecret(publicKey, 'base64'), requestId);
+  const data = Buffer.from(ciphertext, 'base64');
+  if (data.length <= 16) {
+    throw new Error('ciphertext is too short');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAAD(Buffer.from(requestId));
+  decipher.setAuthTag(data.subarray(data.length - 16));
+  return Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]).toString('utf8');
+}
+
+// HKDF binds the key to this request, so a response can't be replayed into another one
+function deriveKey(sharedSecret, requestId) {
+  return Buffer.from(crypto.hkdfSync('sha256', sharedSecret, Buffer.alloc(0), HKDF_INFO_PREFIX + requestId, 32));
+}
@@ -4,6 +4,9 @@
  */
 
 import postgres from 'postgres';
+import { createLogger, sessionPrefix } from './logger.js';
+
+const log = createLogger('database');
 
 // Connect to Vercel Postgres
 const sql = postgres(process.env.POSTGRES_URL, {
@@ -16,7 +19,7 @@ const sql = postgres(process.env.POSTGRES_URL, {
 /**
  * Get student configuration by session token
  * @param {string} sessionToken - Student's unique session token
- * @returns {Object|null} Student config or null if not found
+ * @returns {Object|null} Raw student_configs row or null if not found (see configFromDatabase)
  */
 export async function getStudentConfig(sessionToken) {
   try {
@@ -39,43 +42,11 @@ export async function getStudentConfig(sessionToken) {
       return null;
     }
 
-    const config = result[0];
-
-    // Parse JSON fields (handle both string and object formats)
-    let tools = [];
-    let voiceSettings = {};
-
-    try {
-      tools = typeof config.tools === 'string'
-        ? JSON.parse(config.tools)
-        : (config.tools || []);
-    } catch (e) {
-      console.error('Error parsing tools:', e);
-      tools = [];
-    }
-
-    try {
-      voiceSettings = typeof config.voice_settings === 'string'
-        ? JSON.parse(config.voice_settings)
-        : (config.voice_settings || {});
-    } catch (e) {
-      console.error('Error parsing voice_settings:', e);
-      voiceSettings = {};
-    }
-
-    return {
-      session_token: config.session_token,
-      student_name: config.student_name,
-      openai_api_key: config.openai_api_key,
-      system_prompt: config.system_prompt,
-      tools: tools,
-      voice_settings: voiceSettings,
-      created_at: config.created_at,
-      updated_at: config.updated_at
-    };
+    // JSON fields are returned as stored - student-config.js parses and validates them
+    return result[0];
 
   } catch (error) {
-    console.error('Database error:', error);
+    log.error('Database error', { operation: 'getStudentConfig', error });
     throw error;
   }
 }
@@ -115,18 +86,475 @@ export async function saveStudentConfig(sessionToken, config) {
         updated_at = NOW()
     `;
 
-    console.log(`✅ Saved config for session: ${sessionToken.substring(0, 8)}...`);
+    log.info('Saved config', { session: sessionPrefix(sessionToken) });
+    return true;
+
+  } catch (error) {
+    log.error('Database error', { operation: 'saveStudentConfig', error });
+    throw error;
+  }
+}
+
+/**
+ * Get a value from a student's key/value store (used by the lookup tool)
+ * @param {string} sessionToken - Student's unique session token
+ * @param {string} key - Key to look up
+ * @returns {Promise<*>} Stored value or null if not found
+ */
+export async function getStudentValue(sessionToken, key) {
+  try {
+    const result = await sql`
+      SELECT value
+      FROM student_kv
+      WHERE session_token = ${sessionToken}
+        AND key = ${key}
+      LIMIT 1
+    `;
+
+    return result.length > 0 ? result[0].value : null;
+
+  } catch (error) {
+    log.error('Database error', { operation: 'getStudentValue', error });
+    throw error;
+  }
+}
+
+/**
+ * Save a value to a student's key/value store
+ * @param {string} sessionToken - Student's unique session token
+ * @param {string} key - Key to save under
+ * @param {*} value - JSON-serializable value
+ */
+export async function setStudentValue(sessionToken, key, value) {
+  try {
+    await sql`
+      INSERT INTO student_kv (session_token, key, value, updated_at)
+      VALUES (${sessionToken}, ${key}, ${sql.json(value)}, NOW())
+      ON CONFLICT (session_token, key)
+      DO UPDATE SET
+        value = EXCLUDED.value,
+        updated_at = NOW()
+    `;
+    return true;
+
+  } catch (error) {
+    log.error('Database error', { operation: 'setStudentValue', error });
+    throw error;
+  }
+}
+
+/**
+ * Record the start of a call
+ * @param {Object} call - { callSid, sessionToken, from, to, direction, startedAt }
+ */
+export async function createCall(call) {
+  try {
+    await sql`
+      INSERT INTO calls (
+        call_sid,
+        session_token,
+        from_number,
+        to_number,
+        direction,
+        started_at
+      ) VALUES (
+        ${call.callSid},
+        ${call.sessionToken},
+        ${call.from || null},
+        ${call.to || null},
+        ${call.direction || null},
+        ${call.startedAt}
+      )
+      ON CONFLICT (call_sid) DO NOTHING
+    `;
+    return true;
+
+  } catch (error) {
+    log.error('Database error', { operation: 'createCall', error });
+    throw error;
+  }
+}
+
+/**
+ * Record the end of a call
+ * @param {string} callSid - Twilio Call SID
+ * @param {Object} details - { endedAt, durationSeconds }
+ */
+export async function endCall(callSid, details) {
+  try {
+    await sql`
+      UPDATE calls SET
+        ended_at = ${details.endedAt},
+        duration_seconds = ${details.durationSeconds}
+      WHERE call_sid = ${callSid}
+    `;
+    return true;
+
+  } catch (error) {
+    log.error('Database error', { operation: 'endCall', error });
+    throw error;
+  }
+}
+
+/**
+ * Save one conversation turn of a call
+ * @param {string} callSid - Twilio Call SID
+ * @param {Object} turn - { index, role, text, toolCalls, usage, latencyMs, firstTokenMs, interrupted }
+ */
+export async function saveCallTurn(callSid, turn) {
+  try {
+    await sql`
+      INSERT INTO call_turns (
+        call_sid,
+        turn_index,
+        role,
+        text,
+        tool_calls,
+        prompt_tokens,
+        completion_tokens,
+        total_tokens,
+        latency_ms,
+        first_token_ms,
+        interrupted
+      ) VALUES (
+        ${callSid},
+        ${turn.index},
+        ${turn.role},
+        ${turn.text ?? null},
+        ${turn.toolCalls?.length ? sql.json(turn.toolCalls) : null},
+        ${turn.usage?.promptTokens ?? null},
+        ${turn.usage?.completionTokens ?? null},
+        ${turn.usage?.totalTokens ?? null},
+        ${turn.latencyMs ?? null},
+        ${turn.firstTokenMs ?? null},
+        ${turn.interrupted || false}
+      )
+      ON CONFLICT (call_sid, turn_index) DO NOTHING
+    `;
+    return true;
+
+  } catch (error) {
+    log.error('Database error', { operation: 'saveCallTurn', error });
+    throw error;
+  }
+}
+
+/**
+ * Mark a saved assistant turn as interrupted, keeping only the text the caller heard
+ * @param {string} callSid - Twilio Call SID
+ * @param {number} turnIndex - Index of the turn within the call
+ * @param {string} spokenText - Text spoken before the interruption
+ */
+export async function markCallTurnInterrupted(callSid, turnIndex, spokenText) {
+  try {
+    await sql`
+      UPDATE call_turns SET
+        text = ${spokenText},
+        interrupted = TRUE
+      WHERE call_sid = ${callSid}
+        AND turn_index = ${turnIndex}
+    `;
+    return true;
+
+  } catch (error) {
+    log.error('Database error', { operation: 'markCallTurnInterrupted', error });
+    throw error;
+  }
+}
+
+/**
+ * List a student's calls, newest first
+ * @param {string} sessionToken - Student's unique session token
+ * @param {Object} options - { limit, offset, from, to } (from/to are Date bounds on started_at)
+ * @returns {Promise<Object>} { calls, total }
+ */
+export async function listCalls(sessionToken, options = {}) {
+  const { limit = 20, offset = 0, from = null, to = null } = options;
+
+  try {
+    const filters = sql`
+      WHERE session_token = ${sessionToken}
+      ${from ? sql`AND started_at >= ${from}` : sql``}
+      ${to ? sql`AND started_at < ${to}` : sql``}
+    `;
+
+    const calls = await sql`
+      SELECT
+        c.call_sid,
+        c.session_token,
+        c.from_number,
+        c.to_number,
+        c.direction,
+        c.started_at,
+        c.ended_at,
+        c.duration_seconds,
+        (SELECT COUNT(*)::int FROM call_turns t WHERE t.call_sid = c.call_sid) AS turn_count
+      FROM calls c
+      ${filters}
+      ORDER BY started_at DESC
+      LIMIT ${limit}
+      OFFSET ${offset}
+    `;
+
+    const [{ total }] = await sql`
+      SELECT COUNT(*)::int AS total
+      FROM calls
+      ${filters}
+    `;
+
+    return { calls, total };
+
+  } catch (error) {
+    log.error('Database error', { operation: 'listCalls', error });
+    throw error;
+  }
+}
+
+/**
+ * Get a call with its full turn-by-turn transcript
+ * @param {string} callSid - Twilio Call SID
+ * @returns {Promise<Object|null>} Call with `turns` array, or null if not found
+ */
+export async function getCallTranscript(callSid) {
+  try {
+    const calls = await sql`
+      SELECT
+        call_sid,
+        session_token,
+        from_number,
+        to_number,
+        direction,
+        started_at,
+        ended_at,
+        duration_seconds
+      FROM calls
+      WHERE call_sid = ${callSid}
+      LIMIT 1
+    `;
+
+    if (calls.length === 0) {
+      return null;
+    }
+
+    const turns = await sql`
+      SELECT
+        turn_index,
+        role,
+        text,
+        tool_calls,
+        prompt_tokens,
+        completion_tokens,
+        total_tokens,
+        latency_ms,
+        first_token_ms,
+        interrupted,
+        created_at
+      FROM call_turns
+      WHERE call_sid = ${callSid}
+      ORDER BY turn_index
+    `;
+
+    return {
+      ...calls[0],
+      turn_count: turns.length,
+      turns
+    };
+
+  } catch (error) {
+    log.error('Database error', { operation: 'getCallTranscript', error });
+    throw error;
+  }
+}
+
+/**
+ * Add token usage to a session's daily totals
+ * @param {Object} usage - { day, sessionToken, model, keySource, promptTokens, completionTokens, costUsd }
+ */
+export async function addDailyUsage(usage) {
+  try {
+    await sql`
+      INSERT INTO usage_daily (
+        usage_date,
+        session_token,
+        model,
+        key_source,
+        request_count,
+        prompt_tokens,
+        completion_tokens,
+        cost_usd,
+        updated_at
+      ) VALUES (
+        ${usage.day},
+        ${usage.sessionToken},
+        ${usage.model},
+        ${usage.keySource},
+        1,
+        ${usage.promptTokens},
+        ${usage.completionTokens},
+        ${usage.costUsd},
+        NOW()
+      )
+      ON CONFLICT (usage_date, session_token, model, key_source)
+      DO UPDATE SET
+        request_count = usage_daily.request_count + 1,
+        prompt_tokens = usage_daily.prompt_tokens + EXCLUDED.prompt_tokens,
+        completion_tokens = usage_daily.completion_tokens + EXCLUDED.completion_tokens,
+        cost_usd = usage_daily.cost_usd + EXCLUDED.cost_usd,
+        updated_at = NOW()
+    `;
+    return true;
+
+  } catch (error) {
+    log.error('Database error', { operation: 'addDailyUsage', error });
+    throw error;
+  }
+}
+
+/**
+ * Get every session's usage for a day
+ * @param {string} day - UTC date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Rows of { session_token, model, key_source, prompt_tokens, completion_tokens, cost_usd }
+ */
+export async function getDailyUsage(day) {
+  try {
+    return await sql`
+      SELECT
+        session_token,
+        model,
+        key_source,
+        request_count,
+        prompt_tokens,
+        completion_tokens,
+        cost_usd::float AS cost_usd
+      FROM usage_daily
+      WHERE usage_date = ${day}
+    `;
+
+  } catch (error) {
+    log.error('Database error', { operation: 'getDailyUsage', error });
+    throw error;
+  }
+}
+
+/**
+ * Get what a student's agent remembers about a caller
+ * @param {string} sessionToken - Student's unique session token
+ * @param {string} caller - Caller's phone number
+ * @returns {Promise<Object|null>} { caller, summary, facts, call_count, updated_at } or null if none
+ */
+export async function getCallerMemory(sessionToken, caller) {
+  try {
+    const result = await sql`
+      SELECT
+        caller,
+        summary,
+        facts,
+        call_count,
+        created_at,
+        updated_at
+      FROM caller_memory
+      WHERE session_token = ${sessionToken}
+        AND caller = ${caller}
+      LIMIT 1
+    `;
+
+    return result.length > 0 ? result[0] : null;
+
+  } catch (error) {
+    log.error('Database error', { operation: 'getCallerMemory', error });
+    throw error;
+  }
+}
+
+/**
+ * Store the summary of a caller's conversations after a call
+ * @param {string} sessionToken - Student's unique session token
+ * @param {string} caller - Caller's phone number
+ * @param {string|null} summary - Summary of all conversations so far
+ */
+export async function saveCallerSummary(sessionToken, caller, summary) {
+  try {
+    await sql`
+      INSERT INTO caller_memory (session_token, caller, summary, call_count, updated_at)
+      VALUES (${sessionToken}, ${caller}, ${summary}, 1, NOW())
+      ON CONFLICT (session_token, caller)
+      DO UPDATE SET
+        summary = COALESCE(EXCLUDED.summary, caller_memory.summary),
+        call_count = caller_memory.call_count + 1,
+        updated_at = NOW()
+    `;
+    return true;
+
+  } catch (error) {
+    log.error('Database error', { operation: 'saveCallerSummary', error });
+    throw error;
+  }
+}
+
+/**
+ * Save one fact about a caller (used by the remember_caller_fact tool)
+ * @param {string} sessionToken - Student's unique session token
+ * @param {string} caller - Caller's phone number
+ * @param {string} key - Fact name
+ * @param {*} value - JSON-serializable value
+ */
+export async function setCallerFact(sessionToken, caller, key, value) {
+  try {
+    await sql`
+      INSERT INTO caller_memory (session_token, caller, facts, updated_at)
+      VALUES (${sessionToken}, ${caller}, ${sql.json({ [key]: value })}, NOW())
+      ON CONFLICT (session_token, caller)
+      DO UPDATE SET
+        facts = caller_memory.facts || EXCLUDED.facts,
+        updated_at = NOW()
+    `;
     return true;
 
   } catch (error) {
-    console.error('Database error:', error);
+    log.error('Database error', { operation: 'setCallerFact', error });
+    throw error;
+  }
+}
+
+/**
+ * Forget everything about a caller
+ * @param {string} sessionToken - Student's unique session token
+ * @param {string} caller - Caller's phone number
+ * @returns {Promise<boolean>} True if there was a memory to delete
+ */
+export async function deleteCallerMemory(sessionToken, caller) {
+  try {
+    const result = await sql`
+      DELETE FROM caller_memory
+      WHERE session_token = ${sessionToken}
+        AND caller = ${caller}
+    `;
+    return result.count > 0;
+
+  } catch (error) {
+    log.error('Database error', { operation: 'deleteCallerMemory', error });
+    throw error;
+  }
+}
+
+/**
+ * Check that the database answers a query (used by /ready)
+ * @returns {Promise<boolean>} True if the database is reachable
+ */
+export async function pingDatabase() {
+  try {
+    await sql`SELECT 1`;
+    return true;
+
+  } catch (error) {
+    log.error('Database error', { operation: 'pingDatabase', error });
     throw error;
   }
 }
 
 /**
  * Initialize database schema
- * Creates the student_configs table if it doesn't exist
+ * Creates the student_configs, student_kv, calls, call_turns, usage_daily and caller_memory tables if they don't exist
  */
 export async function initializeDatabase() {
   try {
@@ -143,11 +571,86 @@ export async function initializeDatabase() {
       )
     `;
 
-    console.log('✅ Database schema initialized');
+    await sql`
+      CREATE TABLE IF NOT EXISTS student_kv (
+        session_token TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value JSONB,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (session_token, key)
+      )
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS calls (
+        call_sid TEXT PRIMARY KEY,
+        session_token TEXT NOT NULL,
+        from_number TEXT,
+        to_number TEXT,
+        direction TEXT,
+        started_at TIMESTAMP NOT NULL,
+        ended_at TIMESTAMP,
+        duration_seconds INTEGER,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `;
+
+    await sql`
+      CREATE INDEX IF NOT EXISTS calls_session_token_started_at_idx
+      ON calls (session_token, started_at DESC)
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS call_turns (
+        call_sid TEXT NOT NULL REFERENCES calls (call_sid) ON DELETE CASCADE,
+        turn_index INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        text TEXT,
+        tool_calls JSONB,
+        prompt_tokens INTEGER,
+        completion_tokens INTEGER,
+        total_tokens INTEGER,
+        latency_ms INTEGER,
+        first_token_ms INTEGER,
+        interrupted BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (call_sid, turn_index)
+      )
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS usage_daily (
+        usage_date DATE NOT NULL,
+        session_token TEXT NOT NULL,
+        model TEXT NOT NULL,
+        key_source TEXT NOT NULL,
+        request_count INTEGER NOT NULL DEFAULT 0,
+        prompt_tokens BIGINT NOT NULL DEFAULT 0,
+        completion_tokens BIGINT NOT NULL DEFAULT 0,
+        cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (usage_date, session_token, model, key_source)
+      )
+    `;
+
+    await sql`
+      CREATE TABLE IF NOT EXISTS caller_memory (
+        session_token TEXT NOT NULL,
+        caller TEXT NOT NULL,
+        summary TEXT,
+        facts JSONB NOT NULL DEFAULT '{}',
+        call_count INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (session_token, caller)
+      )
+    `;
+
+    log.info('Database schema initialized');
     return true;
 
   } catch (error) {
-    console.error('Database initialization error:', error);
+    log.error('Database initialization error', { error });
     throw error;
   }
 }
@@ -0,0 +1,107 @@
+/**
+ * DTMF Menus
+ * Turns keypad presses into actions from the student's `dtmf` config
+ *
+ *   dtmf: {
+ *     keys: { '0': action, '*': action },   // single-key actions
+ *     collect: {                            // multi-digit entry, e.g. an account number
+ *       maxDigits: 10,                      // finish after this many digits
+ *       finishKey: '#',                     // or when this key is pressed
+ *       timeoutMs: 5000,                    // or after this long without a key
+ *       action                              // run with the collected digits
+ *     }
+ *   }
+ *
+ * Actions ({digits} in `text` and `digits` is replaced with the keys entered):
+ *   { type: 'reply', text }             - speak canned text without calling the model
+ *   { type: 'prompt', text }            - treat the text as something the caller said
+ *   { type: 'tool', name, argument }    - call one of the student's tools with the digits
+ *                                         (as `argument`, default 'digits'), then let the model respond
+ *   { type: 'send_digits', digits }     - play DTMF tones on the call (w = half-second pause)
+ *   { type: 'play', source }            - play an audio file (http(s) URL) to the caller
+ *
+ * A key mapped in `keys` acts immediately, unless a collection is in progress.
+ * Any other key starts (or continues) a collection.
+ */
+
+export const DTMF_KEYS = '0123456789*#';
+export const DTMF_ACTION_TYPES = ['reply', 'prompt', 'tool', 'send_digits', 'play'];
+
+const DEFAULT_MAX_DIGITS = 10;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Create the keypad state for one call
+ * @param {Object} config - Student's `dtmf` config
+ * @param {Function} onAction - Called as onAction(action, digits) when a key or collection completes
+ * @returns {Object} { press(digit), cancel() }
+ */
+export function createDtmfMenu(config, onAction) {
+  const keys = config.keys || {};
+  const collect = config.collect || null;
+  const finishKey = collect?.finishKey === undefined ? '#' : collect.finishKey;
+
+  let buffer = '';
+  let timer = null;
+
+  const finishCollection = () => {
+    clearTimeout(timer);
+    timer = null;
+    const digits = buffer;
+    buffer = '';
+    if (digits) {
+      onAction(collect.action, digits);
+    }
+  };
+
+  return {
+    /**
+     * Handle one key press
+     * @param {string} digit - Key from the Twilio dtmf event
+     * @returns {string} 'action', 'collecting', 'collected' or 'ignored'
+     */
+    press(digit) {
+      if (!buffer && keys[digit]) {
+        onAction(keys[digit], digit);
+        return 'action';
+      }
+
+      if (!collect) {
+        return 'ignored';
+      }
+
+      if (digit === finishKey) {
+        if (!buffer) return 'ignored';
+        finishCollection();
+        return 'collected';
+      }
+
+      buffer += digit;
+      if (buffer.length >= (collect.maxDigits || DEFAULT_MAX_DIGITS)) {
+        finishCollection();
+        return 'collected';
+      }
+
+      clearTimeout(timer);
+      timer = setTimeout(finishCollection, collect.timeoutMs || DEFAULT_TIMEOUT_MS);
+      return 'collecting';
+    },
+
+    // Drop any partial entry (e.g. when the call ends)
+    cancel() {
+      clearTimeout(timer);
+      timer = null;
+      buffer = '';
+    }
+  };
+}
+
+/**
+ * Substitute the entered digits into an action's text
+ * @param {string} text - Text containing {digits} placeholders
+ * @param {string} digits - Keys entered
+ * @returns {string} Text with the digits filled in
+ */
+export function fillDigits(text, digits) {
+  return String(text ?? '').replaceAll('{digits}', digits);
+}
@@ -0,0 +1,68 @@
+/**
+ * Heartbeat
+ * ws-level ping/pong keepalive that terminates peers which stop answering
+ *
+ * Each interval the server pings the peer. If no pong (or other message)
+ * arrived since the previous ping, the socket is considered half-open and
+ * is terminated, which fires the normal 'close' cleanup.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('heartbeat');
+
+/**
+ * Start a heartbeat on a socket
+ * @param {WebSocket} ws - Socket to keep alive
+ * @param {number} intervalMs - Ping interval (0 disables the heartbeat)
+ * @param {string} label - Description used in logs
+ * @returns {Function} Stops the heartbeat
+ */
+export function startHeartbeat(ws, intervalMs, label) {
+  if (!intervalMs || intervalMs <= 0) {
+    return () => {};
+  }
+
+  let isAlive = true;
+  const markAlive = () => {
+    isAlive = true;
+  };
+
+  ws.on('pong', markAlive);
+  ws.on('message', markAlive);
+
+  const timer = setInterval(() => {
+    if (!isAlive) {
+      log.warn('No heartbeat response - terminating', { label, intervalMs });
+      clearInterval(timer);
+      ws.terminate();
+      return;
+    }
+
+    isAlive = false;
+    try {
+      ws.ping();
+    } catch (error) {
+      // Socket is already closing - the close handler cleans up
+    }
+  }, intervalMs);
+
+  const stop = () => clearInterval(timer);
+  ws.on('close', stop);
+  return stop;
+}
+
+/**
+ * Read a heartbeat interval from the environment
+ * @param {string} name - Environment variable name
+ * @param {number} fallback - Default interval in milliseconds
+ * @returns {number} Interval in milliseconds (0 = disabled)
+ */
+export function heartbeatIntervalFromEnv(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
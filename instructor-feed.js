@@ -0,0 +1,178 @@
+/**
+ * Instructor Feed
+ * Tracks every live call and streams their lifecycle events to instructor dashboards
+ *
+ * Instructors connect to /instructor/?key=<INSTRUCTOR_KEY> and receive:
+ *   - an `active_calls` snapshot on connect (and after changing the filter)
+ *   - call events from every student, tagged with sessionToken, studentName and callSid
+ *
+ * To watch specific students, send { type: 'filter', sessionTokens: [...] }
+ * (or connect with ?sessionToken=a,b). Send { type: 'filter', sessionTokens: null } to watch everyone.
+ */
+
+import crypto from 'crypto';
+import { createLogger, bindLogContext } from './logger.js';
+
+const log = createLogger('instructor-feed');
+
+// Call events forwarded to instructors (everything else stays on the student's tunnel)
+const INSTRUCTOR_EVENT_TYPES = new Set([
+  'call_setup',
+  'user_spoke',
+  'ai_response',
+  'interrupted',
+  'tool_call_start',
+  'tool_call_result',
+  'budget_exceeded',
+  'call_ending',
+  'error',
+  'call_ended'
+]);
+
+// Key: callId, Value: call info
+const activeCalls = new Map();
+
+// Key: instructor WebSocket, Value: { filter: Set<sessionToken>|null }
+const instructors = new Map();
+
+/**
+ * Register a new ConversationRelay connection
+ * @param {Object} info - { sessionToken, studentName }
+ * @returns {string} Call ID used for later updates
+ */
+export function registerActiveCall(info) {
+  const callId = crypto.randomUUID();
+  activeCalls.set(callId, {
+    callId,
+    sessionToken: info.sessionToken,
+    studentName: info.studentName || null,
+    callSid: null,
+    from: null,
+    to: null,
+    direction: null,
+    startTime: new Date().toISOString(),
+    turnCount: 0,
+    lastEventType: null,
+    lastEventAt: null
+  });
+  return callId;
+}
+
+/**
+ * Update the details of an active call (e.g. once setup arrives)
+ * @param {string} callId - Call ID from registerActiveCall
+ * @param {Object} details - Fields to merge into the call info
+ */
+export function updateActiveCall(callId, details) {
+  const call = activeCalls.get(callId);
+  if (call) {
+    Object.assign(call, details);
+  }
+}
+
+/**
+ * Remove a call when its connection closes
+ * @param {string} callId - Call ID from registerActiveCall
+ */
+export function unregisterActiveCall(callId) {
+  activeCalls.delete(callId);
+}
+
+/**
+ * Publish a call event to every instructor watching that session
+ * @param {string} callId - Call ID from registerActiveCall
+ * @param {string} eventType - Event type (same names as the student tunnel events)
+ * @param {Object} data - Event payload
+ */
+export function publishCallEvent(callId, eventType, data) {
+  const call = activeCalls.get(callId);
+  if (!call || !INSTRUCTOR_EVENT_TYPES.has(eventType)) {
+    return;
+  }
+
+  call.lastEventType = eventType;
+  call.lastEventAt = new Date().toISOString();
+  if (eventType === 'user_spoke') {
+    call.turnCount++;
+  }
+
+  if (instructors.size === 0) {
+    return;
+  }
+
+  const payload = JSON.stringify({
+    type: eventType,
+    timestamp: call.lastEventAt,
+    sessionToken: call.sessionToken,
+    studentName: call.studentName,
+    callSid: call.callSid,
+    ...data
+  });
+
+  for (const [ws, subscription] of instructors) {
+    if (ws.readyState !== 1) continue; // 1 = OPEN
+    if (subscription.filter && !subscription.filter.has(call.sessionToken)) continue;
+    try {
+      ws.send(payload);
+    } catch (error) {
+      log.error('Failed to send instructor event', { error });
+    }
+  }
+}
+
+/**
+ * Handle an instructor dashboard WebSocket connection
+ * The instructor key was checked by server.js before the upgrade was accepted
+ * @param {WebSocket} ws - Instructor's WebSocket
+ * @param {http.IncomingMessage} req - Upgrade request
+ */
+export function handleInstructorConnection(ws, req) {
+  const url = new URL(req.url, 'http://localhost');
+
+  const subscription = {
+    filter: parseFilter(url.searchParams.get('sessionToken')?.split(','))
+  };
+  instructors.set(ws, subscription);
+  log.info('Instructor dashboard connected', { instructors: instructors.size });
+
+  sendSnapshot(ws, subscription);
+
+  ws.on('message', bindLogContext((message) => {
+    try {
+      const data = JSON.parse(message);
+      if (data.type === 'filter') {
+        subscription.filter = parseFilter(data.sessionTokens);
+        sendSnapshot(ws, subscription);
+      } else if (data.type === 'snapshot') {
+        sendSnapshot(ws, subscription);
+      }
+    } catch (error) {
+      log.error('Error parsing instructor message', { error });
+    }
+  }));
+
+  ws.on('close', bindLogContext(() => {
+    instructors.delete(ws);
+    log.info('Instructor dashboard disconnected', { instructors: instructors.size });
+  }));
+}
+
+function parseFilter(sessionTokens) {
+  if (!Array.isArray(sessionTokens)) {
+    return null;
+  }
+  const tokens = sessionTokens.map(token => String(token).trim()).filter(Boolean);
+  return tokens.length > 0 ? new Set(tokens) : null;
+}
+
+function sendSnapshot(ws, subscription) {
+  const calls = [...activeCalls.values()]
+    .filter(call => !subscription.filter || subscription.filter.has(call.sessionToken));
+
+  ws.send(JSON.stringify({
+    type: 'active_calls',
+    timestamp: new Date().toISOString(),
+    filter: subscription.filter ? [...subscription.filter] : null,
+    calls
+  }));
+}
@@ -0,0 +1,419 @@
+/**
+ * LLM Provider Layer
+ * One streaming chat interface over the model APIs students can pick from
+ *
+ * Students choose a provider in their config (`llm`):
+ *   { provider: 'openai', model, temperature, max_tokens, base_url }
+ *   { provider: 'anthropic', model, temperature, max_tokens, base_url }
+ *
+ * `openai` also covers any OpenAI-compatible server (llama.cpp, Ollama, vLLM...)
+ * by setting `base_url`, e.g. http://localhost:11434/v1 for Ollama. A student's
+ * base_url follows the destination rules in url-guard.js, so local servers need
+ * ALLOW_PRIVATE_WEBHOOKS=true.
+ *
+ * Conversation messages and tool definitions always use the OpenAI chat format;
+ * each provider converts them as needed. streamChat() yields normalized events:
+ *   { type: 'text', text }
+ *   { type: 'tool_call_delta', index, id, name, arguments }
+ *   { type: 'finish', reason }           - 'stop' | 'tool_calls' | 'length'
+ *   { type: 'usage', promptTokens, completionTokens, totalTokens }
+ */
+
+import OpenAI, { APIConnectionError, APIConnectionTimeoutError } from 'openai';
+import { outboundUrlError, guardedAgent, guardedRequest, BlockedUrlError } from './url-guard.js';
+
+export const LLM_PROVIDERS = ['openai', 'anthropic'];
+
+const PROVIDER_DEFAULTS = {
+  openai: {
+    model: 'gpt-4o-mini',
+    base_url: null
+  },
+  anthropic: {
+    model: 'claude-3-5-haiku-latest',
+    base_url: 'https://api.anthropic.com'
+  }
+};
+
+const DEFAULT_TEMPERATURE = 0.7;
+const DEFAULT_MAX_TOKENS = 150;
+const ANTHROPIC_API_VERSION = '2023-06-01';
+
+/**
+ * Fill in provider defaults for a student's LLM settings
+ * @param {Object} llm - Student's `llm` config (may be empty)
+ * @returns {Object} { provider, model, temperature, max_tokens, base_url }
+ */
+export function resolveLLMSettings(llm = {}) {
+  const provider = llm?.provider || 'openai';
+  const defaults = PROVIDER_DEFAULTS[provider];
+  if (!defaults) {
+    throw new Error(`Unknown LLM provider: ${provider} (expected one of ${LLM_PROVIDERS.join(', ')})`);
+  }
+
+  return {
+    provider,
+    model: llm.model || defaults.model,
+    temperature: llm.temperature ?? DEFAULT_TEMPERATURE,
+    max_tokens: llm.max_tokens ?? DEFAULT_MAX_TOKENS,
+    base_url: llm.base_url || defaults.base_url
+  };
+}
+
+/**
+ * Whether requests go to the provider's official API (not a student-supplied base URL)
+ * Shared fallback keys must only ever be sent to the official API
+ * @param {Object} settings - Resolved LLM settings
+ * @returns {boolean} True for the official endpoint
+ */
+export function usesOfficialEndpoint(settings) {
+  return (settings.base_url || null) === PROVIDER_DEFAULTS[settings.provider].base_url;
+}
+
+/**
+ * Classify a failed LLM request for metrics
+ * @param {Error} error - Error thrown by streamChat (OpenAI SDK or Anthropic request)
+ * @returns {string} auth | rate_limit | timeout | server | bad_request | network | other
+ */
+export function llmErrorType(error) {
+  const status = error?.status;
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate_limit';
+  if (status === 408 || error instanceof APIConnectionTimeoutError || error?.name === 'TimeoutError') return 'timeout';
+  if (status >= 500) return 'server';
+  if (status >= 400) return 'bad_request';
+  // Anthropic requests fail with a system error (ECONNREFUSED, ENOTFOUND...) when the host can't be reached
+  if (error instanceof APIConnectionError || error instanceof BlockedUrlError || error?.syscall) return 'network';
+  return 'other';
+}
+
+/**
+ * Create a provider client
+ * The key is read before every request, so a key lease can be renewed or released mid-call
+ * @param {Object} settings - Resolved LLM settings (see resolveLLMSettings)
+ * @param {string|Function} apiKey - API key for the provider, or a function returning the current key
+ * @returns {Object} { provider, model, streamChat({ messages, tools, toolChoice, signal }) }
+ */
+export function createLLMProvider(settings, apiKey) {
+  const getApiKey = typeof apiKey === 'function' ? apiKey : () => apiKey;
+
+  switch (settings.provider) {
+    case 'openai':
+      return createOpenAIProvider(settings, getApiKey);
+    case 'anthropic':
+      return createAnthropicProvider(settings, getApiKey);
+    default:
+      throw new Error(`Unknown LLM provider: ${settings.provider}`);
+  }
+}
+
+// ----------------------------------------------------------------------------
+// OpenAI and OpenAI-compatible servers
+// ----------------------------------------------------------------------------
+
+function createOpenAIProvider(settings, getApiKey) {
+  // A student's base URL is only reached through an agent that refuses private addresses
+  const customEndpoint = !usesOfficialEndpoint(settings);
+  const httpAgent = customEndpoint ? guardedAgent(settings.base_url) : undefined;
+
+  return {
+    provider: 'openai',
+    model: settings.model,
+
+    async *streamChat({ messages, tools, toolChoice, signal }) {
+      if (customEndpoint) {
+        checkBaseUrl(settings.base_url);
+      }
+
+      const client = new OpenAI({
+        // Local servers usually ignore the key, but the SDK requires one
+        apiKey: getApiKey() || 'not-needed',
+        ...(settings.base_url ? { baseURL: settings.base_url } : {}),
+        ...(httpAgent ? { httpAgent } : {})
+      });
+
+      const params = {
+        model: settings.model,
+        messages,
+        max_tokens: settings.max_tokens,
+        temperature: settings.temperature,
+        stream: true,
+        stream_options: { include_usage: true }
+      };
+
+      if (tools && tools.length > 0) {
+        params.tools = tools;
+        params.tool_choice = toolChoice || 'auto';
+      }
+
+      const stream = await client.chat.completions.create(params, { signal });
+
+      for await (const chunk of stream) {
+        if (chunk.usage) {
+          yield {
+            type: 'usage',
+            promptTokens: chunk.usage.prompt_tokens,
+            completionTokens: chunk.usage.completion_tokens,
+            totalTokens: chunk.usage.total_tokens
+          };
+        }
+
+        const choice = chunk.choices?.[0];
+        if (!choice) continue;
+
+        const delta = choice.delta || {};
+
+        if (delta.content) {
+          yield { type: 'text', text: delta.content };
+        }
+
+        for (const toolDelta of delta.tool_calls || []) {
+          yield {
+            type: 'tool_call_delta',
+            index: toolDelta.index,
+            id: toolDelta.id,
+            name: toolDelta.function?.name,
+            arguments: toolDelta.function?.arguments
+          };
+        }
+
+        if (choice.finish_reason) {
+          yield { type: 'finish', reason: choice.finish_reason };
+        }
+      }
+    }
+  };
+}
+
+// ----------------------------------------------------------------------------
+// Anthropic Messages API
+// ----------------------------------------------------------------------------
+
+function createAnthropicProvider(settings, getApiKey) {
+  return {
+    provider: 'anthropic',
+    model: settings.model,
+
+    async *streamChat({ messages, tools, toolChoice, signal }) {
+      const { system, messages: anthropicMessages } = toAnthropicMessages(messages);
+
+      const body = {
+        model: settings.model,
+        max_tokens: settings.max_tokens,
+        temperature: settings.temperature,
+        messages: anthropicMessages,
+        stream: true
+      };
+
+      if (system) {
+        body.system = system;
+      }
+
+      if (tools && tools.length > 0) {
+        body.tools = tools.map(tool => ({
+          name: tool.function.name,
+          description: tool.function.description,
+          input_schema: tool.function.parameters || { type: 'object', properties: {} }
+        }));
+        body.tool_choice = { type: toolChoice === 'none' ? 'none' : 'auto' };
+      }
+
+      const response = await guardedRequest(`${settings.base_url.replace(/\/$/, '')}/v1/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': getApiKey() || '',
+          'anthropic-version': ANTHROPIC_API_VERSION
+        },
+        body: JSON.stringify(body),
+        signal
+      });
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        let errorText = '';
+        for await (const chunk of response) {
+          errorText += chunk;
+        }
+        let message = errorText;
+        try {
+          message = JSON.parse(errorText).error?.message || errorText;
+        } catch (e) {
+          // Not JSON - use the raw text
+        }
+        const error = new Error(`Anthropic API error ${response.statusCode}: ${message}`);
+        error.status = response.statusCode;
+        throw error;
+      }
+
+      // Anthropic numbers content blocks; map tool_use blocks to 0-based tool call indexes
+      const toolIndexByBlock = new Map();
+      let promptTokens = 0;
+      let completionTokens = 0;
+
+      for await (const event of readServerSentEvents(response)) {
+        switch (event.type) {
+          case 'message_start':
+            promptTokens = event.message?.usage?.input_tokens || 0;
+            break;
+
+          case 'content_block_start':
+            if (event.content_block?.type === 'tool_use') {
+              const index = toolIndexByBlock.size;
+              toolIndexByBlock.set(event.index, index);
+              yield {
+                type: 'tool_call_delta',
+                index,
+                id: event.content_block.id,
+                name: event.content_block.name,
+                arguments: ''
+              };
+            }
+            break;
+
+          case 'content_block_delta':
+            if (event.delta?.type === 'text_delta') {
+              yield { type: 'text', text: event.delta.text };
+            } else if (event.delta?.type === 'input_json_delta') {
+              yield {
+                type: 'tool_call_delta',
+                index: toolIndexByBlock.get(event.index),
+                arguments: event.delta.partial_json
+              };
+            }
+            break;
+
+          case 'message_delta':
+            if (event.usage?.output_tokens !== undefined) {
+              completionTokens = event.usage.output_tokens;
+            }
+            if (event.delta?.stop_reason) {
+              yield { type: 'finish', reason: ANTHROPIC_STOP_REASONS[event.delta.stop_reason] || event.delta.stop_reason };
+            }
+            break;
+
+          case 'error':
+            throw new Error(`Anthropic stream error: ${event.error?.message || 'unknown error'}`);
+        }
+      }
+
+      yield {
+        type: 'usage',
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      };
+    }
+  };
+}
+
+// Configs are validated when loaded, but a base URL saved before the rules existed
+// (or stored directly in the database) must not be reached either
+function checkBaseUrl(baseUrl) {
+  const urlError = outboundUrlError(baseUrl);
+  if (urlError) {
+    throw new BlockedUrlError(`LLM base URL ${urlError}`);
+  }
+}
+
+const ANTHROPIC_STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  tool_use: 'tool_calls',
+  max_tokens: 'length'
+};
+
+/**
+ * Convert OpenAI chat messages to Anthropic's format
+ * System messages become the `system` string, tool calls become tool_use blocks,
+ * and tool results become tool_result blocks in a user message.
+ * Consecutive messages with the same role are merged.
+ */
+export function toAnthropicMessages(messages) {
+  const systemParts = [];
+  const converted = [];
+
+  const append = (role, blocks) => {
+    const previous = converted[converted.length - 1];
+    if (previous && previous.role === role) {
+      previous.content.push(...blocks);
+    } else {
+      converted.push({ role, content: [...blocks] });
+    }
+  };
+
+  for (const message of messages) {
+    switch (message.role) {
+      case 'system':
+        systemParts.push(message.content);
+        break;
+
+      case 'user':
+        append('user', [{ type: 'text', text: message.content }]);
+        break;
+
+      case 'assistant': {
+        const blocks = [];
+        if (message.content) {
+          blocks.push({ type: 'text', text: message.content });
+        }
+        for (const toolCall of message.tool_calls || []) {
+          let input = {};
+          try {
+            input = JSON.parse(toolCall.function.arguments || '{}');
+          } catch (e) {
+            // Keep the call with empty input - the tool result already reports the bad arguments
+          }
+          blocks.push({ type: 'tool_use', id: toolCall.id, name: toolCall.function.name, input });
+        }
+        if (blocks.length > 0) {
+          append('assistant', blocks);
+        }
+        break;
+      }
+
+      case 'tool':
+        append('user', [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }]);
+        break;
+    }
+  }
+
+  // The Messages API expects the conversation to start with the user
+  // (e.g. when the call opened with a greeting)
+  if (converted.length > 0 && converted[0].role === 'assistant') {
+    converted.unshift({ role: 'user', content: [{ type: 'text', text: '(call connected)' }] });
+  }
+
+  return {
+    system: systemParts.join('\n\n'),
+    messages: converted
+  };
+}
+
+/**
+ * Parse a server-sent event stream into JSON payloads
+ * @param {AsyncIterable<Buffer>} body - Response body
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.substring(0, boundary);
+      buffer = buffer.substring(boundary + 2);
+
+      const data = rawEvent
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.substring(5).trimStart())
+        .join('\n');
+
+      if (data) {
+        yield JSON.parse(data);
+      }
+    }
+  }
+}
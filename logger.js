@@ -0,0 +1,187 @@
+/**
+ * Logger
+ * Structured JSON logs with levels, per-connection context and automatic redaction
+ *
+ * Each line is one JSON object:
+ *   { time, level, msg, module, correlationId, session, callSid, ...fields }
+ *
+ * Context (correlationId, session prefix, callSid, student) is kept per connection in
+ * AsyncLocalStorage, so every module's lines carry it without passing a logger around:
+ *   withLogContext({ correlationId, session }, () => ...)  - run a connection's code
+ *   bindLogContext(listener)                              - keep the context in socket listeners
+ *   setLogContext({ callSid })                            - add fields once they're known
+ *
+ * Secrets are redacted before anything is written: fields named like keys, tokens and
+ * passwords, OpenAI/Anthropic keys, Bearer credentials and session tokens in any string,
+ * and phone numbers (all but the last 4 digits).
+ *
+ * LOG_LEVEL - debug | info (default) | warn | error
+ * LOG_FORMAT - json (default) | pretty (one readable line per entry, for local development)
+ */
+
+import { AsyncLocalStorage, AsyncResource } from 'async_hooks';
+import crypto from 'crypto';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+const PRETTY = (process.env.LOG_FORMAT || 'json').toLowerCase() === 'pretty';
+
+const REDACTED = '[REDACTED]';
+const SECRET_FIELD = /(api_?key|secret|password|passwd|authorization|credential|signature|ciphertext|^token$|auth_?token|session_?token|instructor_?key)/i;
+const SECRET_PATTERNS = [
+  [/\bsk-[A-Za-z0-9_-]{8,}/g, 'sk-' + REDACTED],
+  [/\bBearer\s+[^\s"',]+/gi, 'Bearer ' + REDACTED],
+  [/\b(ws_\d{6,}_[A-Za-z0-9]+)(\.\d+\.[A-Za-z0-9_-]+)?/g, (match, token) => `${token.substring(0, 8)}...`]
+];
+const PHONE_NUMBER = /\+\d[\d\s().-]{6,18}\d/g;
+const MAX_DEPTH = 6;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Create a logger for a module
+ * @param {string} module - Module name added to every line
+ * @param {Object} fields - Extra fields for every line
+ * @returns {Object} { debug, info, warn, error, child } - each takes (message, fields)
+ */
+export function createLogger(module, fields = {}) {
+  const write = (level, message, extra) => {
+    if (LEVELS[level] < MIN_LEVEL) {
+      return;
+    }
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      module,
+      ...context.getStore(),
+      ...fields,
+      ...extra
+    });
+
+    const line = PRETTY ? formatPretty(entry) : JSON.stringify(entry);
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+  };
+
+  return {
+    debug: (message, extra) => write('debug', message, extra),
+    info: (message, extra) => write('info', message, extra),
+    warn: (message, extra) => write('warn', message, extra),
+    error: (message, extra) => write('error', message, extra),
+    child: (childFields) => createLogger(module, { ...fields, ...childFields })
+  };
+}
+
+/**
+ * Run code with a log context (e.g. one WebSocket connection or HTTP request)
+ * @param {Object} fields - { correlationId, session, ... }
+ * @param {Function} fn - Code to run
+ * @returns {*} Whatever fn returns
+ */
+export function withLogContext(fields, fn) {
+  return context.run({ correlationId: newCorrelationId(), ...withoutUndefined(fields) }, fn);
+}
+
+/**
+ * Keep the current log context in a callback that runs later from an event emitter
+ * (socket listeners otherwise run in the context of whoever emitted the event)
+ * @param {Function} fn - Listener
+ * @returns {Function} Bound listener
+ */
+export function bindLogContext(fn) {
+  return AsyncResource.bind(fn);
+}
+
+/**
+ * Add fields to the current log context, e.g. the callSid once setup arrives
+ * @param {Object} fields - Fields to add
+ */
+export function setLogContext(fields) {
+  const store = context.getStore();
+  if (store) {
+    Object.assign(store, withoutUndefined(fields));
+  }
+}
+
+/**
+ * Generate a short ID that ties together the log lines of one connection or request
+ * @returns {string} Correlation ID
+ */
+export function newCorrelationId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+/**
+ * Shorten a session token for logs
+ * @param {string} sessionToken - Session token
+ * @returns {string|undefined} First 8 characters
+ */
+export function sessionPrefix(sessionToken) {
+  return sessionToken ? `${sessionToken.substring(0, 8)}...` : undefined;
+}
+
+/**
+ * Remove secrets and phone numbers from a value before it is logged
+ * @param {*} value - Anything (errors are converted to plain objects)
+ * @returns {*} Redacted copy
+ */
+export function redact(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth + 1);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_FIELD.test(key) && item !== null && item !== undefined && typeof item !== 'boolean'
+      ? REDACTED
+      : redact(item, depth + 1);
+  }
+  return result;
+}
+
+function redactString(text) {
+  let result = text;
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result.replace(PHONE_NUMBER, (number) => {
+    const digits = number.replace(/\D/g, '');
+    return digits.length < 7 ? number : `+${'*'.repeat(digits.length - 4)}${digits.slice(-4)}`;
+  });
+}
+
+function serializeError(error) {
+  return withoutUndefined({
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    status: error.status,
+    errors: error.errors,
+    stack: MIN_LEVEL <= LEVELS.debug ? error.stack : undefined
+  });
+}
+
+function withoutUndefined(fields) {
+  return Object.fromEntries(Object.entries(fields || {}).filter(([, value]) => value !== undefined));
+}
+
+function formatPretty({ time, level, msg, module, ...fields }) {
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} [${module}] ${msg}${extra}`;
+}
@@ -0,0 +1,199 @@
+/**
+ * Metrics
+ * Prometheus counters, gauges and histograms served at /metrics
+ *
+ * Lets instructors spot a broken student setup or a slow provider during a live
+ * session (e.g. a Grafana board over the workshop's Prometheus):
+ *   workshop_active_connections{kind}                     - open /ws/ and /tunnel/ sockets
+ *   workshop_calls_started_total / workshop_calls_ended_total
+ *   workshop_llm_time_to_first_token_seconds{provider,model}
+ *   workshop_turn_latency_seconds{provider,model}         - caller finished speaking → reply complete
+ *   workshop_llm_errors_total{provider,type}              - auth, rate_limit, timeout, server, bad_request, network, other
+ *   workshop_tool_calls_total{tool,outcome}               - outcome: success | error
+ *   workshop_tool_call_duration_seconds{tool}             - tool: configured or built-in name, else unknown
+ *   workshop_llm_tokens_total{model,type}                 - type: prompt | completion
+ *
+ * Metrics live in memory, so they reset when the server restarts (Prometheus handles that).
+ */
+
+const metrics = [];
+
+// Label values come from student settings (tool names, models) - keep them bounded
+const MAX_LABEL_VALUE_LENGTH = 64;
+
+/**
+ * Create a counter
+ * @param {string} name - Metric name
+ * @param {string} help - Description shown by Prometheus
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} { inc(labels, value) }
+ */
+function createCounter(name, help, labelNames = []) {
+  const values = new Map(labelNames.length === 0 ? [['[]', 0]] : []);
+  metrics.push({
+    name,
+    help,
+    type: 'counter',
+    render: () => [...values].map(([key, value]) => `${name}${labelString(labelNames, key)} ${value}`)
+  });
+
+  return {
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + value);
+    }
+  };
+}
+
+/**
+ * Create a gauge
+ * @param {string} name - Metric name
+ * @param {string} help - Description shown by Prometheus
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} { inc(labels), dec(labels) }
+ */
+function createGauge(name, help, labelNames = []) {
+  const values = new Map();
+  metrics.push({
+    name,
+    help,
+    type: 'gauge',
+    render: () => [...values].map(([key, value]) => `${name}${labelString(labelNames, key)} ${value}`)
+  });
+
+  const add = (labels, delta) => {
+    const key = labelKey(labelNames, labels);
+    values.set(key, (values.get(key) || 0) + delta);
+  };
+
+  return {
+    inc: (labels = {}) => add(labels, 1),
+    dec: (labels = {}) => add(labels, -1)
+  };
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Description shown by Prometheus
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds in ascending order
+ * @returns {Object} { observe(labels, value) }
+ */
+function createHistogram(name, help, labelNames, buckets) {
+  const series = new Map();
+  metrics.push({
+    name,
+    help,
+    type: 'histogram',
+    render: () => [...series].flatMap(([key, { counts, sum, count }]) => [
+      ...buckets.map((bound, i) => `${name}_bucket${labelString(labelNames, key, `le="${bound}"`)} ${counts[i]}`),
+      `${name}_bucket${labelString(labelNames, key, 'le="+Inf"')} ${count}`,
+      `${name}_sum${labelString(labelNames, key)} ${sum}`,
+      `${name}_count${labelString(labelNames, key)} ${count}`
+    ])
+  });
+
+  return {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      buckets.forEach((bound, i) => {
+        if (value <= bound) {
+          entry.counts[i]++;
+        }
+      });
+      entry.sum += value;
+      entry.count++;
+    }
+  };
+}
+
+export const activeConnections = createGauge(
+  'workshop_active_connections',
+  'Open WebSocket connections by kind (call = /ws/, tunnel = /tunnel/)',
+  ['kind']
+);
+
+export const callsStarted = createCounter(
+  'workshop_calls_started_total',
+  'ConversationRelay calls started'
+);
+
+export const callsEnded = createCounter(
+  'workshop_calls_ended_total',
+  'ConversationRelay calls ended'
+);
+
+export const timeToFirstToken = createHistogram(
+  'workshop_llm_time_to_first_token_seconds',
+  'Time from the caller finishing a prompt to the first token of the reply',
+  ['provider', 'model'],
+  [0.1, 0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10]
+);
+
+export const turnLatency = createHistogram(
+  'workshop_turn_latency_seconds',
+  'Time from the caller finishing a prompt to the complete reply, including tool calls',
+  ['provider', 'model'],
+  [0.25, 0.5, 1, 2, 3, 5, 10, 20, 30, 60]
+);
+
+export const llmErrors = createCounter(
+  'workshop_llm_errors_total',
+  'Failed LLM requests by provider and error type',
+  ['provider', 'type']
+);
+
+export const toolCalls = createCounter(
+  'workshop_tool_calls_total',
+  'Tool calls by tool name and outcome',
+  ['tool', 'outcome']
+);
+
+export const toolCallDuration = createHistogram(
+  'workshop_tool_call_duration_seconds',
+  'Tool call duration by tool name',
+  ['tool'],
+  [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10]
+);
+
+export const llmTokens = createCounter(
+  'workshop_llm_tokens_total',
+  'Tokens consumed by model and type (prompt or completion)',
+  ['model', 'type']
+);
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ * @returns {string} Metrics text (Content-Type: text/plain; version=0.0.4)
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  }
+  return lines.join('\n') + '\n';
+}
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(label => String(labels[label] ?? '').substring(0, MAX_LABEL_VALUE_LENGTH)));
+}
+
+function labelString(labelNames, key, extra) {
+  const pairs = JSON.parse(key).map((value, i) => `${labelNames[i]}="${escapeLabelValue(value)}"`);
+  if (extra) {
+    pairs.push(extra);
+  }
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function escapeLabelValue(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * Mock LLM Server
+ * An OpenAI-compatible chat completions server that replies from a script, for offline testing
+ *
+ *   POST /v1/chat/completions         - next scripted completion (streamed like OpenAI)
+ *   GET  /api/get-student-ai-settings - student settings from the script (stands in for the workshop app)
+ *
+ * Completions:
+ *   { text: 'We open at nine.' }                                  - plain reply
+ *   { toolCalls: [{ name: 'lookup', arguments: { key: 'x' } }] }  - tool calls (optional text alongside)
+ *   { status: 401, error: 'Invalid API key' }                     - error response
+ *   delayMs                                                       - pause between streamed chunks
+ *   when: 'hours' or '/regex/i'                                   - reply to a caller message that
+ *                                                                   matches; reusable
+ * Entries without `when` are used once, in order. When none apply, the reply is `defaultText`.
+ *
+ * Point the server at it with OPENAI_BASE_URL=http://localhost:<port>/v1 and
+ * VERCEL_API_URL=http://localhost:<port>, or run it directly:
+ *   node mock-llm-server.js script.yaml --port 4010
+ */
+
+import http from 'http';
+import { pathToFileURL } from 'url';
+import { loadSimulationScript, matchesPattern, DEFAULT_SESSION_TOKEN } from './relay-simulator.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('mock-llm');
+
+const DEFAULT_TEXT = 'OK.';
+
+/**
+ * Start a mock LLM server
+ * @param {Object} options - { port, completions, settings, defaultText }
+ *   settings - { [sessionToken]: settings object as the workshop app returns it }
+ * @returns {Promise<Object>} { url, port, requests, close() } - `url` is the /v1 base URL
+ */
+export async function startMockLLMServer(options = {}) {
+  const queue = (options.completions || []).filter(entry => !entry.when);
+  const rules = (options.completions || []).filter(entry => entry.when);
+  const settings = options.settings || {};
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (req.method === 'GET' && url.pathname === '/api/get-student-ai-settings') {
+        const studentSettings = settings[url.searchParams.get('sessionToken')];
+        sendJson(res, studentSettings ? 200 : 404, studentSettings
+          ? { success: true, settings: studentSettings }
+          : { success: false, error: 'Unknown session token' });
+        return;
+      }
+
+      if (req.method === 'POST' && url.pathname.endsWith('/chat/completions')) {
+        const body = JSON.parse(await readBody(req));
+        requests.push(body);
+
+        // Rules answer the caller; follow-up requests in the same turn (after tool results) use the queue
+        const lastMessage = body.messages[body.messages.length - 1];
+        const completion = (lastMessage?.role === 'user' && rules.find(rule => matchesPattern(rule.when, lastMessage.content)))
+          || queue.shift()
+          || { text: options.defaultText || DEFAULT_TEXT };
+
+        await sendCompletion(res, body, completion);
+        return;
+      }
+
+      sendJson(res, 404, { error: { message: 'Not found' } });
+    } catch (error) {
+      log.error('Mock LLM error', { error });
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: { message: error.message } });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  await new Promise(resolve => server.listen(options.port || 0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/v1`,
+    port,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections?.();
+      server.close(() => resolve());
+    })
+  };
+}
+
+/**
+ * Reply to one chat completion request, streamed unless the request asked otherwise
+ */
+async function sendCompletion(res, body, completion) {
+  if (completion.status) {
+    sendJson(res, completion.status, { error: { message: completion.error || `Mock error ${completion.status}` } });
+    return;
+  }
+
+  const text = completion.text || '';
+  const toolCalls = (completion.toolCalls || []).map((toolCall, index) => ({
+    index,
+    id: `call_mock_${Date.now()}_${index}`,
+    type: 'function',
+    function: {
+      name: toolCall.name,
+      arguments: typeof toolCall.arguments === 'string' ? toolCall.arguments : JSON.stringify(toolCall.arguments || {})
+    }
+  }));
+  const finishReason = toolCalls.length > 0 ? 'tool_calls' : 'stop';
+  const promptTokens = Math.ceil(JSON.stringify(body.messages).length / 4);
+  const completionTokens = Math.ceil((text.length + JSON.stringify(toolCalls).length) / 4);
+  const usage = { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+  const base = { id: `chatcmpl-mock-${Date.now()}`, created: Math.floor(Date.now() / 1000), model: body.model };
+
+  if (body.stream === false || body.stream === undefined) {
+    sendJson(res, 200, {
+      ...base,
+      object: 'chat.completion',
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: text || null,
+          ...(toolCalls.length > 0 ? { tool_calls: toolCalls.map(({ index, ...toolCall }) => toolCall) } : {})
+        },
+        finish_reason: finishReason
+      }],
+      usage
+    });
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+  const send = (choices, extra = {}) => res.write(`data: ${JSON.stringify({ ...base, object: 'chat.completion.chunk', choices, ...extra })}\n\n`);
+  const pause = () => completion.delayMs ? new Promise(resolve => setTimeout(resolve, completion.delayMs)) : null;
+
+  // Word by word, like a real model
+  for (const word of text.split(/(?<= )/).filter(Boolean)) {
+    await pause();
+    if (res.destroyed) return; // Client aborted (e.g. the caller interrupted)
+    send([{ index: 0, delta: { content: word } }]);
+  }
+
+  for (const toolCall of toolCalls) {
+    await pause();
+    send([{ index: 0, delta: { tool_calls: [toolCall] } }]);
+  }
+
+  send([{ index: 0, delta: {}, finish_reason: finishReason }]);
+  send([], { usage });
+  res.end('data: [DONE]\n\n');
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Run standalone: node mock-llm-server.js [script.yaml|json] [--port 4010]
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex === -1 ? 4010 : parseInt(args[portIndex + 1], 10);
+  const scriptPath = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--port');
+
+  const script = scriptPath ? await loadSimulationScript(scriptPath) : {};
+  const mock = await startMockLLMServer({
+    port,
+    ...(script.mockLLM || {}),
+    settings: script.settings ? { [script.sessionToken || DEFAULT_SESSION_TOKEN]: script.settings } : {}
+  });
+
+  console.log(`✅ Mock LLM server running on port ${mock.port}`);
+  console.log(`   OPENAI_BASE_URL=${mock.url}`);
+  console.log(`   VERCEL_API_URL=http://127.0.0.1:${mock.port}`);
+}
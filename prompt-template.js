@@ -0,0 +1,109 @@
+/**
+ * System Prompt Templates
+ * Fills call details into a student's system prompt when the call is set up
+ *
+ * Placeholders:
+ *   {{caller}}      - Caller's number (setup `from`)
+ *   {{called}}      - Number that was dialed (setup `to`)
+ *   {{direction}}   - inbound / outbound
+ *   {{callSid}}     - Twilio Call SID
+ *   {{localTime}}   - Time at setup, e.g. 3:42 PM
+ *   {{localDate}}   - Date at setup, e.g. Tuesday, March 4, 2025
+ *   {{timezone}}    - Time zone used for the two above
+ *   {{custom.NAME}} - <Parameter name="NAME"> from the TwiML
+ *
+ * `{{name|fallback}}` uses the fallback when the value is missing. Placeholders that
+ * aren't listed above are left as written, so literal braces in older prompts still work.
+ *
+ * Variants: with `promptVariants: { sales: '...', support: '...' }` in the student's
+ * settings, a <Parameter name="variant" value="sales"/> in the TwiML picks the prompt.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('prompt');
+
+// Custom parameter that selects a prompt variant
+export const VARIANT_PARAMETER = 'variant';
+
+// Time zone for {{localTime}} when the TwiML doesn't pass a `timezone` parameter
+const DEFAULT_TIMEZONE = process.env.PROMPT_TIMEZONE || 'UTC';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*(?:\|([^}]*))?\}\}/g;
+const CALL_VALUES = ['caller', 'called', 'direction', 'callSid', 'localTime', 'localDate', 'timezone'];
+
+/**
+ * Pick the prompt for a call
+ * @param {Object} studentConfig - Validated student config
+ * @param {Object} customParameters - customParameters from the setup message
+ * @returns {Object} { variant, template } - variant is null for the student's main system prompt
+ */
+export function selectPromptTemplate(studentConfig, customParameters = {}) {
+  const requested = customParameters[VARIANT_PARAMETER];
+  const variants = studentConfig.prompt_variants || {};
+
+  if (requested && Object.hasOwn(variants, requested)) {
+    return { variant: requested, template: variants[requested] };
+  }
+  if (requested) {
+    log.warn('Unknown prompt variant - using the main system prompt', { variant: requested });
+  }
+  return { variant: null, template: studentConfig.system_prompt };
+}
+
+/**
+ * Collect the placeholder values for a call
+ * @param {Object} call - { from, to, direction, callSid, customParameters } from the setup message
+ * @param {Date} now - Time to report as local time
+ * @returns {Object} Values keyed by placeholder name
+ */
+export function promptValuesForCall(call, now = new Date()) {
+  const customParameters = call.customParameters || {};
+  const timezone = isTimeZone(customParameters.timezone) ? customParameters.timezone : DEFAULT_TIMEZONE;
+
+  const values = {
+    caller: call.from,
+    called: call.to,
+    direction: call.direction,
+    callSid: call.callSid,
+    localTime: new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeStyle: 'short' }).format(now),
+    localDate: new Intl.DateTimeFormat('en-US', { timeZone: timezone, dateStyle: 'full' }).format(now),
+    timezone
+  };
+
+  for (const [name, value] of Object.entries(customParameters)) {
+    values[`custom.${name}`] = value;
+  }
+  return values;
+}
+
+/**
+ * Fill placeholders in a prompt template
+ * @param {string} template - Prompt with {{placeholders}}
+ * @param {Object} values - Values from promptValuesForCall
+ * @returns {string} Rendered prompt
+ */
+export function renderPromptTemplate(template, values) {
+  return String(template ?? '').replace(PLACEHOLDER_PATTERN, (match, name, fallback) => {
+    if (!CALL_VALUES.includes(name) && !name.startsWith('custom.')) {
+      return match;
+    }
+    const value = values[name];
+    if (value === undefined || value === null || value === '') {
+      return fallback?.trim() ?? '';
+    }
+    return String(value);
+  });
+}
+
+function isTimeZone(value) {
+  if (typeof value !== 'string' || !value) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
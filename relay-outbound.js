@@ -0,0 +1,114 @@
+/**
+ * ConversationRelay Outbound Messages
+ * Everything the server can send to Twilio on a ConversationRelay socket
+ *
+ *   text       { type: 'text', token, last, lang?, interruptible?, preemptible? }  - speak via TTS
+ *   play       { type: 'play', source, loop?, interruptible?, preemptible? }        - play an audio URL
+ *   sendDigits { type: 'sendDigits', digits }                                       - DTMF tones (w = 0.5s pause)
+ *   language   { type: 'language', ttsLanguage?, transcriptionLanguage? }           - switch languages mid-call
+ *   end        { type: 'end', handoffData? }                                        - end the session
+ *
+ * `handoffData` is passed as a JSON string to the <Connect> action URL, where the
+ * student's TwiML can hang up or <Dial> a human. Nothing is sent after `end`.
+ */
+
+const DIGITS_PATTERN = /^[0-9*#wW]+$/;
+
+/**
+ * Create the outbound API for one ConversationRelay socket
+ * Every method returns true if the message was sent
+ * @param {WebSocket} ws - WebSocket connection from Twilio
+ * @returns {Object} { text, play, sendDigits, language, end, ended }
+ */
+export function createRelayOutbound(ws) {
+  let ended = false;
+
+  const send = (message) => {
+    if (ended || ws.readyState !== 1) return false; // 1 = OPEN
+    ws.send(JSON.stringify(message));
+    return true;
+  };
+
+  return {
+    /**
+     * Speak text (last=false keeps the utterance open so further tokens are appended)
+     * @param {string} token - Text to speak
+     * @param {boolean} last - Whether this closes the utterance
+     * @param {Object} options - { lang, interruptible, preemptible }
+     */
+    text(token, last, options = {}) {
+      return send({
+        type: 'text',
+        token,
+        last,
+        ...pick(options, ['lang', 'interruptible', 'preemptible'])
+      });
+    },
+
+    /**
+     * Play an audio file
+     * @param {string} source - http(s) URL of the audio
+     * @param {Object} options - { loop, interruptible, preemptible }
+     */
+    play(source, options = {}) {
+      if (!/^https?:\/\//.test(source || '')) {
+        throw new Error('play source must be an http(s) URL');
+      }
+      return send({
+        type: 'play',
+        source,
+        ...pick(options, ['loop', 'interruptible', 'preemptible'])
+      });
+    },
+
+    /**
+     * Play DTMF tones on the call
+     * @param {string} digits - 0-9, *, # and w (half-second pause)
+     */
+    sendDigits(digits) {
+      if (!DIGITS_PATTERN.test(digits || '')) {
+        throw new Error('digits may only contain 0-9, *, # and w');
+      }
+      return send({
+        type: 'sendDigits',
+        digits
+      });
+    },
+
+    /**
+     * Switch the TTS and/or speech recognition language
+     * The languages must be configured in the <ConversationRelay> TwiML
+     * @param {Object} languages - { ttsLanguage, transcriptionLanguage } (BCP-47 codes)
+     */
+    language({ ttsLanguage, transcriptionLanguage } = {}) {
+      if (!ttsLanguage && !transcriptionLanguage) {
+        throw new Error('ttsLanguage or transcriptionLanguage is required');
+      }
+      return send({
+        type: 'language',
+        ...pick({ ttsLanguage, transcriptionLanguage }, ['ttsLanguage', 'transcriptionLanguage'])
+      });
+    },
+
+    /**
+     * End the ConversationRelay session
+     * @param {Object} handoffData - Passed to the <Connect> action URL (e.g. { reasonCode: 'live-agent-handoff' })
+     */
+    end(handoffData) {
+      const sent = send({
+        type: 'end',
+        ...(handoffData ? { handoffData: JSON.stringify(handoffData) } : {})
+      });
+      ended = true;
+      return sent;
+    },
+
+    get ended() {
+      return ended;
+    }
+  };
+}
+
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => object[key] !== undefined).map(key => [key, object[key]]));
+}
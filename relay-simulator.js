@@ -0,0 +1,471 @@
+/**
+ * ConversationRelay Simulator
+ * Plays a scripted phone call against the server - no Twilio number or live model needed
+ *
+ * The simulator connects to /ws/<token> like Twilio does (and to /tunnel/<token> like the
+ * browser does), sends the script's frames and checks the frames that come back.
+ *
+ * Script (YAML or JSON):
+ *   name: Opening hours
+ *   sessionToken: simulator                 # optional, defaults to 'simulator'
+ *   setup: { from: '+15550001111', customParameters: { variant: 'short' } }
+ *   settings: { studentName: 'Sim', openaiApiKey: 'sk-test', systemPrompt: '...' }   # offline runs
+ *   mockLLM: { completions: [...], defaultText: 'OK.' }                              # offline runs
+ *   steps:
+ *     - prompt: What time do you open?
+ *       expect: { text: nine, toolCalls: [get_hours] }
+ *     - dtmf: '0'
+ *       expect: { end: { reasonCode: live-agent-handoff } }
+ *
+ * Steps send one of `prompt`, `dtmf` (one frame per digit), `interrupt` (the heard text,
+ * or true) or `wait` (milliseconds); a step with only `expect` checks what arrives next.
+ * Expectations:
+ *   text       - substring (case-insensitive), '/regex/flags' or a list of them, matched
+ *                against everything spoken during the step
+ *   noReply    - nothing is spoken
+ *   end        - the call ends (true) with handoffData containing the given values
+ *   sendDigits - digits sent to the call
+ *   play       - URL (pattern) of audio played
+ *   language   - language the call switched to
+ *   tunnel     - tunnel event types that must be sent, e.g. [tool_call_start, call_ending]
+ *   toolCalls  - names of tools the agent called
+ *
+ * A step waits until its reply has finished (prompt steps always wait for one) and its
+ * expectations are met, or until the call goes quiet when nothing is spoken. Expectations
+ * still unmet at the step timeout fail. `noWait: true` moves on right away and `timeoutMs`
+ * overrides the step timeout.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import WebSocket from 'ws';
+import YAML from 'yaml';
+import { signSessionToken } from './auth.js';
+
+export const DEFAULT_SESSION_TOKEN = 'simulator';
+
+const STEP_ACTIONS = ['prompt', 'dtmf', 'interrupt', 'wait'];
+const EXPECT_KEYS = ['text', 'noReply', 'end', 'sendDigits', 'play', 'language', 'tunnel', 'toolCalls'];
+const DTMF_PATTERN = /^[0-9*#]+$/;
+
+// The server loads the student's settings before it listens for frames
+const CONNECT_SETTLE_MS = 300;
+const SIGNED_TOKEN_TTL_SECONDS = 3600;
+
+/**
+ * Error raised for an invalid simulation script
+ * `errors` lists each problem as { field, message }
+ */
+export class SimulationScriptError extends Error {
+  constructor(errors) {
+    super(`Invalid simulation script: ${errors.map(e => `${e.field}: ${e.message}`).join('; ')}`);
+    this.name = 'SimulationScriptError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Load and validate a simulation script
+ * @param {string} scriptPath - .yaml, .yml or .json file
+ * @returns {Promise<Object>} Script
+ * @throws {SimulationScriptError} If the script is invalid
+ */
+export async function loadSimulationScript(scriptPath) {
+  const source = await fs.readFile(scriptPath, 'utf-8');
+  let script;
+  try {
+    script = path.extname(scriptPath) === '.json' ? JSON.parse(source) : YAML.parse(source);
+  } catch (error) {
+    throw new SimulationScriptError([{ field: 'script', message: `could not be parsed: ${error.message}` }]);
+  }
+  validateSimulationScript(script);
+  return script;
+}
+
+/**
+ * Check a simulation script
+ * @param {Object} script - Parsed script
+ * @throws {SimulationScriptError} If the script is invalid
+ */
+export function validateSimulationScript(script) {
+  const errors = [];
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isObject(script)) {
+    throw new SimulationScriptError([{ field: 'script', message: 'must be an object' }]);
+  }
+  for (const field of ['setup', 'settings', 'mockLLM']) {
+    if (script[field] !== undefined && !isObject(script[field])) {
+      errors.push({ field, message: 'must be an object' });
+    }
+  }
+  if (script.mockLLM?.completions !== undefined && !Array.isArray(script.mockLLM.completions)) {
+    errors.push({ field: 'mockLLM.completions', message: 'must be a list' });
+  }
+  if (!Array.isArray(script.steps) || script.steps.length === 0) {
+    errors.push({ field: 'steps', message: 'must be a non-empty list' });
+    throw new SimulationScriptError(errors);
+  }
+
+  script.steps.forEach((step, index) => {
+    const field = `steps[${index}]`;
+    if (!isObject(step)) {
+      errors.push({ field, message: 'must be an object' });
+      return;
+    }
+
+    const actions = STEP_ACTIONS.filter(action => step[action] !== undefined);
+    if (actions.length > 1) {
+      errors.push({ field, message: `has more than one action (${actions.join(', ')})` });
+    }
+    if (actions.length === 0 && !step.expect) {
+      errors.push({ field, message: `needs an action (${STEP_ACTIONS.join(', ')}) or expect` });
+    }
+    if (step.prompt !== undefined && (typeof step.prompt !== 'string' || !step.prompt.trim())) {
+      errors.push({ field: `${field}.prompt`, message: 'must be a non-empty string' });
+    }
+    if (step.dtmf !== undefined && !DTMF_PATTERN.test(String(step.dtmf))) {
+      errors.push({ field: `${field}.dtmf`, message: 'must be digits, * or #' });
+    }
+    if (step.interrupt !== undefined && step.interrupt !== true && typeof step.interrupt !== 'string') {
+      errors.push({ field: `${field}.interrupt`, message: 'must be the heard text or true' });
+    }
+    if (step.wait !== undefined && !(Number.isFinite(step.wait) && step.wait >= 0)) {
+      errors.push({ field: `${field}.wait`, message: 'must be a number of milliseconds' });
+    }
+    if (step.timeoutMs !== undefined && !(Number.isFinite(step.timeoutMs) && step.timeoutMs > 0)) {
+      errors.push({ field: `${field}.timeoutMs`, message: 'must be a positive number' });
+    }
+
+    if (step.expect !== undefined) {
+      if (!isObject(step.expect)) {
+        errors.push({ field: `${field}.expect`, message: 'must be an object' });
+        return;
+      }
+      for (const key of Object.keys(step.expect)) {
+        if (!EXPECT_KEYS.includes(key)) {
+          errors.push({ field: `${field}.expect.${key}`, message: `unknown expectation (use ${EXPECT_KEYS.join(', ')})` });
+        }
+      }
+      for (const key of ['tunnel', 'toolCalls']) {
+        const value = step.expect[key];
+        if (value !== undefined && !(Array.isArray(value) && value.every(entry => typeof entry === 'string'))) {
+          errors.push({ field: `${field}.expect.${key}`, message: 'must be a list of names' });
+        }
+      }
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new SimulationScriptError(errors);
+  }
+}
+
+/**
+ * Run a simulation script against a server
+ * @param {Object} script - Validated script
+ * @param {Object} options - { serverUrl, sessionToken, twilioAuthToken, stepTimeoutMs, idleMs, tunnel, onFrame }
+ *   serverUrl       - ws:// or wss:// base URL (default ws://localhost:3000)
+ *   twilioAuthToken - signs the upgrade like Twilio does (default TWILIO_AUTH_TOKEN)
+ *   tunnel          - also connect the browser tunnel to collect events (default true)
+ *   onFrame(source, frame) - called for every frame received ('call' or 'tunnel')
+ * @returns {Promise<Object>} { name, passed, steps, frames, tunnelEvents }
+ */
+export async function runSimulation(script, options = {}) {
+  const serverUrl = (options.serverUrl || 'ws://localhost:3000').replace(/\/$/, '');
+  const sessionToken = options.sessionToken || script.sessionToken || DEFAULT_SESSION_TOKEN;
+  const stepTimeoutMs = options.stepTimeoutMs || 10000;
+  const idleMs = options.idleMs || 500;
+
+  // With SESSION_TOKEN_SECRET set the server only accepts signed tokens
+  const urlToken = encodeURIComponent(process.env.SESSION_TOKEN_SECRET
+    ? signSessionToken(sessionToken, SIGNED_TOKEN_TTL_SECONDS).token
+    : sessionToken);
+
+  const frames = [];
+  const tunnelEvents = [];
+  const state = { lastFrameAt: Date.now(), ended: false, closed: null };
+  let notify = () => {};
+
+  const receive = (source, list) => (data) => {
+    let frame;
+    try {
+      frame = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+    list.push(frame);
+    state.lastFrameAt = Date.now();
+    if (source === 'call' && frame.type === 'end') {
+      state.ended = true;
+    }
+    options.onFrame?.(source, frame);
+    notify();
+  };
+
+  let tunnel = null;
+  if (options.tunnel !== false) {
+    tunnel = await openSocket(`${serverUrl}/tunnel/${urlToken}`);
+    tunnel.on('message', receive('tunnel', tunnelEvents));
+  }
+
+  const callUrl = `${serverUrl}/ws/${urlToken}`;
+  const twilioAuthToken = options.twilioAuthToken ?? process.env.TWILIO_AUTH_TOKEN;
+  const headers = twilioAuthToken
+    ? { 'X-Twilio-Signature': crypto.createHmac('sha1', twilioAuthToken).update(Buffer.from(callUrl, 'utf-8')).digest('base64') }
+    : {};
+
+  let call;
+  try {
+    call = await openSocket(callUrl, { headers });
+  } catch (error) {
+    tunnel?.close();
+    throw error;
+  }
+  call.on('message', receive('call', frames));
+  call.on('close', (code, reason) => {
+    state.closed = { code, reason: String(reason) };
+    notify();
+  });
+
+  const send = (message) => call.readyState === WebSocket.OPEN && call.send(JSON.stringify(message));
+  const callSid = `CA${crypto.randomBytes(16).toString('hex')}`;
+
+  await sleep(CONNECT_SETTLE_MS);
+  send({
+    type: 'setup',
+    sessionId: `VX${crypto.randomBytes(16).toString('hex')}`,
+    callSid,
+    from: '+15555550100',
+    to: '+15555550199',
+    direction: 'inbound',
+    callType: 'PSTN',
+    callStatus: 'IN-PROGRESS',
+    ...(script.setup || {}),
+    customParameters: script.setup?.customParameters || {}
+  });
+
+  const results = [];
+  for (const [index, step] of script.steps.entries()) {
+    const action = STEP_ACTIONS.find(name => step[name] !== undefined) || 'expect';
+    const result = { index, action, passed: false, failures: [], frames: [], tunnelEvents: [] };
+    results.push(result);
+
+    if (state.ended || state.closed) {
+      result.failures.push(state.ended ? 'call ended before this step' : `call closed before this step (${state.closed.code} ${state.closed.reason})`);
+      continue;
+    }
+
+    const frameStart = frames.length;
+    const tunnelStart = tunnelEvents.length;
+    state.lastFrameAt = Date.now();
+
+    if (action === 'prompt') {
+      send({ type: 'prompt', voicePrompt: step.prompt, lang: 'en-US', last: true });
+    } else if (action === 'dtmf') {
+      for (const digit of String(step.dtmf)) {
+        send({ type: 'dtmf', digit });
+      }
+    } else if (action === 'interrupt') {
+      send({
+        type: 'interrupt',
+        utteranceUntilInterrupt: typeof step.interrupt === 'string' ? step.interrupt : '',
+        durationUntilInterruptMs: 0
+      });
+    } else if (action === 'wait') {
+      await sleep(step.wait);
+    }
+
+    if (!step.noWait) {
+      const expect = step.expect || {};
+      const waitsForReply = action === 'prompt' && !expect.noReply;
+      const timedOut = await waitUntil((idle) => {
+        if (state.ended || state.closed) return true;
+        const stepFrames = frames.slice(frameStart);
+        const spoken = stepFrames.filter(frame => frame.type === 'text');
+        const speaking = spoken.length > 0 && !spoken[spoken.length - 1].last;
+        const replied = stepFrames.some(frame => frame.type === 'end') || (spoken.length > 0 && !speaking);
+        if (speaking || (waitsForReply && !replied)) return false;
+        return (idle || replied) && checkExpectations(expect, stepFrames, tunnelEvents.slice(tunnelStart)).length === 0;
+      }, {
+        timeoutMs: step.timeoutMs || stepTimeoutMs,
+        idleMs,
+        lastFrameAt: () => state.lastFrameAt,
+        subscribe: (callback) => { notify = callback; }
+      });
+      notify = () => {};
+
+      if (state.closed && !state.ended) {
+        result.failures.push(`call closed by the server (${state.closed.code} ${state.closed.reason})`);
+      } else if (timedOut && waitsForReply && !frames.slice(frameStart).some(frame => frame.type === 'text' || frame.type === 'end')) {
+        result.failures.push(`no reply within ${step.timeoutMs || stepTimeoutMs}ms`);
+      }
+    }
+
+    result.frames = frames.slice(frameStart);
+    result.tunnelEvents = tunnelEvents.slice(tunnelStart);
+    result.failures.push(...checkExpectations(step.expect || {}, result.frames, result.tunnelEvents));
+    result.passed = result.failures.length === 0;
+  }
+
+  call.close();
+  tunnel?.close();
+
+  return {
+    name: script.name || 'Simulation',
+    passed: results.every(result => result.passed),
+    steps: results,
+    frames,
+    tunnelEvents
+  };
+}
+
+/**
+ * Compare what arrived during a step with its expectations
+ * @param {Object} expect - Step expectations
+ * @param {Array} frames - Call frames received during the step
+ * @param {Array} tunnelEvents - Tunnel events received during the step
+ * @returns {Array<string>} Failure messages (empty if everything matched)
+ */
+export function checkExpectations(expect, frames, tunnelEvents) {
+  const failures = [];
+  const spoken = frames.filter(frame => frame.type === 'text').map(frame => frame.token).join('');
+
+  if (expect.text !== undefined) {
+    for (const pattern of [].concat(expect.text)) {
+      if (!matchesPattern(pattern, spoken)) {
+        failures.push(`expected text matching ${JSON.stringify(pattern)}, heard ${JSON.stringify(spoken)}`);
+      }
+    }
+  }
+
+  if (expect.noReply && spoken) {
+    failures.push(`expected no reply, heard ${JSON.stringify(spoken)}`);
+  }
+
+  if (expect.end !== undefined && expect.end !== false) {
+    const end = frames.find(frame => frame.type === 'end');
+    if (!end) {
+      failures.push('expected the call to end');
+    } else if (typeof expect.end === 'object') {
+      let handoffData = {};
+      try {
+        handoffData = JSON.parse(end.handoffData || '{}');
+      } catch (error) {
+        failures.push(`handoffData is not JSON: ${end.handoffData}`);
+      }
+      for (const [key, value] of Object.entries(expect.end)) {
+        if (!matchesValue(value, handoffData[key])) {
+          failures.push(`expected handoffData.${key} to be ${JSON.stringify(value)}, got ${JSON.stringify(handoffData[key])}`);
+        }
+      }
+    }
+  }
+  if (expect.end === false && frames.some(frame => frame.type === 'end')) {
+    failures.push('expected the call not to end');
+  }
+
+  if (expect.sendDigits !== undefined) {
+    const digits = frames.filter(frame => frame.type === 'sendDigits').map(frame => frame.digits).join('');
+    if (digits !== String(expect.sendDigits)) {
+      failures.push(`expected digits ${JSON.stringify(String(expect.sendDigits))}, got ${JSON.stringify(digits)}`);
+    }
+  }
+
+  if (expect.play !== undefined && !frames.some(frame => frame.type === 'play' && matchesPattern(expect.play, frame.source))) {
+    failures.push(`expected audio matching ${JSON.stringify(expect.play)} to play`);
+  }
+
+  if (expect.language !== undefined) {
+    const switched = frames.some(frame => frame.type === 'language' &&
+      (frame.ttsLanguage === expect.language || frame.transcriptionLanguage === expect.language));
+    if (!switched) {
+      failures.push(`expected a switch to ${expect.language}`);
+    }
+  }
+
+  for (const type of expect.tunnel || []) {
+    if (!tunnelEvents.some(event => event.type === type)) {
+      failures.push(`expected tunnel event ${type}`);
+    }
+  }
+
+  const called = tunnelEvents.filter(event => event.type === 'tool_call_start').map(event => event.toolName);
+  for (const name of expect.toolCalls || []) {
+    if (!called.includes(name)) {
+      failures.push(`expected a call to ${name}, got ${called.length > 0 ? called.join(', ') : 'none'}`);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * Match text against a pattern: a case-insensitive substring or '/regex/flags'
+ * @param {string} pattern - Pattern from a script
+ * @param {string} text - Text to check
+ * @returns {boolean} True if the text matches
+ */
+export function matchesPattern(pattern, text) {
+  if (typeof text !== 'string') {
+    return false;
+  }
+  const regex = /^\/(.*)\/([a-z]*)$/.exec(pattern);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]).test(text);
+  }
+  return text.toLowerCase().includes(String(pattern).toLowerCase());
+}
+
+// Strings in expectations are patterns; anything else must be equal
+function matchesValue(expected, actual) {
+  if (typeof expected === 'string') {
+    return matchesPattern(expected, typeof actual === 'string' ? actual : JSON.stringify(actual));
+  }
+  return JSON.stringify(expected) === JSON.stringify(actual);
+}
+
+/**
+ * Wait until a condition holds, the frames go quiet or the timeout passes
+ * The condition is checked on every frame (via subscribe) and once the frames go quiet
+ * @returns {Promise<boolean>} True if the timeout passed
+ */
+function waitUntil(condition, { timeoutMs, idleMs, lastFrameAt, subscribe }) {
+  return new Promise((resolve) => {
+    let idleTimer = null;
+    const finish = (timedOut) => {
+      clearTimeout(timeoutTimer);
+      clearTimeout(idleTimer);
+      resolve(timedOut);
+    };
+    const check = () => {
+      clearTimeout(idleTimer);
+      const idle = Date.now() - lastFrameAt() >= idleMs;
+      if (condition(idle)) {
+        finish(false);
+        return;
+      }
+      idleTimer = setTimeout(check, Math.max(idleMs - (Date.now() - lastFrameAt()), 10));
+    };
+    const timeoutTimer = setTimeout(() => finish(true), timeoutMs);
+    subscribe(check);
+    check();
+  });
+}
+
+function openSocket(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, options);
+    ws.once('open', () => resolve(ws));
+    ws.once('unexpected-response', (req, res) => {
+      reject(new Error(`${url.replace(/\/(ws|tunnel)\/.*/, '/$1/...')} rejected the connection (HTTP ${res.statusCode})`));
+      req.destroy();
+    });
+    ws.once('error', reject);
+  });
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
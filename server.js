@@ -8,21 +8,75 @@
 
 import { WebSocketServer } from 'ws';
 import http from 'http';
-import { getStudentConfig } from './database.js';
+import { getStudentConfig, pingDatabase, initializeDatabase } from './database.js';
 import { handleConversationRelay } from './conversation-handler.js';
+import { handleApiRequest, sendJson } from './api-routes.js';
+import { handleInstructorConnection } from './instructor-feed.js';
+import { createTunnelRegistry } from './tunnel-registry.js';
+import { startHeartbeat, heartbeatIntervalFromEnv } from './heartbeat.js';
+import { loadStudentConfig, checkSettingsApi, SettingsUnavailableError } from './settings-loader.js';
+import { StudentConfigError } from './student-config.js';
+import { requestCredential } from './credential-tunnel.js';
+import { handleReplayCommand } from './call-replay.js';
+import { verifySessionToken, isValidTwilioSignature, isAllowedOrigin, getRequestCredential, isInstructorKey, isMetricsToken } from './auth.js';
+import { createLogger, withLogContext, bindLogContext, sessionPrefix, newCorrelationId } from './logger.js';
+import { activeConnections, renderMetrics } from './metrics.js';
+
+const log = createLogger('server');
 
 const PORT = process.env.PORT || 3000;
 
+// Ping intervals for detecting half-open sockets (0 disables)
+const CALL_HEARTBEAT_INTERVAL_MS = heartbeatIntervalFromEnv('CALL_HEARTBEAT_INTERVAL_MS', 30000);
+const TUNNEL_HEARTBEAT_INTERVAL_MS = heartbeatIntervalFromEnv('TUNNEL_HEARTBEAT_INTERVAL_MS', 30000);
+
+// On SIGTERM callers hear the goodbye, then calls get up to SHUTDOWN_DRAIN_TIMEOUT_MS to end
+const SHUTDOWN_GOODBYE_MESSAGE = process.env.SHUTDOWN_GOODBYE_MESSAGE ||
+  "I'm sorry, I have to end the call because the system is restarting. Please call back in a minute.";
+const SHUTDOWN_DRAIN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS || '20000', 10);
+const DRAIN_POLL_MS = 250;
+const CLOSE_GRACE_MS = 1000;
+
+// Longest each /ready dependency check may take
+const READY_CHECK_TIMEOUT_MS = parseInt(process.env.READY_CHECK_TIMEOUT_MS || '3000', 10);
+
 // Create HTTP server
-const server = http.createServer(async (req, res) => {
-  if (req.url === '/health' || req.url === '/') {
+// Each request gets a correlation ID for its log lines (or keeps the caller's X-Request-Id)
+const server = http.createServer((req, res) => {
+  const correlationId = String(req.headers['x-request-id'] || '').slice(0, 64) || newCorrelationId();
+  res.setHeader('X-Request-Id', correlationId);
+  return withLogContext({ correlationId }, () => handleHttpRequest(req, res));
+});
+
+async function handleHttpRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (url.pathname === '/health' || url.pathname === '/') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
       status: 'ok',
       service: 'workshop-websocket-server',
       uptime: process.uptime()
     }));
-  } else if (req.url === '/test-db') {
+  } else if (url.pathname === '/ready') {
+    // Readiness: can this instance take calls right now?
+    const readiness = await checkReadiness();
+    res.writeHead(readiness.ready ? 200 : 503, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(readiness));
+  } else if (url.pathname === '/metrics') {
+    // Prometheus scrape endpoint (see metrics.js) - label values name students' tools and models
+    const credential = getRequestCredential(req, url);
+    if (!credential) {
+      sendJson(res, 401, { success: false, error: 'Instructor key or metrics token required' });
+      return;
+    }
+    if (!isInstructorKey(credential) && !isMetricsToken(credential)) {
+      sendJson(res, 403, { success: false, error: 'Not allowed to view metrics' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(renderMetrics());
+  } else if (url.pathname === '/test-db') {
     // Test database connection
     try {
       const testConfig = await getStudentConfig('ws_1761110889775_ve2vtj28p6');
@@ -39,204 +93,400 @@ const server = http.createServer(async (req, res) => {
         error: error.message
       }));
     }
+  } else if (url.pathname.startsWith('/api/')) {
+    // REST API for past calls
+    await handleApiRequest(req, res, { requestCredentialsFn: requestCredentialsThroughTunnel });
   } else {
     res.writeHead(404, { 'Content-Type': 'text/plain' });
     res.end('Not Found');
   }
-});
+}
 
 // Create WebSocket server
-// Note: Don't specify path - accept all WebSocket connections and filter in handler
+// Upgrades are authorized in the 'upgrade' handler below before a socket is accepted
 const wss = new WebSocketServer({
-  server
+  noServer: true
 });
 
-console.log('🚀 Multi-tenant WebSocket server starting...');
+log.info('Multi-tenant WebSocket server starting');
 
 // Store active credential tunnels (browser connections)
-// Key: sessionToken, Value: WebSocket
-const activeTunnels = new Map();
+// Each session token can have several tabs open at once
+const activeTunnels = createTunnelRegistry();
 
-// Handle WebSocket connections
-wss.on('connection', async (ws, req) => {
-  console.log(`📡 WebSocket connection attempt: ${req.url}`);
+// Set once SIGTERM arrives - /ready fails and new upgrades are refused
+let shuttingDown = false;
+
+// Open ConversationRelay sockets
+// Key: WebSocket, Value: the call's drain function (null while its settings load)
+const liveCalls = new Map();
+
+// Check tokens, Twilio signatures and origins before accepting the WebSocket
+server.on('upgrade', (req, socket, head) => {
+  if (shuttingDown) {
+    rejectUpgrade(socket, 503, 'Server is shutting down');
+    return;
+  }
 
-  // Determine connection type: /ws/ = Twilio, /tunnel/ = Browser
-  const isTunnelConnection = req.url.startsWith('/tunnel/');
-  const isCallConnection = req.url.startsWith('/ws/');
+  const access = authorizeUpgrade(req);
 
-  if (!isTunnelConnection && !isCallConnection) {
-    console.error(`❌ Invalid WebSocket path: ${req.url}`);
-    ws.close(1008, 'Invalid WebSocket path - must start with /ws/ or /tunnel/');
+  if (access.error) {
+    log.warn('WebSocket upgrade rejected', { status: access.status, reason: access.error, path: redactUrl(req.url) });
+    rejectUpgrade(socket, access.status, access.error);
     return;
   }
 
-  const urlParts = req.url.split('/');
-  const lastPart = urlParts[urlParts.length - 1];
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    wss.emit('connection', ws, req, access);
+  });
+});
+
+// Handle WebSocket connections
+// Every log line for a connection carries its correlation ID and session prefix
+wss.on('connection', (ws, req, access) => {
+  withLogContext({ session: sessionPrefix(access.sessionToken), connection: access.kind }, () => handleConnection(ws, req, access));
+});
 
-  // Strip query parameters from session token (e.g., ?encryptedKey=...)
-  const sessionToken = lastPart.split('?')[0];
+async function handleConnection(ws, req, access) {
+  log.info('WebSocket connection', { path: redactUrl(req.url) });
 
-  if (!sessionToken || sessionToken === 'ws' || sessionToken === 'tunnel') {
-    console.error('❌ No session token provided in URL');
-    ws.close(1008, 'Session token required');
+  // Instructor dashboard: live feed of every call (authenticated by instructor key)
+  if (access.kind === 'instructor') {
+    startHeartbeat(ws, TUNNEL_HEARTBEAT_INTERVAL_MS, 'Instructor dashboard');
+    handleInstructorConnection(ws, req);
     return;
   }
 
+  const { sessionToken } = access;
+
+  // Open /ws/ and /tunnel/ sockets for /metrics
+  activeConnections.inc({ kind: access.kind });
+  ws.once('close', () => activeConnections.dec({ kind: access.kind }));
+
   // Handle browser credential tunnel connection
-  if (isTunnelConnection) {
-    console.log(`🔐 Browser tunnel connected for session: ${sessionToken.substring(0, 8)}...`);
-    activeTunnels.set(sessionToken, ws);
+  if (access.kind === 'tunnel') {
+    startHeartbeat(ws, TUNNEL_HEARTBEAT_INTERVAL_MS, `Tunnel ${sessionToken.substring(0, 8)}...`);
 
-    // Send confirmation
+    // Send confirmation (lastSeq lets the browser resume from here if it reconnects)
     ws.send(JSON.stringify({
       type: 'tunnel_connected',
-      sessionToken: sessionToken.substring(0, 20) + '...'
+      sessionToken: sessionToken.substring(0, 20) + '...',
+      lastSeq: activeTunnels.lastSeq(sessionToken)
     }));
 
+    // Reconnecting browsers pass ?lastSeq=N to get the events they missed
+    // Replay happens before the tab joins the live fan-out so nothing is lost or duplicated
+    const resumeFrom = new URL(req.url, 'http://localhost').searchParams.get('lastSeq');
+    if (resumeFrom !== null) {
+      resumeTunnel(ws, sessionToken, resumeFrom);
+    }
+
+    const tabCount = activeTunnels.add(sessionToken, ws);
+    log.info('Browser tunnel connected', { tabs: tabCount });
+
     // Handle tunnel disconnection
-    ws.on('close', () => {
-      console.log(`🔐 Browser tunnel disconnected: ${sessionToken.substring(0, 8)}...`);
-      activeTunnels.delete(sessionToken);
-    });
+    // Only this tab is removed - other tabs for the session keep receiving events
+    ws.on('close', bindLogContext(() => {
+      const remaining = activeTunnels.remove(sessionToken, ws);
+      log.info('Browser tunnel disconnected', { tabs: remaining });
+    }));
 
     // Handle credential responses from browser
-    ws.on('message', (message) => {
+    ws.on('message', bindLogContext((message) => {
       try {
         const data = JSON.parse(message);
         if (data.type === 'credential_response') {
-          console.log(`🔑 Received credentials from browser for session: ${sessionToken.substring(0, 8)}...`);
-          // Credentials are handled by pending promise in handleConversationRelay
+          log.info('Received credential response from browser');
+          // Decrypted by the pending request in credential-tunnel.js
+        } else if (data.type === 'resume') {
+          resumeTunnel(ws, sessionToken, data.lastSeq);
+        } else if (data.type === 'replay') {
+          handleReplayCommand(ws, sessionToken, data, requestCredentialsThroughTunnel);
         }
       } catch (error) {
-        console.error('❌ Error parsing tunnel message:', error);
+        log.error('Error parsing tunnel message', { error });
       }
-    });
+    }));
 
     return; // Don't proceed to ConversationRelay handler
   }
 
   // Handle Twilio ConversationRelay connection
-  console.log(`📞 Twilio connection for session: ${sessionToken.substring(0, 8)}...`);
+  log.info('Twilio connection');
+  startHeartbeat(ws, CALL_HEARTBEAT_INTERVAL_MS, `Call ${sessionToken.substring(0, 8)}...`);
 
-  try {
-    // Fetch student settings from Vercel API (includes decrypted OpenAI key)
-    const vercelApiUrl = process.env.VERCEL_API_URL || 'https://twilio-voice-ai-workshop-vercel.vercel.app';
-    const settingsUrl = `${vercelApiUrl}/api/get-student-ai-settings?sessionToken=${encodeURIComponent(sessionToken)}`;
+  liveCalls.set(ws, null);
+  ws.once('close', () => liveCalls.delete(ws));
 
-    console.log(`🔍 Fetching settings from: ${settingsUrl}`);
-    const settingsResponse = await fetch(settingsUrl);
+  try {
+    // Load student settings (cached, falls back to the database if the API is down)
+    const studentConfig = await loadStudentConfig(sessionToken);
 
-    if (!settingsResponse.ok) {
-      console.error(`❌ Failed to fetch settings: ${settingsResponse.status}`);
-      ws.close(1008, 'Failed to load student settings');
+    if (!studentConfig) {
+      log.warn('No settings found for session');
+      ws.close(1008, 'Invalid session token');
       return;
     }
 
-    const responseText = await settingsResponse.text();
-    console.log(`📄 Response length: ${responseText.length} bytes`);
+    log.info('Loaded student config', {
+      student: studentConfig.student_name || 'Unknown',
+      hasOpenAIKey: !!studentConfig.openai_api_key
+    });
 
-    let settingsData;
-    try {
-      settingsData = JSON.parse(responseText);
-    } catch (parseError) {
-      console.error(`❌ JSON parse error:`, parseError.message);
-      console.error(`   Response text (first 200 chars):`, responseText.substring(0, 200));
-      ws.close(1008, 'Invalid settings response from API');
-      return;
+    // Handle ConversationRelay protocol with student's config
+    // Pass credential tunnel function for real-time key retrieval
+    // Pass tunnel registry for streaming events to every open browser tab
+    const call = await handleConversationRelay(ws, studentConfig, sessionToken, requestCredentialsThroughTunnel, activeTunnels);
+
+    // Keep the drain function for shutdown (a call that started mid-shutdown drains right away)
+    if (liveCalls.has(ws)) {
+      liveCalls.set(ws, call.drain);
+      if (shuttingDown) {
+        call.drain(SHUTDOWN_GOODBYE_MESSAGE);
+      }
     }
 
-    if (!settingsData.success || !settingsData.settings) {
-      console.error(`❌ No settings found for session: ${sessionToken.substring(0, 8)}...`);
-      ws.close(1008, 'Invalid session token');
+  } catch (error) {
+    if (error instanceof StudentConfigError) {
+      // Tell the student exactly what to fix
+      log.warn('Invalid student config', { errors: error.errors });
+      activeTunnels.send(sessionToken, {
+        type: 'config_invalid',
+        timestamp: new Date().toISOString(),
+        errors: error.errors
+      });
+      ws.close(1008, 'Invalid student configuration');
       return;
     }
 
-    // Convert Vercel API response to studentConfig format
-    const studentConfig = {
-      session_token: sessionToken,
-      student_name: settingsData.settings.studentName,
-      openai_api_key: settingsData.settings.openaiApiKey,  // Already decrypted by Vercel API
-      system_prompt: settingsData.settings.systemPrompt,
-      tools: settingsData.settings.tools ? JSON.parse(settingsData.settings.tools) : [],
-      voice_settings: {
-        voice: settingsData.settings.voice || 'alloy',
-        greeting: settingsData.settings.greeting
-      }
-    };
+    log.error('Error loading student config', { error });
+    ws.close(1011, error instanceof SettingsUnavailableError ? 'Failed to load student settings' : 'Server error');
+  }
+}
 
-    console.log(`✅ Loaded config for student: ${studentConfig.student_name || 'Unknown'}`);
-    console.log(`   OpenAI key: ${studentConfig.openai_api_key ? '✓ Available (decrypted)' : '✗ Missing'}`);
+/**
+ * Decide whether a WebSocket upgrade may proceed
+ *   /ws/{token}      - Twilio ConversationRelay (signed token + X-Twilio-Signature)
+ *   /tunnel/{token}  - Browser tunnel (signed token + allowed Origin)
+ *   /instructor/     - Instructor feed (instructor key as ?key= or Bearer)
+ * @param {http.IncomingMessage} req - Upgrade request
+ * @returns {Object} { kind, sessionToken } or { status, error }
+ */
+function authorizeUpgrade(req) {
+  const url = new URL(req.url, 'http://localhost');
+  const { pathname } = url;
 
-    // Handle ConversationRelay protocol with student's config
-    // Pass credential tunnel function for real-time key retrieval
-    // Pass activeTunnels map for streaming events to browser
-    await handleConversationRelay(ws, studentConfig, sessionToken, requestCredentialsThroughTunnel, activeTunnels);
+  if (pathname === '/instructor' || pathname.startsWith('/instructor/')) {
+    if (!isInstructorKey(getRequestCredential(req, url))) {
+      return { status: 401, error: 'Instructor key required' };
+    }
+    return { kind: 'instructor' };
+  }
+
+  const kind = pathname.startsWith('/ws/') ? 'call' : pathname.startsWith('/tunnel/') ? 'tunnel' : null;
+  if (!kind) {
+    return { status: 404, error: 'Invalid WebSocket path - must start with /ws/, /tunnel/ or /instructor/' };
+  }
 
+  let token;
+  try {
+    token = decodeURIComponent(pathname.split('/').pop());
   } catch (error) {
-    console.error('❌ Error loading student config:', error);
-    ws.close(1011, 'Server error');
+    return { status: 400, error: 'Malformed session token' };
   }
-});
+  if (!token) {
+    return { status: 401, error: 'Session token required' };
+  }
+
+  const verified = verifySessionToken(token);
+  if (!verified.valid) {
+    return { status: 401, error: verified.reason === 'expired' ? 'Session token expired' : 'Invalid session token' };
+  }
+
+  if (kind === 'call' && !isValidTwilioSignature(req)) {
+    return { status: 403, error: 'Invalid Twilio signature' };
+  }
+
+  if (kind === 'tunnel' && !isAllowedOrigin(req.headers.origin)) {
+    return { status: 403, error: 'Origin not allowed' };
+  }
+
+  return { kind, sessionToken: verified.sessionToken };
+}
+
+// Signed tokens and instructor keys are credentials - keep them out of the logs
+function redactUrl(url) {
+  const [prefix, token] = url.split('?')[0].split('/').slice(1);
+  return token ? `/${prefix}/${token.substring(0, 8)}...` : `/${prefix}`;
+}
 
 /**
- * Request OpenAI API key through secure credential tunnel
- * @param {string} sessionToken - Student's session token
- * @returns {Promise<string|null>} OpenAI API key or null if tunnel not available
+ * Answer a rejected upgrade with a plain HTTP error and drop the socket
+ * @param {net.Socket} socket - Upgrade socket
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message for the response body
  */
-export async function requestCredentialsThroughTunnel(sessionToken) {
-  const tunnelWs = activeTunnels.get(sessionToken);
+function rejectUpgrade(socket, status, message) {
+  const body = JSON.stringify({ success: false, error: message });
+  socket.end(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+    'Connection: close\r\n' +
+    'Content-Type: application/json\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+    '\r\n' +
+    body
+  );
+}
 
-  if (!tunnelWs || tunnelWs.readyState !== 1) { // 1 = OPEN
-    console.log(`⚠️  No active tunnel for session: ${sessionToken.substring(0, 8)}...`);
-    return null;
+/**
+ * Check what calls depend on: Postgres and the settings API
+ * A draining server is never ready, so the platform stops routing to it
+ * @returns {Promise<Object>} { ready, draining, checks: { database, settingsApi } }
+ */
+async function checkReadiness() {
+  if (shuttingDown) {
+    return { ready: false, draining: true };
   }
 
-  return new Promise((resolve, reject) => {
-    const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(7)}`;
-    const timeout = setTimeout(() => {
-      tunnelWs.removeEventListener('message', messageHandler);
-      reject(new Error('Credential request timeout - browser may be closed'));
-    }, 10000); // 10 second timeout
+  const [database, settingsApi] = await Promise.all([
+    runReadyCheck(pingDatabase),
+    runReadyCheck(checkSettingsApi)
+  ]);
 
-    const messageHandler = (event) => {
-      try {
-        const data = JSON.parse(event.data);
-        if (data.type === 'credential_response' && data.requestId === requestId) {
-          clearTimeout(timeout);
-          tunnelWs.removeEventListener('message', messageHandler);
-          console.log(`✅ Received OpenAI key from browser tunnel`);
-          resolve(data.openaiApiKey);
-        }
-      } catch (error) {
-        // Ignore parse errors
-      }
-    };
+  return {
+    ready: database.ok && settingsApi.ok,
+    draining: false,
+    checks: { database, settingsApi }
+  };
+}
+
+async function runReadyCheck(check) {
+  const startedAt = Date.now();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer within ${READY_CHECK_TIMEOUT_MS}ms`)), READY_CHECK_TIMEOUT_MS);
+  });
 
-    tunnelWs.addEventListener('message', messageHandler);
+  try {
+    await Promise.race([check(), timeout]);
+    return { ok: true, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-    // Send credential request to browser
-    console.log(`🔑 Requesting credentials through tunnel for session: ${sessionToken.substring(0, 8)}...`);
-    tunnelWs.send(JSON.stringify({
-      type: 'credential_request',
-      requestId: requestId
+/**
+ * Replay buffered tunnel events a reconnecting browser missed
+ * @param {WebSocket} ws - Browser tunnel socket
+ * @param {string} sessionToken - Student's session token
+ * @param {number|string} lastSeq - Last event sequence number the browser saw
+ */
+function resumeTunnel(ws, sessionToken, lastSeq) {
+  const afterSeq = parseInt(lastSeq, 10);
+  if (Number.isNaN(afterSeq) || afterSeq < 0) {
+    ws.send(JSON.stringify({
+      type: 'resume_failed',
+      error: 'lastSeq must be a non-negative integer'
     }));
-  });
+    return;
+  }
+
+  const { replayed, gap, reset } = activeTunnels.resume(sessionToken, ws, afterSeq);
+  log.info('Tunnel resumed', { replayed, gap, reset });
+
+  ws.send(JSON.stringify({
+    type: 'resume_complete',
+    replayed,
+    gap,
+    reset,
+    lastSeq: activeTunnels.lastSeq(sessionToken)
+  }));
+}
+
+/**
+ * Request an API key through the encrypted credential tunnel (see credential-tunnel.js)
+ * @param {string} sessionToken - Student's session token
+ * @param {Object} options - { provider, reason }
+ * @returns {Promise<string|null>} API key or null if tunnel not available
+ */
+export async function requestCredentialsThroughTunnel(sessionToken, options) {
+  return requestCredential(activeTunnels, sessionToken, options);
 }
 
 // Start server
 server.listen(PORT, '0.0.0.0', () => {
-  console.log(`✅ Multi-tenant WebSocket server running on port ${PORT}`);
-  console.log(`   WebSocket endpoint: ws://0.0.0.0:${PORT}/ws/{session-token}`);
-  console.log(`   Credential tunnel: ws://0.0.0.0:${PORT}/tunnel/{session-token}`);
-  console.log(`   Health check: http://0.0.0.0:${PORT}/health`);
+  log.info(`Multi-tenant WebSocket server running on port ${PORT}`, {
+    port: Number(PORT),
+    endpoints: {
+      call: '/ws/{session-token}',
+      tunnel: '/tunnel/{session-token}',
+      instructor: '/instructor/?key={instructor-key}',
+      health: '/health',
+      metrics: '/metrics'
+    }
+  });
+
+  if (!process.env.SESSION_TOKEN_SECRET) {
+    log.warn('SESSION_TOKEN_SECRET not set - accepting unsigned session tokens');
+  }
+  if (!process.env.TWILIO_AUTH_TOKEN) {
+    log.warn('TWILIO_AUTH_TOKEN not set - Twilio request signatures are not checked');
+  }
+
+  // Create any missing tables (safe to repeat). A failure is logged by
+  // initializeDatabase and /ready reports the database, so keep serving
+  if (process.env.POSTGRES_URL) {
+    initializeDatabase().catch(() => {});
+  } else {
+    log.warn('POSTGRES_URL not set - calls, usage and caller memory are not saved');
+  }
 });
 
-// Graceful shutdown
+// Graceful shutdown: stop taking calls, say goodbye, let calls end, tell the browsers, exit
 process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
-    console.log('HTTP server closed');
-    process.exit(0);
+  shutdown().catch((error) => {
+    log.error('Error during shutdown', { error });
+    process.exit(1);
   });
 });
+
+async function shutdown() {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  log.info('SIGTERM signal received: draining calls', { calls: liveCalls.size, drainTimeoutMs: SHUTDOWN_DRAIN_TIMEOUT_MS });
+
+  // No new connections (upgrades on open connections are refused above)
+  server.close();
+
+  for (const drain of liveCalls.values()) {
+    drain?.(SHUTDOWN_GOODBYE_MESSAGE);
+  }
+
+  const deadline = Date.now() + SHUTDOWN_DRAIN_TIMEOUT_MS;
+  while (liveCalls.size > 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, DRAIN_POLL_MS));
+  }
+  if (liveCalls.size > 0) {
+    log.warn('Drain deadline reached - closing remaining calls', { calls: liveCalls.size });
+  }
+
+  // Browsers reconnect to the new instance, whose seq numbers start over -
+  // its resume_complete has `reset` and the browser drops its last seq
+  const tabs = activeTunnels.broadcast({
+    type: 'server_shutdown',
+    timestamp: new Date().toISOString()
+  });
+
+  for (const ws of wss.clients) {
+    ws.close(1012, 'Server restarting');
+  }
+
+  // Give close handshakes and the last transcript writes a moment
+  await new Promise(resolve => setTimeout(resolve, CLOSE_GRACE_MS));
+  log.info('Shutdown complete', { tunnelTabsNotified: tabs });
+  process.exit(0);
+}
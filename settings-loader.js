@@ -0,0 +1,202 @@
+/**
+ * Settings Loader
+ * Loads student configs from the workshop's Vercel API with an in-memory cache
+ *
+ * - Fresh entries are served from memory for SETTINGS_CACHE_TTL_MS
+ * - After that, the stale entry is served immediately while a background refresh runs
+ *   (up to SETTINGS_MAX_STALE_MS; older entries are refreshed before use)
+ * - Concurrent loads for the same session share one request (single-flight)
+ * - If the API fails, the config is loaded from the database instead
+ * - The workshop app calls POST /api/sessions/:token/invalidate when a student saves changes
+ *
+ * Both sources are normalized and validated by student-config.js.
+ */
+
+import { getStudentConfig } from './database.js';
+import { configFromSettingsApi, configFromDatabase, StudentConfigError } from './student-config.js';
+import { createLogger, sessionPrefix } from './logger.js';
+
+const log = createLogger('settings');
+
+const VERCEL_API_URL = process.env.VERCEL_API_URL || 'https://twilio-voice-ai-workshop-vercel.vercel.app';
+const CACHE_TTL_MS = parseInt(process.env.SETTINGS_CACHE_TTL_MS || '60000', 10);
+const MAX_STALE_MS = parseInt(process.env.SETTINGS_MAX_STALE_MS || '600000', 10);
+const FETCH_TIMEOUT_MS = parseInt(process.env.SETTINGS_FETCH_TIMEOUT_MS || '5000', 10);
+
+// Key: sessionToken, Value: { config, fetchedAt }
+const cache = new Map();
+
+// Key: sessionToken, Value: Promise<config|null> for the load in progress
+// Invalidation removes the entry, so a load that started before the student saved
+// new settings can tell it has been replaced and doesn't cache the old ones
+const inFlight = new Map();
+
+/**
+ * Error raised when neither the settings API nor the database could be reached
+ */
+export class SettingsUnavailableError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'SettingsUnavailableError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Load a student's config
+ * @param {string} sessionToken - Student's session token
+ * @returns {Promise<Object|null>} Student config, or null if the session doesn't exist
+ * @throws {SettingsUnavailableError} If the API and the database both failed
+ * @throws {StudentConfigError} If the student's config is invalid
+ */
+export async function loadStudentConfig(sessionToken) {
+  const entry = cache.get(sessionToken);
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+  if (age < CACHE_TTL_MS) {
+    return copyConfig(entry.config);
+  }
+
+  if (age < CACHE_TTL_MS + MAX_STALE_MS) {
+    // Serve stale, refresh in the background
+    refresh(sessionToken).catch(error => {
+      log.warn('Background settings refresh failed', { session: sessionPrefix(sessionToken), error });
+    });
+    return copyConfig(entry.config);
+  }
+
+  try {
+    return copyConfig(await refresh(sessionToken));
+  } catch (error) {
+    // Last resort: a very old cached config beats failing the call
+    // (but an invalid config is the student's to fix, so report it)
+    if (entry && !(error instanceof StudentConfigError)) {
+      log.warn('Serving expired settings', { session: sessionPrefix(sessionToken), error });
+      return copyConfig(entry.config);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Drop a session's cached config so the next call loads fresh settings
+ * @param {string} sessionToken - Student's session token
+ * @returns {boolean} True if an entry was cached
+ */
+export function invalidateStudentConfig(sessionToken) {
+  inFlight.delete(sessionToken);
+  return cache.delete(sessionToken);
+}
+
+/**
+ * Check that the settings API answers (used by /ready)
+ * Any response below 500 counts - the check sends no session token, so a 4xx is expected
+ * @throws {Error} If the API can't be reached or returns a server error
+ */
+export async function checkSettingsApi() {
+  const response = await fetch(`${VERCEL_API_URL}/api/get-student-ai-settings`, {
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  await response.body?.cancel();
+
+  if (response.status >= 500) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+// Load and cache a config, sharing the request with concurrent callers
+function refresh(sessionToken) {
+  if (inFlight.has(sessionToken)) {
+    return inFlight.get(sessionToken);
+  }
+
+  const load = fetchConfig(sessionToken)
+    .then(config => {
+      if (inFlight.get(sessionToken) !== load) {
+        // Invalidated while loading - still answer this caller, but leave the cache alone
+        return config;
+      }
+      if (config) {
+        cache.set(sessionToken, { config, fetchedAt: Date.now() });
+      } else {
+        cache.delete(sessionToken);
+      }
+      return config;
+    })
+    .finally(() => {
+      if (inFlight.get(sessionToken) === load) {
+        inFlight.delete(sessionToken);
+      }
+    });
+
+  inFlight.set(sessionToken, load);
+  return load;
+}
+
+// Fetch from the Vercel API, falling back to the database when the API fails
+async function fetchConfig(sessionToken) {
+  try {
+    return await fetchFromApi(sessionToken);
+  } catch (apiError) {
+    if (apiError instanceof StudentConfigError) {
+      throw apiError;
+    }
+
+    log.warn('Settings API failed - falling back to database', { error: apiError });
+
+    let row;
+    try {
+      row = await getStudentConfig(sessionToken);
+    } catch (dbError) {
+      throw new SettingsUnavailableError(
+        `Settings API and database both unavailable: ${apiError.message}; ${dbError.message}`,
+        dbError
+      );
+    }
+
+    return row ? configFromDatabase(row) : null;
+  }
+}
+
+async function fetchFromApi(sessionToken) {
+  // Fetch student settings from Vercel API (includes decrypted OpenAI key)
+  const settingsUrl = `${VERCEL_API_URL}/api/get-student-ai-settings?sessionToken=${encodeURIComponent(sessionToken)}`;
+
+  log.debug('Fetching settings', { api: VERCEL_API_URL });
+  const settingsResponse = await fetch(settingsUrl, {
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+
+  // The API answers 404 for unknown sessions - that's a real answer, not a failure
+  if (settingsResponse.status === 404) {
+    return null;
+  }
+
+  if (!settingsResponse.ok) {
+    throw new Error(`HTTP ${settingsResponse.status}`);
+  }
+
+  const responseText = await settingsResponse.text();
+  log.debug('Settings response', { status: settingsResponse.status, bytes: responseText.length });
+
+  let settingsData;
+  try {
+    settingsData = JSON.parse(responseText);
+  } catch (parseError) {
+    // The body may contain the student's decrypted keys, so it isn't logged
+    log.warn('Settings API returned invalid JSON', { bytes: responseText.length, error: parseError.message });
+    throw new Error(`Invalid JSON response: ${parseError.message}`);
+  }
+
+  if (!settingsData.success || !settingsData.settings) {
+    return null;
+  }
+
+  return configFromSettingsApi(sessionToken, settingsData.settings);
+}
+
+// Each call gets its own deep copy so a handler can't change the cached config
+// (or its tools, llm and voice settings)
+function copyConfig(config) {
+  return config ? structuredClone(config) : null;
+}
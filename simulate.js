@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Run a simulated call from a script (see relay-simulator.js for the script format)
+ *
+ *   node simulate.js call.yaml                          - against ws://localhost:3000
+ *   node simulate.js call.yaml --server wss://host      - against a deployed server
+ *   node simulate.js call.yaml --offline                - starts the mock LLM and a local server
+ *
+ * Options: --token <sessionToken>, --verbose (print every frame), --json (print the result)
+ * Exits with 1 if any step fails, so it can run in CI.
+ */
+
+import { spawn } from 'child_process';
+import net from 'net';
+import { fileURLToPath } from 'url';
+import { loadSimulationScript, runSimulation, SimulationScriptError, DEFAULT_SESSION_TOKEN } from './relay-simulator.js';
+import { startMockLLMServer } from './mock-llm-server.js';
+
+const SERVER_START_TIMEOUT_MS = 10000;
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const scriptPath = args.find((arg, i) => !arg.startsWith('--') && !['--server', '--token'].includes(args[i - 1]));
+
+  if (!scriptPath) {
+    console.error('Usage: node simulate.js <script.yaml|json> [--server ws://localhost:3000] [--token <sessionToken>] [--offline] [--verbose] [--json]');
+    process.exit(1);
+  }
+
+  const script = await loadSimulationScript(scriptPath);
+  const json = args.includes('--json');
+  const log = json ? () => {} : console.log;
+  let serverUrl = option('--server') || 'ws://localhost:3000';
+  let mock = null;
+  let server = null;
+
+  try {
+    if (args.includes('--offline')) {
+      const sessionToken = option('--token') || script.sessionToken || DEFAULT_SESSION_TOKEN;
+      mock = await startMockLLMServer({
+        ...(script.mockLLM || {}),
+        settings: { [sessionToken]: { openaiApiKey: 'sk-simulator', ...(script.settings || {}) } }
+      });
+      server = await startLocalServer(mock);
+      serverUrl = `ws://127.0.0.1:${server.port}`;
+      log(`🧪 Offline: mock LLM on port ${mock.port}, server on port ${server.port}`);
+    }
+
+    log(`📞 ${script.name || scriptPath} → ${serverUrl}`);
+
+    const result = await runSimulation(script, {
+      serverUrl,
+      sessionToken: option('--token'),
+      onFrame: args.includes('--verbose') && !json
+        ? (source, frame) => console.log(`   ${source === 'call' ? '←' : '⇠'} ${JSON.stringify(frame)}`)
+        : undefined
+    });
+
+    if (json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      for (const step of result.steps) {
+        const detail = script.steps[step.index][step.action];
+        log(`${step.passed ? '✅' : '❌'} Step ${step.index + 1}: ${step.action}${detail !== undefined && detail !== true ? ` ${JSON.stringify(detail)}` : ''}`);
+        const spoken = step.frames.filter(frame => frame.type === 'text').map(frame => frame.token).join('');
+        if (spoken) {
+          log(`   🗣️  ${spoken}`);
+        }
+        for (const failure of step.failures) {
+          log(`   ✗ ${failure}`);
+        }
+      }
+      log(result.passed ? '✅ All steps passed' : `❌ ${result.steps.filter(step => !step.passed).length} of ${result.steps.length} steps failed`);
+    }
+
+    process.exitCode = result.passed ? 0 : 1;
+  } finally {
+    if (server) {
+      server.child.kill();
+      if (process.exitCode && !json) {
+        console.log('--- Server output ---');
+        console.log(server.output());
+      }
+    }
+    await mock?.close();
+  }
+}
+
+/**
+ * Start server.js on a free port with the LLM and settings API pointed at the mock
+ * POSTGRES_URL is left out so offline runs never write to a real database
+ * @param {Object} mock - Running mock LLM server
+ * @returns {Promise<Object>} { child, port, output() }
+ */
+async function startLocalServer(mock) {
+  const port = await findFreePort();
+  const { POSTGRES_URL, ...env } = process.env;
+  const child = spawn(process.execPath, [fileURLToPath(new URL('./server.js', import.meta.url))], {
+    env: {
+      ...env,
+      PORT: String(port),
+      OPENAI_BASE_URL: mock.url,
+      VERCEL_API_URL: `http://127.0.0.1:${mock.port}`
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => output += chunk);
+  child.stderr.on('data', chunk => output += chunk);
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start within ${SERVER_START_TIMEOUT_MS}ms:\n${output}`)), SERVER_START_TIMEOUT_MS);
+    const onData = () => {
+      if (output.includes('running on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  return { child, port, output: () => output };
+}
+
+function findFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+main().catch((error) => {
+  if (error instanceof SimulationScriptError) {
+    console.error('❌ Invalid script:');
+    error.errors.forEach(e => console.error(`   ${e.field}: ${e.message}`));
+  } else {
+    console.error('❌ Simulation failed:', error.message);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,575 @@
+/**
+ * Student Config
+ * Normalizes and validates student configs from the settings API and the database
+ *
+ * Both sources are converted to one shape:
+ *   {
+ *     session_token, student_name, system_prompt,
+ *     prompt_variants: { name: prompt } | null,  // picked by a TwiML parameter (see prompt-template.js)
+ *     openai_api_key, anthropic_api_key,
+ *     tools: [...],                 // OpenAI function tools (+ optional execution block)
+ *     max_tool_steps,               // null = handler default
+ *     history_strategy,             // 'summarize' | 'truncate' (see conversation-history.js)
+ *     caller_memory,                // remember callers across calls (see caller-memory.js)
+ *     llm: { provider, model, temperature, max_tokens, base_url },
+ *     voice_settings: { voice, greeting },
+ *     dtmf: { keys, collect } | null  // keypad menus (see dtmf-menu.js)
+ *   }
+ *
+ * Invalid configs throw a StudentConfigError listing every problem by field.
+ */
+
+import { LLM_PROVIDERS } from './llm-provider.js';
+import { BUILTIN_TOOL_NAMES } from './tool-executor.js';
+import { outboundUrlError } from './url-guard.js';
+import { DTMF_KEYS, DTMF_ACTION_TYPES } from './dtmf-menu.js';
+import { HISTORY_STRATEGIES } from './conversation-history.js';
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const EXECUTION_TYPES = ['webhook', 'builtin', 'mock'];
+const MAX_TOOL_STEPS = 20;
+const VARIANT_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,50}$/;
+
+/**
+ * Error raised for a config that fails validation
+ * `errors` is a list of { field, message }
+ */
+export class StudentConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid student configuration: ${errors.map(e => `${e.field}: ${e.message}`).join('; ')}`);
+    this.name = 'StudentConfigError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Build a config from the Vercel settings API response
+ * @param {string} sessionToken - Student's session token
+ * @param {Object} settings - `settings` object from /api/get-student-ai-settings
+ * @returns {Object} Validated student config
+ * @throws {StudentConfigError} If any field is invalid
+ */
+export function configFromSettingsApi(sessionToken, settings) {
+  return validateStudentConfig({
+    session_token: sessionToken,
+    student_name: settings.studentName,
+    system_prompt: settings.systemPrompt,
+    prompt_variants: settings.promptVariants,
+    openai_api_key: settings.openaiApiKey,  // Already decrypted by Vercel API
+    anthropic_api_key: settings.anthropicApiKey,
+    tools: settings.tools,
+    max_tool_steps: settings.maxToolSteps,
+    history_strategy: settings.historyStrategy,
+    caller_memory: settings.callerMemory,
+    llm: {
+      provider: settings.llmProvider,
+      model: settings.llmModel,
+      temperature: settings.temperature,
+      max_tokens: settings.maxTokens,
+      base_url: settings.llmBaseUrl
+    },
+    voice_settings: {
+      voice: settings.voice,
+      greeting: settings.greeting
+    },
+    dtmf: settings.dtmf
+  });
+}
+
+/**
+ * Build a config from a student_configs database row
+ * @param {Object} row - Row from getStudentConfig
+ * @returns {Object} Validated student config
+ * @throws {StudentConfigError} If any field is invalid
+ */
+export function configFromDatabase(row) {
+  return validateStudentConfig({
+    session_token: row.session_token,
+    student_name: row.student_name,
+    system_prompt: row.system_prompt,
+    openai_api_key: row.openai_api_key,
+    tools: row.tools,
+    voice_settings: row.voice_settings
+  });
+}
+
+/**
+ * Settings a replay may change, in settings API names (see call-replay.js)
+ * API keys and the base URL stay as the student saved them
+ */
+export const OVERRIDABLE_SETTINGS = [
+  'systemPrompt', 'promptVariants', 'tools', 'maxToolSteps', 'historyStrategy',
+  'llmProvider', 'llmModel', 'temperature', 'maxTokens', 'greeting', 'dtmf'
+];
+
+/**
+ * Apply settings overrides to a validated config
+ * @param {Object} config - Validated student config
+ * @param {Object} overrides - Settings in settings API names (see OVERRIDABLE_SETTINGS)
+ * @returns {Object} Validated config with the overrides applied
+ * @throws {StudentConfigError} If an override is unknown or invalid
+ */
+export function applyConfigOverrides(config, overrides) {
+  const unknown = Object.keys(overrides).filter(key => !OVERRIDABLE_SETTINGS.includes(key));
+  if (unknown.length > 0) {
+    throw new StudentConfigError(unknown.map(key => ({
+      field: key,
+      message: `can't be overridden (use ${OVERRIDABLE_SETTINGS.join(', ')})`
+    })));
+  }
+
+  const pick = (key, current) => overrides[key] !== undefined ? overrides[key] : current;
+
+  return validateStudentConfig({
+    ...config,
+    system_prompt: pick('systemPrompt', config.system_prompt),
+    prompt_variants: pick('promptVariants', config.prompt_variants),
+    tools: pick('tools', config.tools),
+    max_tool_steps: pick('maxToolSteps', config.max_tool_steps),
+    history_strategy: pick('historyStrategy', config.history_strategy),
+    llm: {
+      ...config.llm,
+      provider: pick('llmProvider', config.llm.provider),
+      model: pick('llmModel', config.llm.model),
+      temperature: pick('temperature', config.llm.temperature),
+      max_tokens: pick('maxTokens', config.llm.max_tokens)
+    },
+    voice_settings: {
+      ...config.voice_settings,
+      greeting: pick('greeting', config.voice_settings.greeting)
+    },
+    dtmf: pick('dtmf', config.dtmf)
+  });
+}
+
+/**
+ * Validate and normalize a config
+ * @param {Object} input - Config in the unified shape (JSON fields may still be strings)
+ * @returns {Object} Normalized config
+ * @throws {StudentConfigError} If any field is invalid
+ */
+export function validateStudentConfig(input) {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, message });
+
+  const tools = validateTools(parseJsonField(input.tools, 'tools', addError) ?? [], addError);
+
+  const config = {
+    session_token: input.session_token,
+    student_name: readString(input.student_name, 'student_name', addError, 200),
+    system_prompt: readString(input.system_prompt, 'system_prompt', addError, 20000),
+    prompt_variants: validatePromptVariants(parseJsonField(input.prompt_variants, 'prompt_variants', addError), addError),
+    openai_api_key: readString(input.openai_api_key, 'openai_api_key', addError),
+    anthropic_api_key: readString(input.anthropic_api_key, 'anthropic_api_key', addError),
+    tools,
+    max_tool_steps: readNumber(input.max_tool_steps, 'max_tool_steps', addError, { min: 0, max: MAX_TOOL_STEPS, integer: true }),
+    history_strategy: readString(input.history_strategy, 'history_strategy', addError) || 'summarize',
+    caller_memory: readBoolean(input.caller_memory, 'caller_memory', addError) ?? false,
+    llm: validateLLM(input.llm || {}, addError),
+    voice_settings: validateVoiceSettings(parseJsonField(input.voice_settings, 'voice_settings', addError) ?? {}, addError),
+    dtmf: validateDtmf(parseJsonField(input.dtmf, 'dtmf', addError), tools, addError)
+  };
+
+  if (!config.session_token) {
+    addError('session_token', 'is required');
+  }
+  if (!HISTORY_STRATEGIES.includes(config.history_strategy)) {
+    addError('history_strategy', `must be one of ${HISTORY_STRATEGIES.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    throw new StudentConfigError(errors);
+  }
+
+  return config;
+}
+
+function validateTools(tools, addError) {
+  if (!Array.isArray(tools)) {
+    addError('tools', 'must be an array of tool definitions');
+    return [];
+  }
+
+  const names = new Set();
+
+  tools.forEach((tool, index) => {
+    const field = `tools[${index}]`;
+
+    if (!isPlainObject(tool)) {
+      addError(field, 'must be an object');
+      return;
+    }
+
+    const execution = tool.execution;
+    const isBuiltinShorthand = !tool.function && execution?.type === 'builtin';
+
+    if (tool.type !== undefined && tool.type !== 'function') {
+      addError(`${field}.type`, 'must be "function"');
+    }
+
+    let name = isBuiltinShorthand ? execution.name : undefined;
+
+    if (!isBuiltinShorthand) {
+      if (!isPlainObject(tool.function)) {
+        addError(`${field}.function`, 'is required and must be an object');
+      } else {
+        const fn = tool.function;
+        name = fn.name;
+
+        if (typeof fn.name !== 'string' || !TOOL_NAME_PATTERN.test(fn.name)) {
+          addError(`${field}.function.name`, 'must be 1-64 letters, digits, underscores or dashes');
+        }
+        if (fn.description !== undefined && typeof fn.description !== 'string') {
+          addError(`${field}.function.description`, 'must be a string');
+        }
+        if (fn.parameters !== undefined) {
+          validateParametersSchema(fn.parameters, `${field}.function.parameters`, addError);
+        }
+      }
+    }
+
+    if (execution !== undefined) {
+      validateExecution(execution, `${field}.execution`, addError);
+    }
+
+    if (typeof name === 'string') {
+      if (names.has(name)) {
+        addError(`${field}.function.name`, `duplicate tool name "${name}"`);
+      }
+      names.add(name);
+    }
+  });
+
+  return tools;
+}
+
+// OpenAI function parameters must be a JSON Schema object
+function validateParametersSchema(parameters, field, addError) {
+  if (!isPlainObject(parameters)) {
+    addError(field, 'must be a JSON Schema object');
+    return;
+  }
+  if (parameters.type !== 'object') {
+    addError(`${field}.type`, 'must be "object"');
+  }
+  if (parameters.properties !== undefined && !isPlainObject(parameters.properties)) {
+    addError(`${field}.properties`, 'must be an object');
+  }
+  if (parameters.required !== undefined) {
+    if (!Array.isArray(parameters.required) || !parameters.required.every(item => typeof item === 'string')) {
+      addError(`${field}.required`, 'must be an array of property names');
+    } else if (isPlainObject(parameters.properties)) {
+      for (const property of parameters.required) {
+        if (!(property in parameters.properties)) {
+          addError(`${field}.required`, `"${property}" is not defined in properties`);
+        }
+      }
+    }
+  }
+}
+
+function validateExecution(execution, field, addError) {
+  if (!isPlainObject(execution)) {
+    addError(field, 'must be an object');
+    return;
+  }
+
+  if (!EXECUTION_TYPES.includes(execution.type)) {
+    addError(`${field}.type`, `must be one of ${EXECUTION_TYPES.join(', ')}`);
+    return;
+  }
+
+  switch (execution.type) {
+    case 'webhook':
+      const urlError = typeof execution.url === 'string' ? outboundUrlError(execution.url) : 'must be an http(s) URL';
+      if (urlError) {
+        addError(`${field}.url`, urlError);
+      }
+      readNumber(execution.timeoutMs, `${field}.timeoutMs`, addError, { min: 1, max: 30000, integer: true });
+      readNumber(execution.maxResponseBytes, `${field}.maxResponseBytes`, addError, { min: 1, max: 1024 * 1024, integer: true });
+      if (execution.headers !== undefined && !isPlainObject(execution.headers)) {
+        addError(`${field}.headers`, 'must be an object');
+      }
+      break;
+
+    case 'builtin':
+      if (!BUILTIN_TOOL_NAMES.includes(execution.name)) {
+        addError(`${field}.name`, `must be one of ${BUILTIN_TOOL_NAMES.join(', ')}`);
+      }
+      break;
+
+    case 'mock':
+      if (!('response' in execution) && !Array.isArray(execution.responses)) {
+        addError(field, 'mock tools need a response or a responses array');
+      }
+      if (execution.responses !== undefined && !Array.isArray(execution.responses)) {
+        addError(`${field}.responses`, 'must be an array');
+      }
+      if (Array.isArray(execution.responses)) {
+        execution.responses.forEach((entry, index) => validateMockResponse(entry, `${field}.responses[${index}]`, addError));
+      }
+      readNumber(execution.delayMs, `${field}.delayMs`, addError, { min: 0, max: 30000, integer: true });
+      break;
+  }
+}
+
+// Mock responses are picked by comparing `when` values to the call's arguments with ===
+function validateMockResponse(entry, field, addError) {
+  if (!isPlainObject(entry)) {
+    addError(field, 'must be an object with a response');
+    return;
+  }
+  if (!('response' in entry)) {
+    addError(`${field}.response`, 'is required');
+  }
+  if (entry.when === undefined) {
+    return;
+  }
+  if (!isPlainObject(entry.when)) {
+    addError(`${field}.when`, 'must be an object of argument names to values');
+    return;
+  }
+  for (const [key, value] of Object.entries(entry.when)) {
+    if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+      addError(`${field}.when.${key}`, 'must be a string, number, boolean or null');
+    }
+  }
+}
+
+function validateLLM(llm, addError) {
+  if (!isPlainObject(llm)) {
+    addError('llm', 'must be an object');
+    return {};
+  }
+
+  const provider = readString(llm.provider, 'llm.provider', addError);
+  if (provider && !LLM_PROVIDERS.includes(provider)) {
+    addError('llm.provider', `must be one of ${LLM_PROVIDERS.join(', ')}`);
+  }
+
+  // The server sends requests (and possibly the student's key) to base_url, so it follows
+  // the same destination rules as webhooks
+  const baseUrl = readString(llm.base_url, 'llm.base_url', addError);
+  const baseUrlError = baseUrl ? outboundUrlError(baseUrl) : null;
+  if (baseUrlError) {
+    addError('llm.base_url', baseUrlError);
+  }
+
+  return withoutEmpty({
+    provider,
+    model: readString(llm.model, 'llm.model', addError, 200),
+    temperature: readNumber(llm.temperature, 'llm.temperature', addError, { min: 0, max: 2 }),
+    max_tokens: readNumber(llm.max_tokens, 'llm.max_tokens', addError, { min: 1, max: 4096, integer: true }),
+    base_url: baseUrl
+  });
+}
+
+function validatePromptVariants(variants, addError) {
+  if (variants === null) {
+    return null;
+  }
+  if (!isPlainObject(variants)) {
+    addError('prompt_variants', 'must be an object of variant name to prompt');
+    return null;
+  }
+
+  const normalized = {};
+  for (const [name, prompt] of Object.entries(variants)) {
+    if (!VARIANT_NAME_PATTERN.test(name)) {
+      addError(`prompt_variants.${name}`, 'name must be 1-50 letters, digits, _ or -');
+      continue;
+    }
+    if (prompt === null || prompt === undefined || prompt === '') {
+      addError(`prompt_variants.${name}`, 'must be a non-empty prompt');
+      continue;
+    }
+    const text = readString(prompt, `prompt_variants.${name}`, addError, 20000);
+    if (text) {
+      normalized[name] = text;
+    }
+  }
+  return normalized;
+}
+
+function validateVoiceSettings(voiceSettings, addError) {
+  if (!isPlainObject(voiceSettings)) {
+    addError('voice_settings', 'must be an object');
+    return { voice: 'alloy', greeting: null };
+  }
+
+  return {
+    ...voiceSettings,
+    voice: readString(voiceSettings.voice, 'voice_settings.voice', addError, 100) || 'alloy',
+    greeting: readString(voiceSettings.greeting, 'voice_settings.greeting', addError, 2000)
+  };
+}
+
+function validateDtmf(dtmf, tools, addError) {
+  if (dtmf === null) {
+    return null;
+  }
+  if (!isPlainObject(dtmf)) {
+    addError('dtmf', 'must be an object');
+    return null;
+  }
+
+  const toolNames = tools.map(tool => tool?.function?.name || tool?.execution?.name);
+
+  if (dtmf.keys !== undefined) {
+    if (!isPlainObject(dtmf.keys)) {
+      addError('dtmf.keys', 'must be an object mapping keys to actions');
+    } else {
+      for (const [key, action] of Object.entries(dtmf.keys)) {
+        if (key.length !== 1 || !DTMF_KEYS.includes(key)) {
+          addError(`dtmf.keys.${key}`, `key must be one of ${DTMF_KEYS.split('').join(' ')}`);
+        }
+        validateDtmfAction(action, `dtmf.keys.${key}`, toolNames, addError);
+      }
+    }
+  }
+
+  if (dtmf.collect !== undefined) {
+    const collect = dtmf.collect;
+    if (!isPlainObject(collect)) {
+      addError('dtmf.collect', 'must be an object');
+    } else {
+      readNumber(collect.maxDigits, 'dtmf.collect.maxDigits', addError, { min: 1, max: 32, integer: true });
+      readNumber(collect.timeoutMs, 'dtmf.collect.timeoutMs', addError, { min: 500, max: 30000, integer: true });
+      if (collect.finishKey !== undefined && collect.finishKey !== null &&
+          !(typeof collect.finishKey === 'string' && collect.finishKey.length === 1 && DTMF_KEYS.includes(collect.finishKey))) {
+        addError('dtmf.collect.finishKey', `must be one of ${DTMF_KEYS.split('').join(' ')} or null`);
+      }
+      validateDtmfAction(collect.action, 'dtmf.collect.action', toolNames, addError);
+    }
+  }
+
+  return dtmf;
+}
+
+function validateDtmfAction(action, field, toolNames, addError) {
+  if (!isPlainObject(action)) {
+    addError(field, 'must be an action object');
+    return;
+  }
+
+  switch (action.type) {
+    case 'reply':
+    case 'prompt':
+      if (typeof action.text !== 'string' || !action.text.trim()) {
+        addError(`${field}.text`, 'is required');
+      }
+      break;
+
+    case 'tool':
+      if (!toolNames.includes(action.name)) {
+        addError(`${field}.name`, 'must be the name of one of your tools');
+      }
+      if (action.argument !== undefined && typeof action.argument !== 'string') {
+        addError(`${field}.argument`, 'must be a string');
+      }
+      break;
+
+    case 'send_digits':
+      if (typeof action.digits !== 'string' || !action.digits ||
+          !/^[0-9*#wW]*$/.test(action.digits.replaceAll('{digits}', ''))) {
+        addError(`${field}.digits`, 'must contain only 0-9, *, #, w or {digits}');
+      }
+      break;
+
+    case 'play':
+      if (!isHttpUrl(action.source)) {
+        addError(`${field}.source`, 'must be an http(s) URL');
+      }
+      break;
+
+    default:
+      addError(`${field}.type`, `must be one of ${DTMF_ACTION_TYPES.join(', ')}`);
+  }
+}
+
+// JSON columns may arrive as strings (API, legacy rows) or already parsed
+function parseJsonField(value, field, addError) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    addError(field, `is not valid JSON (${error.message})`);
+    return null;
+  }
+}
+
+function readString(value, field, addError, maxLength) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    addError(field, 'must be a string');
+    return null;
+  }
+  if (maxLength && value.length > maxLength) {
+    addError(field, `must be at most ${maxLength} characters`);
+    return null;
+  }
+  return value;
+}
+
+// Accepts booleans and 'true' / 'false' strings
+function readBoolean(value, field, addError) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true';
+  }
+  addError(field, 'must be true or false');
+  return null;
+}
+
+// Accepts numbers and numeric strings (form fields often arrive as strings)
+function readNumber(value, field, addError, { min, max, integer = false }) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = typeof value === 'string' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    addError(field, 'must be a number');
+    return null;
+  }
+  if (integer && !Number.isInteger(number)) {
+    addError(field, 'must be a whole number');
+    return null;
+  }
+  if (number < min || number > max) {
+    addError(field, `must be between ${min} and ${max}`);
+    return null;
+  }
+  return number;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+function withoutEmpty(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== null));
+}
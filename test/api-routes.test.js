@@ -0,0 +1,123 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import './support/register-fake-database.js';
+
+process.env.INSTRUCTOR_KEY = 'instructor-test-key';
+delete process.env.SESSION_TOKEN_SECRET;
+
+const { fakeDb, createCall, saveCallTurn } = await import('./support/fake-database.js');
+const { handleApiRequest } = await import('../api-routes.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => handleApiRequest(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(async () => {
+  fakeDb.reset();
+  await createCall({ callSid: 'CA1', sessionToken: 'alice', from: '+15550001111', to: '+15550002222', direction: 'inbound', startedAt: '2026-01-01T10:00:00Z' });
+  await createCall({ callSid: 'CA2', sessionToken: 'alice', from: '+15550003333', to: '+15550002222', direction: 'inbound', startedAt: '2026-01-02T10:00:00Z' });
+  await createCall({ callSid: 'CB1', sessionToken: 'bob', from: '+15550004444', to: '+15550005555', direction: 'inbound', startedAt: '2026-01-01T12:00:00Z' });
+  await saveCallTurn('CA1', { index: 0, role: 'user', text: 'What is 2+2?', createdAt: '2026-01-01T10:00:05Z' });
+  await saveCallTurn('CA1', {
+    index: 1,
+    role: 'assistant',
+    text: '=2+2, which is "four"',
+    toolCalls: [{ step: 0, name: 'calculator', arguments: '{"expression":"2+2"}', result: { success: true, data: { result: 4 } } }],
+    usage: { promptTokens: 20, completionTokens: 8, totalTokens: 28 },
+    latencyMs: 900,
+    firstTokenMs: 300,
+    createdAt: '2026-01-01T10:00:07Z'
+  });
+});
+
+const get = (path, credential) => fetch(`${baseUrl}${path}`, {
+  headers: credential ? { Authorization: `Bearer ${credential}` } : {}
+});
+
+test('lists a session\'s calls newest first with paging', async () => {
+  const response = await get('/api/sessions/alice/calls?limit=1', 'alice');
+  assert.equal(response.status, 200);
+
+  const body = await response.json();
+  assert.deepEqual(body.calls.map(call => call.callSid), ['CA2']);
+  assert.deepEqual(body.paging, { limit: 1, offset: 0, total: 2, hasMore: true });
+
+  const second = await (await get('/api/sessions/alice/calls?limit=1&offset=1', 'alice')).json();
+  assert.equal(second.calls[0].callSid, 'CA1');
+  assert.equal(second.calls[0].turnCount, 2);
+  assert.equal(second.paging.hasMore, false);
+});
+
+test('filters calls by date and rejects bad paging or dates', async () => {
+  const body = await (await get('/api/sessions/alice/calls?from=2026-01-02', 'alice')).json();
+  assert.deepEqual(body.calls.map(call => call.callSid), ['CA2']);
+
+  assert.equal((await get('/api/sessions/alice/calls?limit=abc', 'alice')).status, 400);
+  assert.equal((await get('/api/sessions/alice/calls?offset=-1', 'alice')).status, 400);
+  assert.equal((await get('/api/sessions/alice/calls?from=yesterday', 'alice')).status, 400);
+});
+
+test('requires a credential for the session, or the instructor key', async () => {
+  assert.equal((await get('/api/sessions/alice/calls')).status, 401);
+  assert.equal((await get('/api/sessions/alice/calls', 'bob')).status, 403);
+  assert.equal((await get('/api/sessions/alice/calls?key=alice')).status, 200);
+  assert.equal((await get('/api/sessions/alice/calls', 'instructor-test-key')).status, 200);
+});
+
+test('returns the full transcript of a call', async () => {
+  const response = await get('/api/calls/CA1', 'alice');
+  assert.equal(response.status, 200);
+
+  const { call } = await response.json();
+  assert.equal(call.callSid, 'CA1');
+  assert.equal(call.turnCount, 2);
+  assert.deepEqual(call.turns.map(turn => [turn.index, turn.role]), [[0, 'user'], [1, 'assistant']]);
+  assert.equal(call.turns[0].usage, null);
+  assert.deepEqual(call.turns[1].usage, { promptTokens: 20, completionTokens: 8, totalTokens: 28 });
+  assert.equal(call.turns[1].toolCalls[0].name, 'calculator');
+});
+
+test('hides calls from other sessions behind a 404', async () => {
+  assert.equal((await get('/api/calls/CA1', 'bob')).status, 404);
+  assert.equal((await get('/api/calls/CA404', 'alice')).status, 404);
+  assert.equal((await get('/api/calls/CB1', 'instructor-test-key')).status, 200);
+});
+
+test('exports a call as CSV with quoted and formula-safe cells', async () => {
+  const response = await get('/api/calls/CA1/export?format=csv', 'alice');
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/csv/);
+  assert.equal(response.headers.get('content-disposition'), 'attachment; filename="call-CA1.csv"');
+
+  const lines = (await response.text()).trimEnd().split('\n');
+  assert.equal(lines[0], 'turn_index,role,text,interrupted,tool_calls,prompt_tokens,completion_tokens,total_tokens,latency_ms,first_token_ms,created_at');
+  assert.equal(lines[1], '0,user,What is 2+2?,false,,,,,,,2026-01-01T10:00:05.000Z');
+  assert.ok(lines[2].startsWith('1,assistant,"\'=2+2, which is ""four""",false,"[{""step"":0'));
+  assert.ok(lines[2].endsWith(',20,8,28,900,300,2026-01-01T10:00:07.000Z'));
+});
+
+test('exports a call as text or JSON', async () => {
+  const text = await (await get('/api/calls/CA1/export?format=text', 'alice')).text();
+  assert.match(text, /^Call CA1\n/);
+  assert.match(text, /\[00:05\] Caller: What is 2\+2\?/);
+  assert.match(text, /\[00:07\] Tool: calculator\(\{"expression":"2\+2"\}\) -> \{"success":true,"data":\{"result":4\}\}/);
+
+  const json = await (await get('/api/calls/CA1/export', 'alice')).json();
+  assert.equal(json.callSid, 'CA1');
+  assert.equal(json.turns.length, 2);
+});
+
+test('rejects unknown export formats, paths and methods', async () => {
+  assert.equal((await get('/api/calls/CA1/export?format=pdf', 'alice')).status, 400);
+  assert.equal((await get('/api/unknown', 'alice')).status, 404);
+  assert.equal((await get('/api/calls/%E0%A4%A', 'alice')).status, 400);
+  assert.equal((await fetch(`${baseUrl}/api/calls/CA1`, { method: 'POST', headers: { Authorization: 'Bearer alice' } })).status, 405);
+});
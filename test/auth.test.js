@@ -0,0 +1,92 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { signSessionToken, verifySessionToken, isValidTwilioSignature, isAllowedOrigin, isMetricsToken } from '../auth.js';
+
+afterEach(() => {
+  delete process.env.SESSION_TOKEN_SECRET;
+  delete process.env.TWILIO_AUTH_TOKEN;
+  delete process.env.TUNNEL_ALLOWED_ORIGINS;
+  delete process.env.METRICS_TOKEN;
+});
+
+test('a signed session token verifies until it expires', () => {
+  process.env.SESSION_TOKEN_SECRET = 'test-secret';
+  const { token, expiresAt } = signSessionToken('ws_123456_abc', 60);
+  assert.deepEqual(verifySessionToken(token), { valid: true, sessionToken: 'ws_123456_abc', expiresAt });
+
+  const expired = signSessionToken('ws_123456_abc', -1).token;
+  assert.deepEqual(verifySessionToken(expired), { valid: false, reason: 'expired' });
+});
+
+test('tampered or malformed session tokens are rejected', () => {
+  process.env.SESSION_TOKEN_SECRET = 'test-secret';
+  const { token } = signSessionToken('ws_123456_abc', 60);
+  const [, expiresAt, signature] = token.split('.');
+
+  assert.equal(verifySessionToken(`ws_123456_xyz.${expiresAt}.${signature}`).reason, 'bad_signature');
+  assert.equal(verifySessionToken(`ws_123456_abc.${Number(expiresAt) + 60}.${signature}`).reason, 'bad_signature');
+  assert.equal(verifySessionToken('ws_123456_abc').reason, 'malformed');
+  assert.equal(verifySessionToken('').reason, 'malformed');
+
+  process.env.SESSION_TOKEN_SECRET = 'other-secret';
+  assert.equal(verifySessionToken(token).reason, 'bad_signature');
+});
+
+test('without a secret, plain session tokens are accepted and signing fails', () => {
+  assert.deepEqual(verifySessionToken('ws_123456_abc'), { valid: true, sessionToken: 'ws_123456_abc', expiresAt: null });
+  assert.throws(() => signSessionToken('ws_123456_abc', 60), /SESSION_TOKEN_SECRET/);
+});
+
+const twilioSignature = (authToken, url) => crypto.createHmac('sha1', authToken).update(url).digest('base64');
+
+const upgradeRequest = (headers, url = '/ws/ws_123456_abc') => ({ headers, url, socket: {} });
+
+test('isValidTwilioSignature checks the signed wss:// URL', () => {
+  process.env.TWILIO_AUTH_TOKEN = 'auth-token';
+  const signature = twilioSignature('auth-token', 'wss://relay.example.com/ws/ws_123456_abc');
+
+  assert.equal(isValidTwilioSignature(upgradeRequest({
+    host: 'relay.example.com',
+    'x-forwarded-proto': 'https',
+    'x-twilio-signature': signature
+  })), true);
+  assert.equal(isValidTwilioSignature(upgradeRequest({
+    host: 'relay.example.com',
+    'x-forwarded-proto': 'https',
+    'x-twilio-signature': signature
+  }, '/ws/ws_123456_xyz')), false);
+  assert.equal(isValidTwilioSignature(upgradeRequest({ host: 'relay.example.com', 'x-forwarded-proto': 'https' })), false);
+});
+
+test('isValidTwilioSignature accepts a URL signed without the port', () => {
+  process.env.TWILIO_AUTH_TOKEN = 'auth-token';
+  const signature = twilioSignature('auth-token', 'ws://localhost/ws/ws_123456_abc');
+  assert.equal(isValidTwilioSignature(upgradeRequest({ host: 'localhost:3000', 'x-twilio-signature': signature })), true);
+});
+
+test('isValidTwilioSignature passes when TWILIO_AUTH_TOKEN is not set', () => {
+  assert.equal(isValidTwilioSignature(upgradeRequest({})), true);
+});
+
+test('isAllowedOrigin defaults to the workshop app and honours TUNNEL_ALLOWED_ORIGINS', () => {
+  assert.equal(isAllowedOrigin(undefined), true);
+  assert.equal(isAllowedOrigin('https://twilio-voice-ai-workshop-vercel.vercel.app'), true);
+  assert.equal(isAllowedOrigin('https://evil.example'), false);
+
+  process.env.TUNNEL_ALLOWED_ORIGINS = 'https://a.example, https://b.example/';
+  assert.equal(isAllowedOrigin('https://b.example'), true);
+  assert.equal(isAllowedOrigin('https://twilio-voice-ai-workshop-vercel.vercel.app'), false);
+
+  process.env.TUNNEL_ALLOWED_ORIGINS = '*';
+  assert.equal(isAllowedOrigin('https://evil.example'), true);
+});
+
+test('isMetricsToken only matches a configured METRICS_TOKEN', () => {
+  assert.equal(isMetricsToken('scrape-token'), false);
+
+  process.env.METRICS_TOKEN = 'scrape-token';
+  assert.equal(isMetricsToken('scrape-token'), true);
+  assert.equal(isMetricsToken('scrape-tokex'), false);
+  assert.equal(isMetricsToken(null), false);
+});
@@ -0,0 +1,181 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import './support/register-fake-database.js';
+import { startChatCompletionsServer } from './support/chat-completions-server.js';
+
+// Nothing listens on the discard port, so settings come from the database
+process.env.VERCEL_API_URL = 'http://127.0.0.1:9';
+process.env.INSTRUCTOR_KEY = 'instructor-test-key';
+delete process.env.SESSION_TOKEN_SECRET;
+
+const { fakeDb, createCall, saveCallTurn, saveStudentConfig } = await import('./support/fake-database.js');
+const { runReplay, turnsFromTranscript, ReplayError, MAX_REPLAY_TURNS } = await import('../call-replay.js');
+const { applyConfigOverrides, validateStudentConfig, StudentConfigError } = await import('../student-config.js');
+const { invalidateStudentConfig } = await import('../settings-loader.js');
+const { handleApiRequest } = await import('../api-routes.js');
+
+let llm;
+let server;
+let baseUrl;
+
+before(async () => {
+  llm = await startChatCompletionsServer();
+  process.env.OPENAI_BASE_URL = llm.url;
+
+  server = http.createServer((req, res) => handleApiRequest(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await llm.close();
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(async () => {
+  fakeDb.reset();
+  invalidateStudentConfig('alice');
+  await saveStudentConfig('alice', {
+    student_name: 'Alice',
+    system_prompt: 'You are a bakery assistant.',
+    openai_api_key: 'sk-test',
+    tools: [],
+    voice_settings: {}
+  });
+  await createCall({ callSid: 'CA1', sessionToken: 'alice', from: '+15550001111', to: '+15550002222', direction: 'inbound', startedAt: '2026-01-01T10:00:00Z' });
+  await saveCallTurn('CA1', { index: 0, role: 'assistant', text: 'Welcome to the bakery!', createdAt: '2026-01-01T10:00:01Z' });
+  await saveCallTurn('CA1', { index: 1, role: 'user', text: 'Do you have bagels?', createdAt: '2026-01-01T10:00:05Z' });
+  await saveCallTurn('CA1', {
+    index: 2,
+    role: 'assistant',
+    text: 'We do.',
+    usage: { promptTokens: 20, completionTokens: 3, totalTokens: 23 },
+    latencyMs: 800,
+    firstTokenMs: 300,
+    createdAt: '2026-01-01T10:00:07Z'
+  });
+});
+
+test('turnsFromTranscript reads exports, turn lists and caller lines', () => {
+  const exported = {
+    callSid: 'CA1',
+    turns: [
+      { role: 'assistant', text: 'Hello!' },
+      { role: 'user', text: 'Hi' },
+      { role: 'assistant', text: 'How can I help?', toolCalls: [{ step: 0, name: 'lookup', arguments: '{}', result: { success: true } }], latencyMs: 500 },
+      { role: 'user', text: '   ' },
+      { role: 'caller', text: 'Bye' }
+    ]
+  };
+
+  const turns = turnsFromTranscript(exported);
+  assert.deepEqual(turns.map(turn => turn.caller), ['Hi', 'Bye']);
+  assert.equal(turns[0].original.text, 'How can I help?');
+  assert.deepEqual(turns[0].original.toolCalls, [{ step: 0, name: 'lookup', arguments: '{}', result: { success: true } }]);
+  assert.equal(turns[0].original.latencyMs, 500);
+  assert.equal(turns[1].original, null);
+
+  assert.deepEqual(turnsFromTranscript(['One', 'Two']), [
+    { caller: 'One', original: null },
+    { caller: 'Two', original: null }
+  ]);
+});
+
+test('turnsFromTranscript rejects unknown formats and long caller turns', () => {
+  assert.throws(() => turnsFromTranscript('Hello'), ReplayError);
+  assert.throws(() => turnsFromTranscript({ calls: [] }), ReplayError);
+  assert.throws(() => turnsFromTranscript([{ role: 'system', text: 'x' }]), ReplayError);
+  assert.throws(() => turnsFromTranscript([{ role: 'user' }]), ReplayError);
+  assert.throws(() => turnsFromTranscript(['x'.repeat(2001)]), /at most 2000 characters/);
+});
+
+test('applyConfigOverrides changes only overridable settings', () => {
+  const config = validateStudentConfig({
+    session_token: 'alice',
+    system_prompt: 'Original prompt',
+    openai_api_key: 'sk-test',
+    llm: { model: 'gpt-4o-mini', temperature: 0.2 }
+  });
+
+  const changed = applyConfigOverrides(config, { systemPrompt: 'New prompt', temperature: 0.9 });
+  assert.equal(changed.system_prompt, 'New prompt');
+  assert.equal(changed.llm.temperature, 0.9);
+  assert.equal(changed.llm.model, 'gpt-4o-mini');
+  assert.equal(config.system_prompt, 'Original prompt');
+
+  assert.throws(() => applyConfigOverrides(config, { openaiApiKey: 'sk-other' }), error => {
+    assert.ok(error instanceof StudentConfigError);
+    assert.equal(error.errors[0].field, 'openaiApiKey');
+    return true;
+  });
+  assert.throws(() => applyConfigOverrides(config, { maxToolSteps: 99 }), StudentConfigError);
+});
+
+test('replays a recorded call next to the original replies', async () => {
+  llm.script({ text: ['Yes, ', 'sesame and plain.'] });
+  const seen = [];
+
+  const replay = await runReplay('alice', { callSid: 'CA1', config: { temperature: 0.5 } }, {
+    onTurn: (turn) => seen.push(turn.index)
+  });
+
+  assert.equal(replay.callSid, 'CA1');
+  assert.deepEqual(replay.overrides, ['temperature']);
+  assert.equal(replay.turns.length, 1);
+  assert.equal(replay.turns[0].caller, 'Do you have bagels?');
+  assert.equal(replay.turns[0].original.text, 'We do.');
+  assert.equal(replay.turns[0].replay.text, 'Yes, sesame and plain.');
+  assert.equal(replay.turns[0].replay.error, null);
+  assert.deepEqual(seen, [0]);
+  assert.equal(replay.totals.replay.turns, 1);
+  assert.equal(replay.totals.original.totalTokens, 23);
+
+  const request = llm.requests[llm.requests.length - 1];
+  assert.equal(request.temperature, 0.5);
+  assert.deepEqual(request.messages.filter(message => message.role === 'user').map(message => message.content), ['Do you have bagels?']);
+
+  // Replays aren't saved as calls
+  assert.deepEqual([...fakeDb.calls.keys()], ['CA1']);
+});
+
+test('refuses replays that can\'t run', async () => {
+  await assert.rejects(runReplay('alice', {}), /either callSid or transcript/);
+  await assert.rejects(runReplay('alice', { callSid: 'CA1', transcript: ['Hi'] }), /either callSid or transcript/);
+  await assert.rejects(runReplay('bob', { callSid: 'CA1' }), error => error instanceof ReplayError && error.status === 404);
+  await assert.rejects(runReplay('alice', { transcript: [] }), /no caller turns/);
+  await assert.rejects(
+    runReplay('alice', { transcript: Array.from({ length: MAX_REPLAY_TURNS + 1 }, (_, i) => `Turn ${i}`) }),
+    /at most 30 caller turns/
+  );
+  await assert.rejects(runReplay('nobody', { transcript: ['Hi'] }), error => error instanceof ReplayError && error.status === 404);
+  await assert.rejects(runReplay('alice', { transcript: ['Hi'], config: { openaiApiKey: 'sk-other' } }), StudentConfigError);
+});
+
+test('replay API checks access and measures the body in bytes', async () => {
+  const post = (credential, body) => fetch(`${baseUrl}/api/sessions/alice/replay`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${credential}`, 'Content-Type': 'application/json' },
+    body
+  });
+
+  const forbidden = await post('bob', JSON.stringify({ transcript: ['Hi'] }));
+  assert.equal(forbidden.status, 403);
+  await forbidden.body.cancel();
+
+  // Under a million characters but over 1 MB once encoded
+  const multibyte = JSON.stringify({ transcript: ['é'.repeat(600 * 1000)] });
+  const tooLarge = await post('alice', multibyte);
+  assert.equal(tooLarge.status, 400);
+  assert.match((await tooLarge.json()).error, /at most 1 MB/);
+
+  const invalid = await post('alice', JSON.stringify({ transcript: ['Hi'], config: { maxToolSteps: 99 } }));
+  assert.equal(invalid.status, 400);
+  assert.equal((await invalid.json()).errors[0].field, 'max_tool_steps');
+
+  llm.script({ text: ['Hello!'] });
+  const response = await post('alice', JSON.stringify({ transcript: ['Hi'] }));
+  assert.equal(response.status, 200);
+  const { replay } = await response.json();
+  assert.equal(replay.turns[0].replay.text, 'Hello!');
+});
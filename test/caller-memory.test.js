@@ -0,0 +1,163 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { EventEmitter } from 'node:events';
+import './support/register-fake-database.js';
+import { startChatCompletionsServer } from './support/chat-completions-server.js';
+
+process.env.INSTRUCTOR_KEY = 'instructor-test-key';
+delete process.env.SESSION_TOKEN_SECRET;
+
+const { fakeDb, saveCallerSummary, setCallerFact } = await import('./support/fake-database.js');
+const { loadCallerMemory, CallerMemoryError } = await import('../caller-memory.js');
+const { handleConversationRelay } = await import('../conversation-handler.js');
+const { handleApiRequest } = await import('../api-routes.js');
+
+const CALLER = '+15550001111';
+
+let llm;
+let api;
+let apiUrl;
+
+before(async () => {
+  llm = await startChatCompletionsServer();
+  process.env.OPENAI_BASE_URL = llm.url;
+
+  api = http.createServer((req, res) => handleApiRequest(req, res));
+  await new Promise(resolve => api.listen(0, '127.0.0.1', resolve));
+  apiUrl = `http://127.0.0.1:${api.address().port}`;
+});
+
+after(async () => {
+  await llm.close();
+  await new Promise(resolve => api.close(resolve));
+});
+
+beforeEach(() => fakeDb.reset());
+
+const memoryConfig = (callerMemory) => ({
+  student_name: 'Test Student',
+  system_prompt: 'You are a test assistant.',
+  openai_api_key: 'sk-test',
+  caller_memory: callerMemory,
+  tools: [{ execution: { type: 'builtin', name: 'remember_caller_fact' } }]
+});
+
+async function until(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the call');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// Run a call with one caller prompt and return the model request it produced
+async function callOnce(config, sessionToken) {
+  const ws = new EventEmitter();
+  ws.readyState = 1;
+  ws.sent = [];
+  ws.send = (message) => ws.sent.push(JSON.parse(message));
+
+  const start = llm.requests.length;
+  await handleConversationRelay(ws, config, sessionToken, null, null);
+  ws.emit('message', JSON.stringify({ type: 'setup', callSid: `CA-${sessionToken}-${start}`, from: CALLER, to: '+15550002222' }));
+  ws.emit('message', JSON.stringify({ type: 'prompt', voicePrompt: 'My name is Sam, remember that.' }));
+  await until(() => ws.sent.some(message => message.type === 'text' && message.last));
+  const request = llm.requests[start + 1] || llm.requests[start];
+  ws.emit('close');
+  return { ws, request, start };
+}
+
+test('memory starts empty and builds a prompt section from the summary and facts', async () => {
+  const memory = await loadCallerMemory('alice', CALLER);
+  assert.equal(memory.previousCalls, 0);
+  assert.equal(memory.promptSection(), '');
+
+  await memory.remember('preferredName', 'Sam');
+  await memory.remember('vip', true);
+  await memory.saveSummary('Asked about opening hours.');
+
+  const reloaded = await loadCallerMemory('alice', CALLER);
+  assert.equal(reloaded.previousCalls, 1);
+  assert.deepEqual(reloaded.facts, { preferredName: 'Sam', vip: true });
+  assert.equal(reloaded.promptSection(), [
+    '',
+    '',
+    '# What you remember about this caller',
+    'They have called 1 time before.',
+    'Previous conversations: Asked about opening hours.',
+    'Saved facts:',
+    '- preferredName: Sam',
+    '- vip: true'
+  ].join('\n'));
+
+  assert.equal((await loadCallerMemory('bob', CALLER)).promptSection(), '');
+});
+
+test('facts are size-limited', async () => {
+  const memory = await loadCallerMemory('alice', CALLER);
+  await assert.rejects(memory.remember('', 'x'), CallerMemoryError);
+  await assert.rejects(memory.remember('name', { first: 'Sam' }), CallerMemoryError);
+  await assert.rejects(memory.remember('notes', 'x'.repeat(1001)), CallerMemoryError);
+  for (let i = 0; i < 50; i++) {
+    await memory.remember(`fact${i}`, i);
+  }
+  await assert.rejects(memory.remember('oneMore', 1), /at most 50 facts/);
+  await memory.remember('fact0', 'updated');
+});
+
+test('without the callerMemory setting nothing is loaded, saved or remembered', async () => {
+  await saveCallerSummary('off', CALLER, 'Called before.');
+  llm.script({ toolCalls: [{ name: 'remember_caller_fact', arguments: { key: 'preferredName', value: 'Sam' } }] }, { text: ['Hi Sam.'] });
+
+  const { request } = await callOnce(memoryConfig(false), 'off');
+  assert.doesNotMatch(request.messages[0].content, /What you remember/);
+
+  const toolResult = JSON.parse(request.messages.find(message => message.role === 'tool').content);
+  assert.equal(toolResult.error.code, 'NOT_AVAILABLE');
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const memory = fakeDb.callerMemory.get(`off:${CALLER}`);
+  assert.equal(memory.call_count, 1);
+  assert.deepEqual(memory.facts, {});
+});
+
+test('with the callerMemory setting the caller is remembered across calls', async () => {
+  await setCallerFact('on', CALLER, 'city', 'Paris');
+  llm.script(
+    { toolCalls: [{ name: 'remember_caller_fact', arguments: { key: 'preferredName', value: 'Sam' } }] },
+    { text: ['Nice to meet you, Sam.'] },
+    { text: ['Caller Sam introduced themselves.'] }
+  );
+
+  const { request } = await callOnce(memoryConfig(true), 'on');
+  assert.match(request.messages[0].content, /# What you remember about this caller\n.*\nSaved facts:\n- city: Paris/);
+
+  await until(() => fakeDb.callerMemory.get(`on:${CALLER}`)?.call_count === 1);
+  const memory = fakeDb.callerMemory.get(`on:${CALLER}`);
+  assert.deepEqual(memory.facts, { city: 'Paris', preferredName: 'Sam' });
+  assert.equal(memory.summary, 'Caller Sam introduced themselves.');
+});
+
+test('the API shows and deletes a caller\'s memory for the session owner', async () => {
+  await setCallerFact('alice', CALLER, 'preferredName', 'Sam');
+  const path = `/api/sessions/alice/callers/${encodeURIComponent(CALLER)}/memory`;
+  const request = (method, credential) => fetch(`${apiUrl}${path}`, {
+    method,
+    headers: credential ? { Authorization: `Bearer ${credential}` } : {}
+  });
+
+  assert.equal((await request('GET')).status, 401);
+  assert.equal((await request('GET', 'bob')).status, 403);
+  assert.equal((await request('DELETE', 'bob')).status, 403);
+
+  const shown = await (await request('GET', 'alice')).json();
+  assert.equal(shown.memory.caller, CALLER);
+  assert.deepEqual(shown.memory.facts, { preferredName: 'Sam' });
+
+  assert.deepEqual(await (await request('DELETE', 'alice')).json(), { success: true, deleted: true });
+  assert.equal((await request('GET', 'alice')).status, 404);
+  assert.deepEqual(await (await request('DELETE', 'instructor-test-key')).json(), { success: true, deleted: false });
+});
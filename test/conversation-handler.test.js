@@ -0,0 +1,337 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import './support/register-fake-database.js';
+import { startChatCompletionsServer } from './support/chat-completions-server.js';
+
+const { handleConversationRelay, splitSpeakable } = await import('../conversation-handler.js');
+const { fakeDb } = await import('./support/fake-database.js');
+
+let llm;
+
+before(async () => {
+  llm = await startChatCompletionsServer();
+  process.env.OPENAI_BASE_URL = llm.url;
+});
+
+after(() => llm.close());
+
+const studentConfig = {
+  student_name: 'Test Student',
+  system_prompt: 'You are a test assistant.',
+  openai_api_key: 'sk-test',
+  tools: [{
+    type: 'function',
+    function: { name: 'lookup', description: 'Look something up', parameters: { type: 'object', properties: {} } },
+    execution: { type: 'mock', response: { found: true } }
+  }],
+  max_tool_steps: 2
+};
+
+// A ConversationRelay socket that records what the handler sends to Twilio
+function createSocket() {
+  const ws = new EventEmitter();
+  ws.readyState = 1;
+  ws.sent = [];
+  ws.send = (message) => ws.sent.push(JSON.parse(message));
+  ws.relay = (message) => ws.emit('message', JSON.stringify(message));
+  return ws;
+}
+
+let nextSession = 0;
+
+async function startCall(config = studentConfig, options = {}) {
+  const ws = createSocket();
+  ws.call = await handleConversationRelay(ws, config, options.sessionToken || `test-session-${nextSession++}`, null, null, options.callOptions);
+  ws.relay({ type: 'setup', sessionId: 'VX1', callSid: options.callSid, from: '+15550001111', to: '+15550002222', direction: 'inbound', customParameters: options.customParameters });
+  return ws;
+}
+
+async function until(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the call');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+const replies = (ws) => ws.sent.filter(message => message.type === 'text' && message.last).length;
+const lastRequest = () => llm.requests[llm.requests.length - 1];
+const conversation = (request) => request.messages.filter(message => message.role !== 'system');
+
+test('splitSpeakable cuts at the last sentence boundary', () => {
+  assert.deepEqual(splitSpeakable('Hello there. How are'), { speakable: 'Hello there. ', rest: 'How are' });
+  assert.deepEqual(splitSpeakable('One! Two? Three'), { speakable: 'One! Two? ', rest: 'Three' });
+  assert.deepEqual(splitSpeakable('He said "stop." Then'), { speakable: 'He said "stop." ', rest: 'Then' });
+});
+
+test('splitSpeakable waits for a full sentence unless the clause is long', () => {
+  assert.deepEqual(splitSpeakable('Well, maybe'), { speakable: '', rest: 'Well, maybe' });
+  assert.deepEqual(splitSpeakable('3.5 million'), { speakable: '', rest: '3.5 million' });
+
+  const long = 'If you would like to book an appointment, I can';
+  assert.deepEqual(splitSpeakable(long), { speakable: 'If you would like to book an appointment, ', rest: 'I can' });
+});
+
+test('streamed tokens reach Twilio sentence by sentence', async () => {
+  llm.script({ text: ['Hi', ' there', '. How can', ' I help', '? Ask', ' away'] });
+  const ws = await startCall();
+  ws.relay({ type: 'prompt', voicePrompt: 'Hello' });
+  await until(() => replies(ws) === 1);
+
+  const tokens = ws.sent.filter(message => message.type === 'text').map(message => [message.token, message.last]);
+  assert.deepEqual(tokens, [
+    ['Hi there. ', false],
+    ['How can I help? ', false],
+    ['Ask away', false],
+    ['', true]
+  ]);
+  ws.emit('close');
+});
+
+test('a reply interrupted after streaming is trimmed to what the caller heard', async () => {
+  llm.script({ text: ['First sentence. ', 'Second sentence.'] }, { text: ['Sure.'] });
+  const ws = await startCall();
+  ws.relay({ type: 'prompt', voicePrompt: 'Tell me two things' });
+  await until(() => replies(ws) === 1);
+
+  ws.relay({ type: 'interrupt', utteranceUntilInterrupt: 'First sentence.' });
+  ws.relay({ type: 'prompt', voicePrompt: 'Stop' });
+  await until(() => replies(ws) === 2);
+
+  assert.deepEqual(conversation(lastRequest()), [
+    { role: 'user', content: 'Tell me two things' },
+    { role: 'assistant', content: 'First sentence.' },
+    { role: 'user', content: 'Stop' }
+  ]);
+  ws.emit('close');
+});
+
+test('a reply interrupted while streaming is cancelled and keeps only the spoken part', async () => {
+  llm.script({ text: ['Let me think about that. ', 'There are many'], hold: true }, { text: ['Okay.'] });
+  const ws = await startCall();
+  ws.relay({ type: 'prompt', voicePrompt: 'Explain everything' });
+  await until(() => ws.sent.some(message => message.type === 'text'));
+
+  ws.relay({ type: 'interrupt', utteranceUntilInterrupt: 'Let me think' });
+  ws.relay({ type: 'prompt', voicePrompt: 'Never mind' });
+  await until(() => replies(ws) === 1);
+
+  assert.deepEqual(conversation(lastRequest()), [
+    { role: 'user', content: 'Explain everything' },
+    { role: 'assistant', content: 'Let me think' },
+    { role: 'user', content: 'Never mind' }
+  ]);
+  assert.equal(ws.sent.filter(message => message.token === 'There are many').length, 0);
+  ws.emit('close');
+});
+
+test('the transcript keeps what the caller heard of an interrupted reply', async () => {
+  llm.script({ text: ['First sentence. ', 'Second sentence.'] }, { text: ['Sure.'] });
+  const ws = await startCall(studentConfig, { callSid: 'CA-transcript' });
+  ws.relay({ type: 'prompt', voicePrompt: 'Tell me two things' });
+  await until(() => replies(ws) === 1);
+
+  ws.relay({ type: 'interrupt', utteranceUntilInterrupt: 'First sentence.' });
+  ws.relay({ type: 'prompt', voicePrompt: 'Stop' });
+  await until(() => replies(ws) === 2);
+  await until(() => fakeDb.turns.get('CA-transcript')?.length === 4);
+
+  const turns = fakeDb.turns.get('CA-transcript');
+  assert.deepEqual(turns.map(turn => [turn.role, turn.text, turn.interrupted]), [
+    ['user', 'Tell me two things', false],
+    ['assistant', 'First sentence.', true],
+    ['user', 'Stop', false],
+    ['assistant', 'Sure.', false]
+  ]);
+  assert.equal(fakeDb.calls.get('CA-transcript').from_number, '+15550001111');
+  ws.emit('close');
+});
+
+test('the tool loop stops at max_tool_steps and asks for a text answer', async () => {
+  const start = llm.requests.length;
+  llm.script(
+    { toolCalls: [{ name: 'lookup' }] },
+    { toolCalls: [{ name: 'lookup' }] },
+    { text: ['Here is what I found.'] }
+  );
+  const ws = await startCall();
+  ws.relay({ type: 'prompt', voicePrompt: 'Look it up' });
+  await until(() => replies(ws) === 1);
+
+  const requests = llm.requests.slice(start);
+  assert.deepEqual(requests.map(request => request.tool_choice), ['auto', 'auto', 'none']);
+  assert.deepEqual(conversation(requests[2]).map(message => message.role), ['user', 'assistant', 'tool', 'assistant', 'tool']);
+  assert.deepEqual(JSON.parse(conversation(requests[2])[2].content), { success: true, data: { found: true } });
+  ws.emit('close');
+});
+
+test('a failed turn apologizes and stays in history with its tool results', async () => {
+  llm.script({ toolCalls: [{ name: 'lookup' }] }, { status: 400 }, { text: ['Try again?'] });
+  const ws = await startCall({ ...studentConfig, max_tool_steps: 1 });
+  ws.relay({ type: 'prompt', voicePrompt: 'Look it up' });
+  await until(() => replies(ws) === 1);
+
+  const apology = ws.sent.find(message => message.type === 'text' && message.last);
+  assert.match(apology.token, /encountered an error/);
+
+  ws.relay({ type: 'prompt', voicePrompt: 'Hello?' });
+  await until(() => replies(ws) === 2);
+
+  assert.deepEqual(conversation(lastRequest()).map(message => message.role), ['user', 'assistant', 'tool', 'assistant', 'user']);
+  assert.equal(conversation(lastRequest())[3].content, apology.token);
+  ws.emit('close');
+});
+
+test('new input while a tool runs cancels that reply instead of starting a second one', async () => {
+  const slowTools = [{ ...studentConfig.tools[0], execution: { type: 'mock', response: { found: true }, delayMs: 5000 } }];
+  const start = llm.requests.length;
+  llm.script({ toolCalls: [{ name: 'lookup' }] }, { text: ['Okay.'] });
+  const ws = await startCall({ ...studentConfig, tools: slowTools });
+  ws.relay({ type: 'prompt', voicePrompt: 'Look it up' });
+  await until(() => llm.requests.length === start + 1);
+
+  ws.relay({ type: 'prompt', voicePrompt: 'Never mind' });
+  await until(() => replies(ws) === 1);
+
+  assert.equal(llm.requests.length, start + 2);
+  assert.deepEqual(conversation(lastRequest()), [
+    { role: 'user', content: 'Look it up' },
+    { role: 'user', content: 'Never mind' }
+  ]);
+  ws.emit('close');
+});
+
+test('only calls that reach setup count against the per-minute call limit, and replays never do', async () => {
+  const sessionToken = 'rate-limited';
+  for (let i = 0; i < 5; i++) {
+    const ws = createSocket();
+    await handleConversationRelay(ws, studentConfig, sessionToken, null, null);
+    ws.emit('close');
+  }
+  for (let i = 0; i < 5; i++) {
+    const replay = await startCall(studentConfig, { sessionToken, callOptions: { replay: true } });
+    replay.emit('close');
+  }
+
+  const calls = [];
+  for (let i = 0; i < 6; i++) {
+    calls.push(await startCall(studentConfig, { sessionToken }));
+  }
+  await until(() => replies(calls[5]) === 1);
+
+  assert.match(calls[5].sent[0].token, /a lot of calls/);
+  assert.deepEqual(calls.slice(0, 5).map(replies), [0, 0, 0, 0, 0]);
+  calls.forEach(ws => ws.emit('close'));
+});
+
+const keypadConfig = {
+  ...studentConfig,
+  dtmf: {
+    keys: {
+      0: { type: 'reply', text: 'We open at nine.' },
+      9: { type: 'send_digits', digits: 'ww{digits}#' }
+    },
+    collect: { maxDigits: 3, action: { type: 'tool', name: 'lookup', argument: 'account' } }
+  }
+};
+
+test('keypad keys reply, send digits and run a tool with the collected digits', async () => {
+  const ws = await startCall(keypadConfig);
+  ws.relay({ type: 'dtmf', digit: '0' });
+  await until(() => replies(ws) === 1);
+  assert.equal(ws.sent.find(message => message.type === 'text').token, 'We open at nine.');
+
+  ws.relay({ type: 'dtmf', digit: '9' });
+  await until(() => ws.sent.some(message => message.type === 'sendDigits'));
+  assert.equal(ws.sent.find(message => message.type === 'sendDigits').digits, 'ww9#');
+
+  llm.script({ text: ['Found your account.'] });
+  for (const digit of '123') {
+    ws.relay({ type: 'dtmf', digit });
+  }
+  await until(() => replies(ws) === 2);
+
+  const [, , keypad, toolCall, toolResult] = conversation(lastRequest());
+  assert.deepEqual(keypad, { role: 'user', content: '[keypad: 123]' });
+  assert.equal(toolCall.tool_calls[0].function.arguments, JSON.stringify({ account: '123' }));
+  assert.deepEqual(JSON.parse(toolResult.content), { success: true, data: { found: true } });
+  ws.emit('close');
+});
+
+test('a keypad reply replaces a reply that is still running', async () => {
+  const slowTools = [{ ...studentConfig.tools[0], execution: { type: 'mock', response: { found: true }, delayMs: 5000 } }];
+  const start = llm.requests.length;
+  llm.script({ toolCalls: [{ name: 'lookup' }] });
+  const ws = await startCall({ ...keypadConfig, tools: slowTools });
+  ws.relay({ type: 'prompt', voicePrompt: 'Look it up' });
+  await until(() => llm.requests.length === start + 1);
+
+  ws.relay({ type: 'dtmf', digit: '0' });
+  await until(() => replies(ws) === 1);
+  ws.relay({ type: 'prompt', voicePrompt: 'Thanks' });
+  await until(() => replies(ws) === 2);
+
+  assert.equal(llm.requests.length, start + 2);
+  assert.deepEqual(conversation(lastRequest()), [
+    { role: 'user', content: 'Look it up' },
+    { role: 'user', content: '[keypad: 0]' },
+    { role: 'assistant', content: 'We open at nine.' },
+    { role: 'user', content: 'Thanks' }
+  ]);
+  ws.emit('close');
+});
+
+test('end_call hangs up once the goodbye has been spoken and ignores later prompts', async () => {
+  const start = llm.requests.length;
+  llm.script({ toolCalls: [{ name: 'end_call' }] }, { text: ['Goodbye.'] });
+  const ws = await startCall({ ...studentConfig, tools: [{ execution: { type: 'builtin', name: 'end_call' } }] });
+  ws.relay({ type: 'prompt', voicePrompt: 'That is all, thanks' });
+  await until(() => replies(ws) === 1);
+
+  ws.relay({ type: 'prompt', voicePrompt: 'Wait, one more thing' });
+  await until(() => ws.sent.some(message => message.type === 'end'));
+
+  const end = ws.sent[ws.sent.length - 1];
+  assert.equal(end.type, 'end');
+  assert.equal(JSON.parse(end.handoffData).reasonCode, 'end_call');
+  assert.equal(llm.requests.length, start + 2);
+  ws.emit('close');
+});
+
+test('the system prompt is filled in at setup, from the variant the TwiML picks', async () => {
+  const config = {
+    ...studentConfig,
+    system_prompt: 'Help {{caller}}.',
+    prompt_variants: { sales: 'Sell to {{caller}} ({{custom.campaign|no campaign}}).' }
+  };
+  const systemPrompt = () => lastRequest().messages[0].content;
+
+  const sales = await startCall(config, { customParameters: { variant: 'sales', campaign: 'spring' } });
+  sales.relay({ type: 'prompt', voicePrompt: 'Hello' });
+  await until(() => replies(sales) === 1);
+  assert.equal(systemPrompt(), 'Sell to +15550001111 (spring).');
+  sales.emit('close');
+
+  const main = await startCall(config);
+  main.relay({ type: 'prompt', voicePrompt: 'Hello' });
+  await until(() => replies(main) === 1);
+  assert.equal(systemPrompt(), 'Help +15550001111.');
+  main.emit('close');
+});
+
+test('draining an idle call says goodbye and ends it without asking the model', async () => {
+  const start = llm.requests.length;
+  const ws = await startCall();
+  ws.call.drain('Goodbye for now.');
+  ws.relay({ type: 'prompt', voicePrompt: 'Hello?' });
+  await until(() => ws.sent.some(message => message.type === 'end'));
+
+  const tokens = ws.sent.filter(message => message.type === 'text').map(message => [message.token, message.last]);
+  assert.deepEqual(tokens, [['Goodbye for now.', true]]);
+  assert.equal(JSON.parse(ws.sent[ws.sent.length - 1].handoffData).reasonCode, 'server-shutdown');
+  assert.equal(llm.requests.length, start);
+  ws.emit('close');
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createConversationHistory, estimateTokens } from '../conversation-history.js';
+
+// Each turn is a caller message and a reply of about 25 + 25 tokens
+function addTurns(history, count) {
+  for (let i = 0; i < count; i++) {
+    history.messages.push({ role: 'user', content: `question ${i} `.padEnd(100, '.') });
+    history.messages.push({ role: 'assistant', content: `answer ${i} `.padEnd(100, '.') });
+  }
+}
+
+test('estimateTokens counts characters, tool calls and per-message overhead', () => {
+  assert.equal(estimateTokens([{ content: 'x'.repeat(40) }]), 14);
+  assert.ok(estimateTokens([{ content: null, tool_calls: [{ function: { name: 'lookup', arguments: '{}' } }] }]) > 4);
+});
+
+test('buildRequest drops the oldest turns to fit the budget', () => {
+  const history = createConversationHistory({ strategy: 'truncate', maxTokens: 200 });
+  addTurns(history, 5);
+
+  const request = history.buildRequest('You are helpful.');
+  assert.equal(request[0].role, 'system');
+  assert.ok(estimateTokens(request) <= 200);
+  assert.match(request.at(-1).content, /^answer 4/);
+  assert.ok(history.status('You are helpful.').truncatedTurns > 0);
+});
+
+test('buildRequest always keeps the latest turn', () => {
+  const history = createConversationHistory({ strategy: 'truncate', maxTokens: 10 });
+  addTurns(history, 3);
+  const request = history.buildRequest('System');
+  assert.equal(request.length, 3);
+  assert.match(request[1].content, /^question 2/);
+  assert.match(request[2].content, /^answer 2/);
+});
+
+test('compact folds older turns into a summary and keeps recent ones', async () => {
+  const requests = [];
+  const history = createConversationHistory({
+    maxTokens: 300,
+    keepRecentTurns: 2,
+    summarize: async (messages) => {
+      requests.push(messages);
+      return ' The caller asked three questions. ';
+    }
+  });
+  addTurns(history, 5);
+
+  assert.equal(await history.compact(), true);
+  assert.equal(history.summary, 'The caller asked three questions.');
+  assert.equal(history.messages.length, 4);
+  assert.match(history.messages[0].content, /^question 3/);
+  assert.match(requests[0][1].content, /Caller: question 0/);
+  assert.match(history.buildRequest('System')[0].content, /# Earlier in this call\nThe caller asked three questions\./);
+  assert.equal(history.status('System').summarizedTurns, 3);
+});
+
+test('compact does nothing under the threshold or with the truncate strategy', async () => {
+  const small = createConversationHistory({ maxTokens: 10000, keepRecentTurns: 1, summarize: async () => 'x' });
+  addTurns(small, 3);
+  assert.equal(await small.compact(), false);
+
+  const truncate = createConversationHistory({ strategy: 'truncate', maxTokens: 100, keepRecentTurns: 1, summarize: async () => 'x' });
+  addTurns(truncate, 3);
+  assert.equal(await truncate.compact(), false);
+  assert.equal(truncate.summary, null);
+});
+
+test('compact keeps the history when it changed while the summary was written', async () => {
+  let finish;
+  const history = createConversationHistory({
+    maxTokens: 300,
+    keepRecentTurns: 1,
+    summarize: () => new Promise(resolve => {
+      finish = resolve;
+    })
+  });
+  addTurns(history, 5);
+
+  const compacting = history.compact();
+  history.messages.shift();
+  finish('Summary');
+  assert.equal(await compacting, false);
+  assert.equal(history.summary, null);
+  assert.equal(history.messages.length, 9);
+});
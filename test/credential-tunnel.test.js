@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { requestCredential, encryptCredential, KEY_EXCHANGE_ALGORITHM } from '../credential-tunnel.js';
+import { createTunnelRegistry } from '../tunnel-registry.js';
+
+// A browser tab that answers credential requests with `respond(request)`
+function createTab(respond) {
+  const tab = new EventTarget();
+  tab.readyState = 1;
+  tab.sent = [];
+  tab.send = (payload) => {
+    const message = JSON.parse(payload);
+    tab.sent.push(message);
+    if (message.type === 'credential_request') {
+      const response = { type: 'credential_response', requestId: message.requestId, ...respond(message) };
+      setImmediate(() => tab.dispatchEvent(Object.assign(new Event('message'), { data: JSON.stringify(response) })));
+    }
+  };
+  return tab;
+}
+
+test('a key encrypted by the browser decrypts on the server', async () => {
+  const tunnels = createTunnelRegistry();
+  const tab = createTab(request => ({
+    encrypted: encryptCredential(request.keyExchange.publicKey, request.requestId, 'sk-test-key')
+  }));
+  tunnels.add('ws_1', tab);
+
+  assert.equal(await requestCredential(tunnels, 'ws_1', { provider: 'openai' }), 'sk-test-key');
+  assert.equal(tab.sent[0].keyExchange.algorithm, KEY_EXCHANGE_ALGORITHM);
+  assert.equal(tab.sent[0].seq, undefined); // credential requests are never buffered
+});
+
+test('a response encrypted for another request is rejected', async () => {
+  const tunnels = createTunnelRegistry();
+  tunnels.add('ws_1', createTab(request => ({
+    encrypted: encryptCredential(request.keyExchange.publicKey, 'req_other', 'sk-test-key')
+  })));
+
+  await assert.rejects(requestCredential(tunnels, 'ws_1'), /Could not decrypt credential/);
+});
+
+test('a tampered ciphertext is rejected', async () => {
+  const tunnels = createTunnelRegistry();
+  tunnels.add('ws_1', createTab(request => {
+    const encrypted = encryptCredential(request.keyExchange.publicKey, request.requestId, 'sk-test-key');
+    const data = Buffer.from(encrypted.ciphertext, 'base64');
+    data[0] ^= 1;
+    return { encrypted: { ...encrypted, ciphertext: data.toString('base64') } };
+  }));
+
+  await assert.rejects(requestCredential(tunnels, 'ws_1'), /Could not decrypt credential/);
+});
+
+test('plaintext keys are refused and a tab without a key answers null', async () => {
+  const plaintext = createTunnelRegistry();
+  plaintext.add('ws_1', createTab(() => ({ openaiApiKey: 'sk-test-key' })));
+  await assert.rejects(requestCredential(plaintext, 'ws_1'), /unencrypted key/);
+
+  const empty = createTunnelRegistry();
+  empty.add('ws_1', createTab(() => ({ encrypted: null })));
+  assert.equal(await requestCredential(empty, 'ws_1'), null);
+
+  assert.equal(await requestCredential(createTunnelRegistry(), 'ws_1'), null);
+});
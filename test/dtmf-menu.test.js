@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDtmfMenu, fillDigits } from '../dtmf-menu.js';
+
+const reply = { type: 'reply', text: 'Our hours are 9 to 5.' };
+const lookup = { type: 'tool', name: 'lookup_account' };
+
+test('a mapped key runs its action immediately', () => {
+  const actions = [];
+  const menu = createDtmfMenu({ keys: { 0: reply } }, (action, digits) => actions.push([action, digits]));
+  assert.equal(menu.press('0'), 'action');
+  assert.equal(menu.press('5'), 'ignored');
+  assert.deepEqual(actions, [[reply, '0']]);
+});
+
+test('collected digits finish on the finish key or at maxDigits', () => {
+  const actions = [];
+  const menu = createDtmfMenu({ keys: { 0: reply }, collect: { maxDigits: 3, action: lookup } }, (action, digits) => actions.push([action, digits]));
+  try {
+    assert.equal(menu.press('#'), 'ignored');
+    assert.equal(menu.press('4'), 'collecting');
+    assert.equal(menu.press('0'), 'collecting'); // mapped keys are digits while collecting
+    assert.equal(menu.press('#'), 'collected');
+    assert.equal(menu.press('1'), 'collecting');
+    assert.equal(menu.press('2'), 'collecting');
+    assert.equal(menu.press('3'), 'collected');
+    assert.deepEqual(actions, [[lookup, '40'], [lookup, '123']]);
+  } finally {
+    menu.cancel();
+  }
+});
+
+test('a collection finishes after the timeout and cancel drops partial entry', async () => {
+  const actions = [];
+  const menu = createDtmfMenu({ collect: { timeoutMs: 20, action: lookup } }, (action, digits) => actions.push(digits));
+  menu.press('7');
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(actions, ['7']);
+
+  menu.press('8');
+  menu.cancel();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.deepEqual(actions, ['7']);
+});
+
+test('fillDigits replaces every {digits} placeholder', () => {
+  assert.equal(fillDigits('You entered {digits}. {digits}?', '42'), 'You entered 42. 42?');
+  assert.equal(fillDigits(undefined, '1'), '');
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { startHeartbeat, heartbeatIntervalFromEnv } from '../heartbeat.js';
+
+function createSocket() {
+  const ws = new EventEmitter();
+  ws.pings = 0;
+  ws.terminated = false;
+  ws.ping = () => ws.pings++;
+  ws.terminate = () => { ws.terminated = true; };
+  return ws;
+}
+
+test('a peer that keeps answering pings stays connected', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const ws = createSocket();
+  startHeartbeat(ws, 1000, 'Test');
+
+  for (let i = 0; i < 3; i++) {
+    t.mock.timers.tick(1000);
+    ws.emit('pong');
+  }
+  assert.equal(ws.pings, 3);
+  assert.equal(ws.terminated, false);
+});
+
+test('any message counts as an answer', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const ws = createSocket();
+  startHeartbeat(ws, 1000, 'Test');
+
+  t.mock.timers.tick(1000);
+  ws.emit('message', '{}');
+  t.mock.timers.tick(1000);
+  assert.equal(ws.terminated, false);
+});
+
+test('a peer that misses a pong is terminated', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const ws = createSocket();
+  startHeartbeat(ws, 1000, 'Test');
+
+  t.mock.timers.tick(1000);
+  t.mock.timers.tick(1000);
+  assert.equal(ws.terminated, true);
+
+  t.mock.timers.tick(5000);
+  assert.equal(ws.pings, 1);
+});
+
+test('the heartbeat stops when the socket closes or is disabled', (t) => {
+  t.mock.timers.enable({ apis: ['setInterval'] });
+  const ws = createSocket();
+  startHeartbeat(ws, 1000, 'Test');
+  ws.emit('close');
+  t.mock.timers.tick(5000);
+  assert.equal(ws.pings, 0);
+
+  const disabled = createSocket();
+  startHeartbeat(disabled, 0, 'Test')();
+  t.mock.timers.tick(5000);
+  assert.equal(disabled.pings, 0);
+});
+
+test('intervals come from the environment with a fallback', () => {
+  process.env.TEST_HEARTBEAT_MS = '2500';
+  assert.equal(heartbeatIntervalFromEnv('TEST_HEARTBEAT_MS', 30000), 2500);
+  process.env.TEST_HEARTBEAT_MS = '0';
+  assert.equal(heartbeatIntervalFromEnv('TEST_HEARTBEAT_MS', 30000), 0);
+  process.env.TEST_HEARTBEAT_MS = 'soon';
+  assert.equal(heartbeatIntervalFromEnv('TEST_HEARTBEAT_MS', 30000), 30000);
+  delete process.env.TEST_HEARTBEAT_MS;
+  assert.equal(heartbeatIntervalFromEnv('TEST_HEARTBEAT_MS', 30000), 30000);
+});
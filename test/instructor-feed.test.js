@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+
+process.env.INSTRUCTOR_KEY = 'instructor-test-key';
+
+const {
+  registerActiveCall,
+  updateActiveCall,
+  unregisterActiveCall,
+  publishCallEvent,
+  handleInstructorConnection
+} = await import('../instructor-feed.js');
+
+// An instructor dashboard socket that records what the feed sends
+function connectInstructor(query) {
+  const ws = new EventEmitter();
+  ws.readyState = 1;
+  ws.sent = [];
+  ws.send = (message) => ws.sent.push(JSON.parse(message));
+  ws.close = (code, reason) => { ws.closed = { code, reason }; };
+  handleInstructorConnection(ws, { url: `/instructor/?${query}` });
+  return ws;
+}
+
+test('an instructor gets a snapshot of the active calls on connect', () => {
+  const callId = registerActiveCall({ sessionToken: 'alice', studentName: 'Alice' });
+  updateActiveCall(callId, { callSid: 'CA1', from: '+15550001111' });
+
+  const ws = connectInstructor('key=instructor-test-key');
+  const [snapshot] = ws.sent;
+  assert.equal(snapshot.type, 'active_calls');
+  assert.equal(snapshot.filter, null);
+  const call = snapshot.calls.find(active => active.callId === callId);
+  assert.equal(call.callSid, 'CA1');
+  assert.equal(call.studentName, 'Alice');
+
+  ws.emit('close');
+  unregisterActiveCall(callId);
+});
+
+test('call events reach instructors tagged with the call, and only forwarded types', () => {
+  const callId = registerActiveCall({ sessionToken: 'alice', studentName: 'Alice' });
+  updateActiveCall(callId, { callSid: 'CA1' });
+  const ws = connectInstructor('key=instructor-test-key');
+
+  publishCallEvent(callId, 'user_spoke', { text: 'Hello' });
+  publishCallEvent(callId, 'ai_response_delta', { text: 'Hi' });
+
+  const events = ws.sent.slice(1);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'user_spoke');
+  assert.equal(events[0].sessionToken, 'alice');
+  assert.equal(events[0].callSid, 'CA1');
+  assert.equal(events[0].text, 'Hello');
+
+  ws.emit('message', JSON.stringify({ type: 'snapshot' }));
+  assert.equal(ws.sent.at(-1).calls.find(active => active.callId === callId).turnCount, 1);
+
+  ws.emit('close');
+  unregisterActiveCall(callId);
+});
+
+test('a session filter limits both the snapshot and the events', () => {
+  const alice = registerActiveCall({ sessionToken: 'alice' });
+  const bob = registerActiveCall({ sessionToken: 'bob' });
+  const ws = connectInstructor('key=instructor-test-key&sessionToken=bob');
+
+  assert.deepEqual(ws.sent[0].filter, ['bob']);
+  assert.deepEqual(ws.sent[0].calls.map(call => call.sessionToken), ['bob']);
+
+  publishCallEvent(alice, 'call_ended', {});
+  publishCallEvent(bob, 'call_ended', {});
+  assert.deepEqual(ws.sent.slice(1).map(event => event.sessionToken), ['bob']);
+
+  ws.emit('message', JSON.stringify({ type: 'filter', sessionTokens: null }));
+  assert.equal(ws.sent.at(-1).filter, null);
+  assert.equal(ws.sent.at(-1).calls.length, 2);
+
+  ws.emit('close');
+  unregisterActiveCall(alice);
+  unregisterActiveCall(bob);
+});
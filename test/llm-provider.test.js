@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toAnthropicMessages, resolveLLMSettings, createLLMProvider, usesOfficialEndpoint, llmErrorType } from '../llm-provider.js';
+
+const toolCall = (id, name, args) => ({ id, type: 'function', function: { name, arguments: args } });
+
+test('toAnthropicMessages moves system messages out and keeps plain turns', () => {
+  const { system, messages } = toAnthropicMessages([
+    { role: 'system', content: 'Be brief.' },
+    { role: 'system', content: 'Caller is Sam.' },
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello!' }
+  ]);
+
+  assert.equal(system, 'Be brief.\n\nCaller is Sam.');
+  assert.deepEqual(messages, [
+    { role: 'user', content: [{ type: 'text', text: 'Hi' }] },
+    { role: 'assistant', content: [{ type: 'text', text: 'Hello!' }] }
+  ]);
+});
+
+test('toAnthropicMessages converts tool calls to tool_use and results to tool_result', () => {
+  const { messages } = toAnthropicMessages([
+    { role: 'user', content: 'What is 2+2 and the time?' },
+    {
+      role: 'assistant',
+      content: 'Let me check.',
+      tool_calls: [toolCall('call_1', 'calculator', '{"expression":"2+2"}'), toolCall('call_2', 'current_time', '')]
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: '{"success":true,"data":{"result":4}}' },
+    { role: 'tool', tool_call_id: 'call_2', content: '{"success":true}' },
+    { role: 'assistant', content: 'It is 4.' }
+  ]);
+
+  assert.deepEqual(messages, [
+    { role: 'user', content: [{ type: 'text', text: 'What is 2+2 and the time?' }] },
+    {
+      role: 'assistant',
+      content: [
+        { type: 'text', text: 'Let me check.' },
+        { type: 'tool_use', id: 'call_1', name: 'calculator', input: { expression: '2+2' } },
+        { type: 'tool_use', id: 'call_2', name: 'current_time', input: {} }
+      ]
+    },
+    {
+      role: 'user',
+      content: [
+        { type: 'tool_result', tool_use_id: 'call_1', content: '{"success":true,"data":{"result":4}}' },
+        { type: 'tool_result', tool_use_id: 'call_2', content: '{"success":true}' }
+      ]
+    },
+    { role: 'assistant', content: [{ type: 'text', text: 'It is 4.' }] }
+  ]);
+});
+
+test('toAnthropicMessages keeps tool calls with unparseable arguments and merges tool results into the next user turn', () => {
+  const { messages } = toAnthropicMessages([
+    { role: 'user', content: 'Go' },
+    { role: 'assistant', content: null, tool_calls: [toolCall('call_1', 'lookup', '{not json')] },
+    { role: 'tool', tool_call_id: 'call_1', content: 'error' },
+    { role: 'user', content: 'Hello?' }
+  ]);
+
+  assert.deepEqual(messages[1], { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'lookup', input: {} }] });
+  assert.deepEqual(messages[2].content.map(block => block.type), ['tool_result', 'text']);
+});
+
+test('toAnthropicMessages starts a conversation that opened with a greeting with a user turn', () => {
+  const { messages } = toAnthropicMessages([
+    { role: 'assistant', content: 'Thanks for calling!' },
+    { role: 'user', content: 'Hi' }
+  ]);
+
+  assert.deepEqual(messages.map(message => message.role), ['user', 'assistant', 'user']);
+  assert.equal(messages[0].content[0].text, '(call connected)');
+});
+
+test('resolveLLMSettings fills in provider defaults', () => {
+  assert.deepEqual(resolveLLMSettings(), { provider: 'openai', model: 'gpt-4o-mini', temperature: 0.7, max_tokens: 150, base_url: null });
+  assert.equal(resolveLLMSettings({ provider: 'anthropic' }).base_url, 'https://api.anthropic.com');
+  assert.equal(usesOfficialEndpoint(resolveLLMSettings({ base_url: 'https://llm.example.com/v1' })), false);
+  assert.throws(() => resolveLLMSettings({ provider: 'gemini' }), /Unknown LLM provider/);
+});
+
+test('a private base URL is refused at request time without reaching the network', async () => {
+  for (const provider of ['openai', 'anthropic']) {
+    for (const baseUrl of ['http://127.0.0.1:11434/v1', 'https://169.254.169.254', 'https://localhost:8080']) {
+      const llm = createLLMProvider(resolveLLMSettings({ provider, base_url: baseUrl }), 'sk-test');
+      await assert.rejects(
+        llm.streamChat({ messages: [{ role: 'user', content: 'Hi' }] }).next(),
+        error => error.code === 'BLOCKED_URL' && llmErrorType(error) === 'network',
+        `${provider} ${baseUrl}`
+      );
+    }
+  }
+});
+
+test('llmErrorType classifies provider errors for metrics', () => {
+  assert.equal(llmErrorType({ status: 401 }), 'auth');
+  assert.equal(llmErrorType({ status: 429 }), 'rate_limit');
+  assert.equal(llmErrorType({ status: 503 }), 'server');
+  assert.equal(llmErrorType({ status: 400 }), 'bad_request');
+  assert.equal(llmErrorType(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED', syscall: 'connect' })), 'network');
+  assert.equal(llmErrorType(new Error('something else')), 'other');
+});
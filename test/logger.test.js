@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redact, sessionPrefix } from '../logger.js';
+
+test('redact hides fields named like secrets', () => {
+  assert.deepEqual(
+    redact({ apiKey: 'abc', openai_api_key: 'abc', authorization: 'abc', sessionToken: 'abc', token: 'abc', hasKey: true, model: 'gpt-4o' }),
+    { apiKey: '[REDACTED]', openai_api_key: '[REDACTED]', authorization: '[REDACTED]', sessionToken: '[REDACTED]', token: '[REDACTED]', hasKey: true, model: 'gpt-4o' }
+  );
+});
+
+test('redact hides keys, Bearer credentials and session tokens inside strings', () => {
+  assert.equal(redact('key sk-proj-abcdefghijkl used'), 'key sk-[REDACTED] used');
+  assert.equal(redact('Authorization: Bearer abc.def'), 'Authorization: Bearer [REDACTED]');
+  assert.equal(redact('GET /ws/ws_1700000000_abcdef.1700003600.c2lnbmF0dXJl'), 'GET /ws/ws_17000...');
+});
+
+test('redact keeps only the last 4 digits of phone numbers', () => {
+  assert.equal(redact('call from +15551234567'), 'call from +*******4567');
+  assert.equal(redact('+1 (555) 123-4567'), '+*******4567');
+  assert.equal(redact('order 12345'), 'order 12345');
+});
+
+test('redact walks arrays, nested objects and errors', () => {
+  const error = Object.assign(new Error('bad key sk-abcdefghijkl'), { code: 'E_AUTH' });
+  assert.deepEqual(redact({ items: [{ password: 'x' }], error }), {
+    items: [{ password: '[REDACTED]' }],
+    error: { name: 'Error', message: 'bad key sk-[REDACTED]', code: 'E_AUTH' }
+  });
+});
+
+test('redact stops at a maximum depth and leaves other values alone', () => {
+  const deep = { a: { b: { c: { d: { e: { f: { g: 1 } } } } } } };
+  assert.equal(redact(deep).a.b.c.d.e.f, '[Truncated]');
+  assert.equal(redact(42), 42);
+  assert.equal(redact(null), null);
+});
+
+test('sessionPrefix shortens session tokens', () => {
+  assert.equal(sessionPrefix('ws_1700000000_abcdef'), 'ws_17000...');
+  assert.equal(sessionPrefix(undefined), undefined);
+});
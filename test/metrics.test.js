@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMetrics, callsStarted, activeConnections, toolCalls, toolCallDuration } from '../metrics.js';
+
+const sample = (text, series) => text.split('\n').find(line => line.startsWith(`${series} `));
+
+test('renders counters and gauges with their help and type', () => {
+  callsStarted.inc();
+  callsStarted.inc();
+  activeConnections.inc({ kind: 'call' });
+  activeConnections.inc({ kind: 'tunnel' });
+  activeConnections.dec({ kind: 'call' });
+
+  const text = renderMetrics();
+  assert.ok(text.includes('# HELP workshop_calls_started_total ConversationRelay calls started\n# TYPE workshop_calls_started_total counter\n'));
+  assert.equal(sample(text, 'workshop_calls_started_total'), 'workshop_calls_started_total 2');
+  assert.equal(sample(text, 'workshop_calls_ended_total'), 'workshop_calls_ended_total 0');
+  assert.equal(sample(text, 'workshop_active_connections{kind="call"}'), 'workshop_active_connections{kind="call"} 0');
+  assert.equal(sample(text, 'workshop_active_connections{kind="tunnel"}'), 'workshop_active_connections{kind="tunnel"} 1');
+  assert.ok(text.endsWith('\n'));
+});
+
+test('renders histogram buckets, sum and count per label set', () => {
+  toolCallDuration.observe({ tool: 'lookup' }, 0.03);
+  toolCallDuration.observe({ tool: 'lookup' }, 0.3);
+  toolCallDuration.observe({ tool: 'lookup' }, 20);
+
+  const text = renderMetrics();
+  const series = (suffix, le) => sample(text, `workshop_tool_call_duration_seconds_${suffix}{tool="lookup"${le ? `,le="${le}"` : ''}}`);
+  assert.match(series('bucket', '0.01'), / 0$/);
+  assert.match(series('bucket', '0.05'), / 1$/);
+  assert.match(series('bucket', '0.5'), / 2$/);
+  assert.match(series('bucket', '10'), / 2$/);
+  assert.match(series('bucket', '+Inf'), / 3$/);
+  assert.match(series('sum'), / 20.33$/);
+  assert.match(series('count'), / 3$/);
+});
+
+test('escapes and shortens label values from student settings', () => {
+  toolCalls.inc({ tool: 'say "hi"\\\n', outcome: 'success' });
+  toolCalls.inc({ tool: 'x'.repeat(100), outcome: 'error' });
+
+  const text = renderMetrics();
+  assert.equal(sample(text, 'workshop_tool_calls_total{tool="say \\"hi\\"\\\\\\n",outcome="success"}'), 'workshop_tool_calls_total{tool="say \\"hi\\"\\\\\\n",outcome="success"} 1');
+  assert.ok(text.includes(`workshop_tool_calls_total{tool="${'x'.repeat(64)}",outcome="error"} 1`));
+});
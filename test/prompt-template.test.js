@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { selectPromptTemplate, promptValuesForCall, renderPromptTemplate } from '../prompt-template.js';
+
+test('renderPromptTemplate fills call values and custom parameters', () => {
+  const values = { caller: '+15551234567', 'custom.account': 'A-17' };
+  assert.equal(
+    renderPromptTemplate('Caller {{caller}}, account {{ custom.account }}.', values),
+    'Caller +15551234567, account A-17.'
+  );
+});
+
+test('renderPromptTemplate uses the fallback for missing values', () => {
+  assert.equal(renderPromptTemplate('Hi {{custom.name|there}}!', {}), 'Hi there!');
+  assert.equal(renderPromptTemplate('Hi {{custom.name}}!', { 'custom.name': '' }), 'Hi !');
+});
+
+test('renderPromptTemplate leaves unknown placeholders as written', () => {
+  assert.equal(renderPromptTemplate('Reply as {{json}}', { json: 'x' }), 'Reply as {{json}}');
+  assert.equal(renderPromptTemplate(null, {}), '');
+});
+
+test('promptValuesForCall formats the time in the requested time zone', () => {
+  const now = new Date('2025-03-04T15:42:00Z');
+  const values = promptValuesForCall({ from: '+1', customParameters: { timezone: 'America/New_York', topic: 'billing' } }, now);
+  assert.equal(values.timezone, 'America/New_York');
+  assert.equal(values.localTime, '10:42 AM');
+  assert.equal(values.localDate, 'Tuesday, March 4, 2025');
+  assert.equal(values['custom.topic'], 'billing');
+});
+
+test('promptValuesForCall ignores an invalid time zone', () => {
+  const values = promptValuesForCall({ customParameters: { timezone: 'Mars/Olympus' } });
+  assert.notEqual(values.timezone, 'Mars/Olympus');
+});
+
+test('selectPromptTemplate picks a variant and falls back to the main prompt', () => {
+  const config = { system_prompt: 'main', prompt_variants: { sales: 'sell' } };
+  assert.deepEqual(selectPromptTemplate(config, { variant: 'sales' }), { variant: 'sales', template: 'sell' });
+  assert.deepEqual(selectPromptTemplate(config, { variant: 'toString' }), { variant: null, template: 'main' });
+  assert.deepEqual(selectPromptTemplate(config), { variant: null, template: 'main' });
+});
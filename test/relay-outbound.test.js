@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRelayOutbound } from '../relay-outbound.js';
+
+function createSocket() {
+  return { readyState: 1, sent: [], send(payload) { this.sent.push(JSON.parse(payload)); } };
+}
+
+test('text frames carry the token, last and only the options given', () => {
+  const ws = createSocket();
+  const relay = createRelayOutbound(ws);
+  assert.equal(relay.text('Hello ', false), true);
+  relay.text('', true, { lang: 'es-ES', interruptible: false, unknown: 1 });
+
+  assert.deepEqual(ws.sent, [
+    { type: 'text', token: 'Hello ', last: false },
+    { type: 'text', token: '', last: true, lang: 'es-ES', interruptible: false }
+  ]);
+});
+
+test('play, sendDigits and language frames', () => {
+  const ws = createSocket();
+  const relay = createRelayOutbound(ws);
+  relay.play('https://example.com/hold.mp3', { loop: 2 });
+  relay.sendDigits('12w#');
+  relay.language({ ttsLanguage: 'fr-FR' });
+  relay.language({ ttsLanguage: 'de-DE', transcriptionLanguage: 'de-DE' });
+
+  assert.deepEqual(ws.sent, [
+    { type: 'play', source: 'https://example.com/hold.mp3', loop: 2 },
+    { type: 'sendDigits', digits: '12w#' },
+    { type: 'language', ttsLanguage: 'fr-FR' },
+    { type: 'language', ttsLanguage: 'de-DE', transcriptionLanguage: 'de-DE' }
+  ]);
+});
+
+test('invalid play sources, digits and languages are refused', () => {
+  const ws = createSocket();
+  const relay = createRelayOutbound(ws);
+  assert.throws(() => relay.play('file:///etc/passwd'), /http\(s\) URL/);
+  assert.throws(() => relay.sendDigits('12a'), /digits may only contain/);
+  assert.throws(() => relay.sendDigits(''), /digits may only contain/);
+  assert.throws(() => relay.language({}), /required/);
+  assert.deepEqual(ws.sent, []);
+});
+
+test('end sends handoffData as a JSON string and nothing is sent after it', () => {
+  const ws = createSocket();
+  const relay = createRelayOutbound(ws);
+  assert.equal(relay.ended, false);
+  relay.end({ reasonCode: 'live-agent-handoff', reason: 'Billing question' });
+
+  assert.equal(relay.ended, true);
+  assert.equal(relay.text('Still there?', true), false);
+  assert.deepEqual(ws.sent, [
+    { type: 'end', handoffData: '{"reasonCode":"live-agent-handoff","reason":"Billing question"}' }
+  ]);
+
+  const plain = createSocket();
+  createRelayOutbound(plain).end();
+  assert.deepEqual(plain.sent, [{ type: 'end' }]);
+});
+
+test('nothing is sent on a socket that is not open', () => {
+  const ws = { ...createSocket(), readyState: 3 };
+  assert.equal(createRelayOutbound(ws).text('Hello', true), false);
+  assert.deepEqual(ws.sent, []);
+});
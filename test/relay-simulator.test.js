@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSimulationScript, checkExpectations, matchesPattern, loadSimulationScript, SimulationScriptError } from '../relay-simulator.js';
+
+// Fields reported for an invalid script (empty when it's valid)
+function errorFields(script) {
+  try {
+    validateSimulationScript(script);
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof SimulationScriptError);
+    return error.errors.map(({ field }) => field);
+  }
+}
+
+test('the example script is valid', async () => {
+  const script = await loadSimulationScript(new URL('../simulations/example.yaml', import.meta.url).pathname);
+  assert.equal(script.steps.length, 3);
+});
+
+test('scripts need steps with one valid action or an expectation', () => {
+  assert.deepEqual(errorFields({ steps: [{ prompt: 'Hi', expect: { text: 'hello' } }, { expect: { noReply: true } }] }), []);
+  assert.deepEqual(errorFields({ steps: [] }), ['steps']);
+  assert.deepEqual(errorFields({
+    settings: 'none',
+    steps: [
+      { prompt: 'Hi', dtmf: '1' },
+      { wait: -5 },
+      { dtmf: '12a' },
+      {},
+      { prompt: 'Hi', expect: { txt: 'typo', toolCalls: 'lookup' } }
+    ]
+  }), [
+    'settings',
+    'steps[0]',
+    'steps[1].wait',
+    'steps[2].dtmf',
+    'steps[3]',
+    'steps[4].expect.txt',
+    'steps[4].expect.toolCalls'
+  ]);
+});
+
+test('matchesPattern takes a case-insensitive substring or a /regex/', () => {
+  assert.equal(matchesPattern('SUNNY', 'It will be sunny.'), true);
+  assert.equal(matchesPattern('/^it will/i', 'It will be sunny.'), true);
+  assert.equal(matchesPattern('/^sunny/', 'It will be sunny.'), false);
+  assert.equal(matchesPattern('sunny', undefined), false);
+});
+
+test('checkExpectations reports every expectation that wasn\'t met', () => {
+  const frames = [
+    { type: 'text', token: 'Connecting you ', last: false },
+    { type: 'text', token: 'now.', last: true },
+    { type: 'sendDigits', digits: '12' },
+    { type: 'end', handoffData: JSON.stringify({ reasonCode: 'live-agent-handoff', reason: 'caller asked' }) }
+  ];
+  const tunnelEvents = [{ type: 'tool_call_start', toolName: 'transfer_to_human' }, { type: 'call_ending' }];
+
+  assert.deepEqual(checkExpectations({
+    text: 'connecting you now',
+    end: { reasonCode: 'live-agent-handoff', reason: 'asked' },
+    sendDigits: 12,
+    tunnel: ['call_ending'],
+    toolCalls: ['transfer_to_human']
+  }, frames, tunnelEvents), []);
+
+  assert.equal(checkExpectations({
+    text: 'goodbye',
+    noReply: true,
+    end: { reasonCode: 'end_call' },
+    play: 'hold.mp3',
+    tunnel: ['history_status'],
+    toolCalls: ['lookup']
+  }, frames, tunnelEvents).length, 6);
+});
@@ -0,0 +1,216 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import net from 'node:net';
+import WebSocket from 'ws';
+import { signSessionToken } from '../auth.js';
+import { startMockLLMServer } from '../mock-llm-server.js';
+import { loadSimulationScript, runSimulation } from '../relay-simulator.js';
+
+const SERVER_PATH = new URL('../server.js', import.meta.url).pathname;
+const FAKE_DATABASE = new URL('./support/register-fake-database.js', import.meta.url).href;
+
+const servers = [];
+let llm;
+
+after(async () => {
+  for (const server of servers) {
+    server.child.kill();
+  }
+  await llm?.close();
+});
+
+// Run server.js in its own process, with the fake database
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, ['--import', FAKE_DATABASE, SERVER_PATH], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      LOG_LEVEL: 'error',
+      INSTRUCTOR_KEY: 'instructor-test-key',
+      VERCEL_API_URL: 'http://127.0.0.1:9',
+      ...env
+    },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  const exited = new Promise(resolve => child.once('exit', (code) => resolve(code)));
+  const server = { child, exited, url: `http://127.0.0.1:${port}` };
+  servers.push(server);
+
+  const deadline = Date.now() + 10000;
+  while (!(await fetch(`${server.url}/health`).then(response => response.ok, () => false))) {
+    if (Date.now() > deadline) {
+      throw new Error('server.js did not start');
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return server;
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Open a WebSocket and report the HTTP status the upgrade got (101 when accepted)
+function upgrade(server, path, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`${server.url.replace('http', 'ws')}${path}`, { headers });
+    // The first frame can arrive with the 101 response, before 'open' has been handled
+    ws.messages = [];
+    ws.on('message', (data) => ws.messages.push(JSON.parse(data)));
+    ws.once('unexpected-response', (req, res) => {
+      resolve({ status: res.statusCode });
+      req.destroy();
+    });
+    ws.once('open', () => resolve({ status: 101, ws }));
+    ws.once('error', (error) => {
+      if (!error.message.startsWith('Unexpected server response')) {
+        reject(error);
+      }
+    });
+  });
+}
+
+test('the instructor feed needs the instructor key before the upgrade', async () => {
+  const server = await startServer();
+
+  assert.equal((await upgrade(server, '/instructor/')).status, 401);
+  assert.equal((await upgrade(server, '/instructor/?key=wrong')).status, 401);
+
+  const { status, ws } = await upgrade(server, '/instructor/', { Authorization: 'Bearer instructor-test-key' });
+  assert.equal(status, 101);
+  await until(() => ws.messages.length > 0);
+  assert.equal(ws.messages[0].type, 'active_calls');
+  ws.close();
+});
+
+test('unknown paths and unsigned tokens are rejected when a secret is set', async () => {
+  const secret = 'test-secret';
+  const server = await startServer({ SESSION_TOKEN_SECRET: secret, TWILIO_AUTH_TOKEN: 'twilio-token' });
+
+  assert.equal((await upgrade(server, '/elsewhere/ws_1')).status, 404);
+  assert.equal((await upgrade(server, '/tunnel/ws_1')).status, 401);
+
+  process.env.SESSION_TOKEN_SECRET = secret;
+  const token = encodeURIComponent(signSessionToken('ws_1', 60).token);
+  delete process.env.SESSION_TOKEN_SECRET;
+
+  assert.equal((await upgrade(server, `/ws/${token}`)).status, 403);
+  assert.equal((await upgrade(server, `/tunnel/${token}`, { Origin: 'https://evil.example' })).status, 403);
+
+  const { status, ws } = await upgrade(server, `/tunnel/${token}`);
+  assert.equal(status, 101);
+  ws.close();
+});
+
+test('/metrics needs the instructor key or the metrics token', async () => {
+  const server = await startServer({ METRICS_TOKEN: 'scrape-token' });
+  const metrics = (credential, query = '') => fetch(`${server.url}/metrics${query}`, {
+    headers: credential ? { Authorization: `Bearer ${credential}` } : {}
+  });
+
+  assert.equal((await metrics()).status, 401);
+  assert.equal((await metrics('student-session')).status, 403);
+
+  const scraped = await metrics('scrape-token');
+  assert.equal(scraped.status, 200);
+  assert.match(scraped.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+  assert.match(await scraped.text(), /^workshop_calls_started_total 0$/m);
+
+  assert.equal((await metrics(null, '?key=instructor-test-key')).status, 200);
+});
+
+test('routes on the path, ignoring the query string', async () => {
+  const server = await startServer();
+
+  assert.equal((await fetch(`${server.url}/health?probe=1`)).status, 200);
+  assert.equal((await fetch(`${server.url}/metrics?probe=1`)).status, 401);
+  assert.equal((await fetch(`${server.url}/nothing?probe=1`)).status, 404);
+});
+
+test('the example simulation passes against the server and the mock LLM', async () => {
+  const script = await loadSimulationScript(new URL('../simulations/example.yaml', import.meta.url).pathname);
+  llm = await startMockLLMServer({
+    ...script.mockLLM,
+    settings: { 'sim-session': { openaiApiKey: 'sk-test', ...script.settings } }
+  });
+  const server = await startServer({
+    VERCEL_API_URL: `http://127.0.0.1:${llm.port}`,
+    OPENAI_BASE_URL: llm.url
+  });
+
+  const result = await runSimulation(script, { serverUrl: server.url.replace('http', 'ws'), sessionToken: 'sim-session' });
+  assert.deepEqual(result.steps.map(step => step.failures), [[], [], []]);
+  assert.equal(result.passed, true);
+});
+
+test('/ready reports 503 when a dependency is down', async () => {
+  await llm?.close();
+  llm = await startMockLLMServer();
+  const settingsApi = `http://127.0.0.1:${llm.port}`;
+
+  const healthy = await startServer({ VERCEL_API_URL: settingsApi });
+  const ready = await fetch(`${healthy.url}/ready`);
+  assert.equal(ready.status, 200);
+  assert.deepEqual((await ready.json()).checks.database.ok, true);
+
+  const databaseDown = await startServer({ VERCEL_API_URL: settingsApi, FAKE_DATABASE_DOWN: 'true' });
+  const noDatabase = await fetch(`${databaseDown.url}/ready`);
+  assert.equal(noDatabase.status, 503);
+  const { checks } = await noDatabase.json();
+  assert.equal(checks.database.ok, false);
+  assert.equal(checks.settingsApi.ok, true);
+
+  const apiDown = await startServer();
+  const noApi = await fetch(`${apiDown.url}/ready`);
+  assert.equal(noApi.status, 503);
+  assert.equal((await noApi.json()).checks.settingsApi.ok, false);
+});
+
+test('SIGTERM lets a reply in progress finish, says goodbye and ends the call before exiting', async () => {
+  await llm?.close();
+  llm = await startMockLLMServer({
+    completions: [{ text: 'Our bakery opens at nine. We close at five.', delayMs: 100 }],
+    settings: { 'drain-session': { studentName: 'Drain', openaiApiKey: 'sk-test' } }
+  });
+  const server = await startServer({
+    VERCEL_API_URL: `http://127.0.0.1:${llm.port}`,
+    OPENAI_BASE_URL: llm.url,
+    SHUTDOWN_GOODBYE_MESSAGE: 'Goodbye for now.',
+    SHUTDOWN_DRAIN_TIMEOUT_MS: '5000'
+  });
+
+  const { ws } = await upgrade(server, '/ws/drain-session');
+  const frames = ws.messages;
+  // Like the simulator, give the server a moment to load the settings before setup
+  await new Promise(resolve => setTimeout(resolve, 500));
+
+  ws.send(JSON.stringify({ type: 'setup', sessionId: 'VX1', callSid: 'CA-drain', from: '+15550001111', to: '+15550002222', direction: 'inbound' }));
+  ws.send(JSON.stringify({ type: 'prompt', voicePrompt: 'When do you open?', lang: 'en-US', last: true }));
+  await until(() => frames.some(frame => frame.type === 'text'));
+
+  server.child.kill('SIGTERM');
+  await until(() => frames.some(frame => frame.type === 'end'));
+  ws.close();
+
+  const spoken = frames.filter(frame => frame.type === 'text').map(frame => frame.token).join('');
+  assert.equal(spoken, 'Our bakery opens at nine. We close at five.Goodbye for now.');
+  assert.equal(frames[frames.length - 1].type, 'end');
+  assert.equal(await server.exited, 0);
+});
+
+async function until(condition, timeoutMs = 10000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the server');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
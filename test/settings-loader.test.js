@@ -0,0 +1,142 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import './support/register-fake-database.js';
+
+// Settings API stub: answers with `settings[token]` after `delayMs`, counting requests per token
+const settings = {};
+const requests = {};
+let delayMs = 0;
+let failing = false;
+
+const api = http.createServer((req, res) => {
+  const token = new URL(req.url, 'http://localhost').searchParams.get('sessionToken');
+  requests[token] = (requests[token] || 0) + 1;
+  const current = settings[token];
+  setTimeout(() => {
+    if (failing) {
+      res.writeHead(502);
+      res.end('Bad gateway');
+    } else if (current === 'invalid-json') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"settings": {"openaiApiKey": "sk-secret"');
+    } else if (!current) {
+      res.writeHead(404);
+      res.end();
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, settings: current }));
+    }
+  }, delayMs);
+});
+
+await new Promise(resolve => api.listen(0, '127.0.0.1', resolve));
+process.env.VERCEL_API_URL = `http://127.0.0.1:${api.address().port}`;
+process.env.SETTINGS_CACHE_TTL_MS = '100';
+process.env.SETTINGS_MAX_STALE_MS = '60000';
+
+const { fakeDb } = await import('./support/fake-database.js');
+const { loadStudentConfig, invalidateStudentConfig, SettingsUnavailableError } = await import('../settings-loader.js');
+
+before(() => {
+  delayMs = 0;
+  failing = false;
+});
+
+after(() => {
+  api.closeAllConnections();
+  return new Promise(resolve => api.close(resolve));
+});
+
+const studentSettings = (systemPrompt) => ({
+  studentName: 'Test Student',
+  systemPrompt,
+  tools: JSON.stringify([{ type: 'function', function: { name: 'lookup', parameters: { type: 'object', properties: {} } }, execution: { type: 'mock', response: { ok: true } } }])
+});
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('concurrent loads share one request and get separate deep copies', async () => {
+  settings.single = studentSettings('Hello');
+  delayMs = 30;
+  const [first, second] = await Promise.all([loadStudentConfig('single'), loadStudentConfig('single')]);
+  delayMs = 0;
+
+  assert.equal(requests.single, 1);
+  assert.equal(first.system_prompt, 'Hello');
+  assert.notEqual(first, second);
+
+  first.tools[0].function.name = 'changed';
+  first.voice_settings.greeting = 'changed';
+  const third = await loadStudentConfig('single');
+  assert.equal(third.tools[0].function.name, 'lookup');
+  assert.notEqual(third.voice_settings.greeting, 'changed');
+  assert.equal(requests.single, 1);
+});
+
+test('a stale config is served immediately while it refreshes in the background', async () => {
+  settings.stale = studentSettings('Version 1');
+  await loadStudentConfig('stale');
+  settings.stale = studentSettings('Version 2');
+  await sleep(120);
+
+  delayMs = 50;
+  assert.equal((await loadStudentConfig('stale')).system_prompt, 'Version 1');
+
+  await sleep(80);
+  delayMs = 0;
+  assert.equal(requests.stale, 2);
+  assert.equal((await loadStudentConfig('stale')).system_prompt, 'Version 2');
+  assert.equal(requests.stale, 2);
+});
+
+test('a load that started before an invalidation does not cache the old config', async () => {
+  settings.saving = studentSettings('Before save');
+  delayMs = 50;
+  const loading = loadStudentConfig('saving');
+  await sleep(10);
+
+  settings.saving = studentSettings('After save');
+  invalidateStudentConfig('saving');
+  delayMs = 0;
+
+  assert.equal((await loading).system_prompt, 'Before save');
+  assert.equal((await loadStudentConfig('saving')).system_prompt, 'After save');
+  assert.equal(requests.saving, 2);
+  assert.equal((await loadStudentConfig('saving')).system_prompt, 'After save');
+  assert.equal(requests.saving, 2);
+});
+
+test('invalidation makes the next load fetch fresh settings', async () => {
+  settings.edited = studentSettings('Old');
+  await loadStudentConfig('edited');
+  settings.edited = studentSettings('New');
+
+  assert.equal(invalidateStudentConfig('edited'), true);
+  assert.equal(invalidateStudentConfig('edited'), false);
+  assert.equal((await loadStudentConfig('edited')).system_prompt, 'New');
+});
+
+test('unknown sessions load as null', async () => {
+  assert.equal(await loadStudentConfig('nobody'), null);
+});
+
+test('falls back to the database when the settings API fails', async () => {
+  fakeDb.studentConfigs.set('fallback', { session_token: 'fallback', student_name: 'From DB', system_prompt: 'Stored prompt', tools: [] });
+  failing = true;
+  try {
+    assert.equal((await loadStudentConfig('fallback')).system_prompt, 'Stored prompt');
+
+    fakeDb.down = true;
+    await assert.rejects(loadStudentConfig('unreachable'), SettingsUnavailableError);
+  } finally {
+    failing = false;
+    fakeDb.down = false;
+  }
+});
+
+test('invalid JSON from the settings API falls back to the database', async () => {
+  settings.garbled = 'invalid-json';
+  fakeDb.studentConfigs.set('garbled', { session_token: 'garbled', student_name: 'From DB', system_prompt: 'Stored prompt', tools: [] });
+  assert.equal((await loadStudentConfig('garbled')).system_prompt, 'Stored prompt');
+});
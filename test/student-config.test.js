@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateStudentConfig, configFromSettingsApi, StudentConfigError } from '../student-config.js';
+
+// Fields reported for an invalid config (empty when it's valid)
+function errorFields(input) {
+  try {
+    validateStudentConfig({ session_token: 'ws_test', ...input });
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof StudentConfigError);
+    return error.errors.map(({ field }) => field);
+  }
+}
+
+const tool = (name, execution) => ({ type: 'function', function: { name, parameters: { type: 'object', properties: {} } }, execution });
+
+test('a minimal config gets defaults', () => {
+  const config = validateStudentConfig({ session_token: 'ws_test' });
+  assert.deepEqual(config.tools, []);
+  assert.equal(config.history_strategy, 'summarize');
+  assert.equal(config.caller_memory, false);
+  assert.equal(config.max_tool_steps, null);
+  assert.deepEqual(config.voice_settings, { voice: 'alloy', greeting: null });
+  assert.equal(config.dtmf, null);
+});
+
+test('settings API fields are mapped and form strings are converted', () => {
+  const config = configFromSettingsApi('ws_test', {
+    studentName: 'Sam',
+    systemPrompt: 'Be brief.',
+    maxToolSteps: '3',
+    callerMemory: 'true',
+    temperature: '0.2',
+    tools: JSON.stringify([tool('lookup', { type: 'mock', response: {} })]),
+    greeting: 'Hi!'
+  });
+
+  assert.equal(config.student_name, 'Sam');
+  assert.equal(config.max_tool_steps, 3);
+  assert.equal(config.caller_memory, true);
+  assert.equal(config.llm.temperature, 0.2);
+  assert.equal(config.tools[0].function.name, 'lookup');
+  assert.equal(config.voice_settings.greeting, 'Hi!');
+});
+
+test('every problem is reported by field', () => {
+  assert.deepEqual(errorFields({
+    session_token: '',
+    student_name: 42,
+    max_tool_steps: 50,
+    history_strategy: 'forget',
+    caller_memory: 'yes',
+    tools: '[not json'
+  }), ['tools', 'student_name', 'max_tool_steps', 'caller_memory', 'session_token', 'history_strategy']);
+});
+
+test('tools need valid names, schemas and executions', () => {
+  assert.deepEqual(errorFields({
+    tools: [
+      { type: 'function', function: { name: 'has space' } },
+      { type: 'function', function: { name: 'lookup', parameters: { type: 'array' } } },
+      { type: 'function', function: { name: 'lookup', parameters: { type: 'object', properties: {}, required: ['city'] } } },
+      tool('runner', { type: 'shell' }),
+      tool('builtin', { type: 'builtin', name: 'rm_rf' }),
+      'calculator'
+    ]
+  }), [
+    'tools[0].function.name',
+    'tools[1].function.parameters.type',
+    'tools[2].function.parameters.required',
+    'tools[2].function.name',
+    'tools[3].execution.type',
+    'tools[4].execution.name',
+    'tools[5]'
+  ]);
+
+  assert.deepEqual(errorFields({ tools: [{ execution: { type: 'builtin', name: 'calculator' } }] }), []);
+});
+
+test('webhook URLs must be public https URLs', () => {
+  assert.deepEqual(errorFields({ tools: [tool('hook', { type: 'webhook', url: 'https://example.com/hook', timeoutMs: 2000 })] }), []);
+
+  const errors = errorFields({
+    tools: [
+      tool('plain', { type: 'webhook', url: 'http://example.com/hook' }),
+      tool('local', { type: 'webhook', url: 'https://127.0.0.1/hook' }),
+      tool('missing', { type: 'webhook' }),
+      tool('slow', { type: 'webhook', url: 'https://example.com', timeoutMs: 60000 })
+    ]
+  });
+  assert.deepEqual(errors, ['tools[0].execution.url', 'tools[1].execution.url', 'tools[2].execution.url', 'tools[3].execution.timeoutMs']);
+});
+
+test('mock responses need a response and a flat when', () => {
+  assert.deepEqual(errorFields({
+    tools: [tool('mock', { type: 'mock', responses: [{ when: { city: 'Paris', days: 2, metric: true, zip: null }, response: 'ok' }], delayMs: 500 })]
+  }), []);
+
+  assert.deepEqual(errorFields({
+    tools: [
+      tool('none', { type: 'mock' }),
+      tool('entries', {
+        type: 'mock',
+        responses: [
+          'sunny',
+          { when: { city: 'Paris' } },
+          { when: ['Paris'], response: 'ok' },
+          { when: { city: { name: 'Paris' } }, response: 'ok' }
+        ],
+        delayMs: -1
+      })
+    ]
+  }), [
+    'tools[0].execution',
+    'tools[1].execution.responses[0]',
+    'tools[1].execution.responses[1].response',
+    'tools[1].execution.responses[2].when',
+    'tools[1].execution.responses[3].when.city',
+    'tools[1].execution.delayMs'
+  ]);
+});
+
+test('llm settings are checked, including the base URL destination', () => {
+  assert.deepEqual(errorFields({ llm: { provider: 'anthropic', model: 'claude-3-5-haiku-latest', temperature: 1, max_tokens: 300 } }), []);
+  assert.deepEqual(errorFields({ llm: { base_url: 'https://llm.example.com/v1' } }), []);
+
+  assert.deepEqual(errorFields({
+    llm: { provider: 'gemini', temperature: 3, max_tokens: 1.5, base_url: 'http://localhost:11434/v1' }
+  }), ['llm.provider', 'llm.base_url', 'llm.temperature', 'llm.max_tokens']);
+  assert.deepEqual(errorFields({ llm: { base_url: 'https://169.254.169.254/latest' } }), ['llm.base_url']);
+});
+
+test('prompt variants need valid names and non-empty prompts', () => {
+  assert.deepEqual(validateStudentConfig({ session_token: 'ws_test', prompt_variants: '{"a":"Prompt A"}' }).prompt_variants, { a: 'Prompt A' });
+  assert.deepEqual(errorFields({ prompt_variants: { 'bad name': 'x', empty: '', b: 5 } }), [
+    'prompt_variants.bad name', 'prompt_variants.empty', 'prompt_variants.b'
+  ]);
+});
+
+test('keypad actions must point to real tools and valid digits', () => {
+  const tools = [tool('lookup', { type: 'mock', response: {} })];
+  assert.deepEqual(errorFields({
+    tools,
+    dtmf: { keys: { 1: { type: 'tool', name: 'lookup' }, 2: { type: 'send_digits', digits: '{digits}#' } } }
+  }), []);
+
+  assert.deepEqual(errorFields({
+    tools,
+    dtmf: {
+      keys: {
+        1: { type: 'tool', name: 'missing' },
+        2: { type: 'send_digits', digits: 'abc' },
+        3: { type: 'play', source: 'file:///etc/passwd' },
+        4: { type: 'reply' },
+        X: { type: 'dance' }
+      },
+      collect: { maxDigits: 0, finishKey: 'Z', action: { type: 'prompt', text: 'Account {digits}' } }
+    }
+  }), [
+    'dtmf.keys.1.name', 'dtmf.keys.2.digits', 'dtmf.keys.3.source', 'dtmf.keys.4.text', 'dtmf.keys.X', 'dtmf.keys.X.type',
+    'dtmf.collect.maxDigits', 'dtmf.collect.finishKey'
+  ]);
+});
@@ -0,0 +1,78 @@
+/**
+ * Scripted OpenAI-compatible chat completions server for tests
+ * Each request gets the next reply from the script and is recorded in `requests`:
+ *   { text: ['Hello ', 'there.'] }                     - streamed text chunks
+ *   { toolCalls: [{ name, arguments }] }               - one round of tool calls
+ *   { text: [...], hold: true }                        - stream the text, then keep the response open
+ *   { status: 400 }                                     - fail the request
+ */
+
+import http from 'http';
+
+export async function startChatCompletionsServer(script = []) {
+  const requests = [];
+  const replies = [...script];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push(JSON.parse(body));
+      const reply = replies.shift() || { text: ['OK.'] };
+
+      if (reply.status) {
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message: 'Scripted failure', type: 'server_error' } }));
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      const send = (delta, finishReason = null) => {
+        res.write(`data: ${JSON.stringify({
+          id: 'chatcmpl-test',
+          object: 'chat.completion.chunk',
+          choices: [{ index: 0, delta, finish_reason: finishReason }]
+        })}\n\n`);
+      };
+
+      for (const text of reply.text || []) {
+        send({ content: text });
+      }
+      if (reply.hold) {
+        return;
+      }
+
+      (reply.toolCalls || []).forEach((toolCall, index) => {
+        send({
+          tool_calls: [{
+            index,
+            id: `call_${requests.length}_${index}`,
+            type: 'function',
+            function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments || {}) }
+          }]
+        });
+      });
+      send({}, reply.toolCalls ? 'tool_calls' : 'stop');
+      res.write(`data: ${JSON.stringify({
+        id: 'chatcmpl-test',
+        object: 'chat.completion.chunk',
+        choices: [],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+      })}\n\n`);
+      res.end('data: [DONE]\n\n');
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/v1`,
+    requests,
+    // Replies for requests still to come
+    script: (...more) => replies.push(...more),
+    close: () => {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,15 @@
+/**
+ * Module hooks that swap database.js for the in-memory fake-database.js
+ * Registered by register-fake-database.js; the fake itself still imports the real module
+ */
+
+const REAL_URL = new URL('../../database.js', import.meta.url).href;
+const FAKE_URL = new URL('./fake-database.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  const resolved = await nextResolve(specifier, context);
+  if (resolved.url === REAL_URL && context.parentURL !== FAKE_URL) {
+    return { ...resolved, url: FAKE_URL };
+  }
+  return resolved;
+}
@@ -0,0 +1,217 @@
+/**
+ * In-memory stand-in for database.js in tests (see register-fake-database.js)
+ * Functions not replaced here come from the real module, which only connects when a query runs.
+ * Rows have the same columns as the real queries return.
+ */
+
+export * from '../../database.js';
+
+export const fakeDb = {
+  // Set to make every query fail (e.g. to test /ready)
+  down: process.env.FAKE_DATABASE_DOWN === 'true',
+  studentConfigs: new Map(),
+  studentValues: new Map(),
+  calls: new Map(),
+  turns: new Map(),
+  dailyUsage: [],
+  callerMemory: new Map(),
+
+  reset() {
+    this.down = false;
+    for (const store of [this.studentConfigs, this.studentValues, this.calls, this.turns, this.callerMemory]) {
+      store.clear();
+    }
+    this.dailyUsage.length = 0;
+  }
+};
+
+function query() {
+  if (fakeDb.down) {
+    throw new Error('connect ECONNREFUSED (fake database is down)');
+  }
+}
+
+export async function getStudentConfig(sessionToken) {
+  query();
+  return fakeDb.studentConfigs.get(sessionToken) || null;
+}
+
+export async function saveStudentConfig(sessionToken, config) {
+  query();
+  fakeDb.studentConfigs.set(sessionToken, { session_token: sessionToken, ...config });
+  return true;
+}
+
+export async function getStudentValue(sessionToken, key) {
+  query();
+  return fakeDb.studentValues.get(`${sessionToken}:${key}`) ?? null;
+}
+
+export async function setStudentValue(sessionToken, key, value) {
+  query();
+  fakeDb.studentValues.set(`${sessionToken}:${key}`, value);
+  return true;
+}
+
+export async function createCall(call) {
+  query();
+  if (!fakeDb.calls.has(call.callSid)) {
+    fakeDb.calls.set(call.callSid, {
+      call_sid: call.callSid,
+      session_token: call.sessionToken,
+      from_number: call.from || null,
+      to_number: call.to || null,
+      direction: call.direction || null,
+      started_at: new Date(call.startedAt),
+      ended_at: null,
+      duration_seconds: null
+    });
+    fakeDb.turns.set(call.callSid, []);
+  }
+  return true;
+}
+
+export async function endCall(callSid, details) {
+  query();
+  const call = fakeDb.calls.get(callSid);
+  if (call) {
+    call.ended_at = new Date(details.endedAt);
+    call.duration_seconds = details.durationSeconds;
+  }
+  return true;
+}
+
+export async function saveCallTurn(callSid, turn) {
+  query();
+  const turns = fakeDb.turns.get(callSid) || [];
+  if (!turns.some(saved => saved.turn_index === turn.index)) {
+    turns.push({
+      turn_index: turn.index,
+      role: turn.role,
+      text: turn.text ?? null,
+      tool_calls: turn.toolCalls?.length ? turn.toolCalls : null,
+      prompt_tokens: turn.usage?.promptTokens ?? null,
+      completion_tokens: turn.usage?.completionTokens ?? null,
+      total_tokens: turn.usage?.totalTokens ?? null,
+      latency_ms: turn.latencyMs ?? null,
+      first_token_ms: turn.firstTokenMs ?? null,
+      interrupted: turn.interrupted || false,
+      created_at: turn.createdAt ? new Date(turn.createdAt) : new Date()
+    });
+    turns.sort((a, b) => a.turn_index - b.turn_index);
+  }
+  fakeDb.turns.set(callSid, turns);
+  return true;
+}
+
+export async function markCallTurnInterrupted(callSid, turnIndex, spokenText) {
+  query();
+  const turn = (fakeDb.turns.get(callSid) || []).find(saved => saved.turn_index === turnIndex);
+  if (turn) {
+    turn.text = spokenText;
+    turn.interrupted = true;
+  }
+  return true;
+}
+
+export async function listCalls(sessionToken, options = {}) {
+  query();
+  const { limit = 20, offset = 0, from = null, to = null } = options;
+  const calls = [...fakeDb.calls.values()]
+    .filter(call => call.session_token === sessionToken)
+    .filter(call => (!from || call.started_at >= from) && (!to || call.started_at < to))
+    .sort((a, b) => b.started_at - a.started_at);
+
+  return {
+    calls: calls.slice(offset, offset + limit).map(call => ({
+      ...call,
+      turn_count: (fakeDb.turns.get(call.call_sid) || []).length
+    })),
+    total: calls.length
+  };
+}
+
+export async function getCallTranscript(callSid) {
+  query();
+  const call = fakeDb.calls.get(callSid);
+  if (!call) {
+    return null;
+  }
+  const turns = fakeDb.turns.get(callSid) || [];
+  return { ...call, turn_count: turns.length, turns: [...turns] };
+}
+
+export async function addDailyUsage(usage) {
+  query();
+  let row = fakeDb.dailyUsage.find(saved => saved.usage_date === usage.day &&
+    saved.session_token === usage.sessionToken && saved.model === usage.model && saved.key_source === usage.keySource);
+  if (!row) {
+    row = {
+      usage_date: usage.day,
+      session_token: usage.sessionToken,
+      model: usage.model,
+      key_source: usage.keySource,
+      request_count: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      cost_usd: 0
+    };
+    fakeDb.dailyUsage.push(row);
+  }
+  row.request_count++;
+  row.prompt_tokens += usage.promptTokens;
+  row.completion_tokens += usage.completionTokens;
+  row.cost_usd += usage.costUsd;
+  return true;
+}
+
+export async function getDailyUsage(day) {
+  query();
+  return fakeDb.dailyUsage
+    .filter(row => row.usage_date === day)
+    .map(({ usage_date, ...row }) => ({ ...row }));
+}
+
+export async function getCallerMemory(sessionToken, caller) {
+  query();
+  return fakeDb.callerMemory.get(`${sessionToken}:${caller}`) || null;
+}
+
+export async function saveCallerSummary(sessionToken, caller, summary) {
+  query();
+  const memory = callerMemoryRow(sessionToken, caller);
+  memory.summary = summary ?? memory.summary;
+  memory.call_count++;
+  return true;
+}
+
+export async function setCallerFact(sessionToken, caller, key, value) {
+  query();
+  const memory = callerMemoryRow(sessionToken, caller);
+  memory.facts = { ...memory.facts, [key]: value };
+  return true;
+}
+
+export async function deleteCallerMemory(sessionToken, caller) {
+  query();
+  return fakeDb.callerMemory.delete(`${sessionToken}:${caller}`);
+}
+
+export async function pingDatabase() {
+  query();
+  return true;
+}
+
+export async function initializeDatabase() {
+  query();
+}
+
+function callerMemoryRow(sessionToken, caller) {
+  const key = `${sessionToken}:${caller}`;
+  if (!fakeDb.callerMemory.has(key)) {
+    fakeDb.callerMemory.set(key, { caller, summary: null, facts: {}, call_count: 0, created_at: new Date(), updated_at: new Date() });
+  }
+  const memory = fakeDb.callerMemory.get(key);
+  memory.updated_at = new Date();
+  return memory;
+}
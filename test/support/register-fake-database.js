@@ -0,0 +1,9 @@
+/**
+ * Use the in-memory database for every module loaded after this one
+ * Tests import it before dynamically importing the modules under test;
+ * child processes load it with `node --import`.
+ */
+
+import { register } from 'node:module';
+
+register('./fake-database-hooks.js', import.meta.url);
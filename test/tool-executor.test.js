@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { executeToolCall } from '../tool-executor.js';
+
+const studentConfig = {
+  tools: [{ type: 'function', function: { name: 'calculator' }, execution: { type: 'builtin', name: 'calculator' } }]
+};
+
+const calculate = (expression) => executeToolCall('calculator', { expression }, studentConfig);
+
+test('calculator follows operator precedence and parentheses', async () => {
+  assert.equal((await calculate('2 + 3 * 4')).data.result, 14);
+  assert.equal((await calculate('(2 + 3) * 4')).data.result, 20);
+  assert.equal((await calculate('10 - 4 - 3')).data.result, 3);
+  assert.equal((await calculate('7 % 4')).data.result, 3);
+});
+
+test('calculator handles powers, unary signs and decimals', async () => {
+  assert.equal((await calculate('2 ^ 3 ^ 2')).data.result, 512);
+  assert.equal((await calculate('-2 ^ 2')).data.result, -4);
+  assert.equal((await calculate('-(1 + 2)')).data.result, -3);
+  assert.equal((await calculate('.5 * 12.5')).data.result, 6.25);
+});
+
+test('calculator rejects malformed expressions', async () => {
+  for (const expression of ['(1 + 2', '1 +', '2 3', 'abc', '']) {
+    const result = await calculate(expression);
+    assert.equal(result.success, false, expression);
+    assert.equal(result.error.code, 'INVALID_ARGUMENTS');
+  }
+});
+
+test('calculator rejects results that are not finite', async () => {
+  const result = await calculate('1 / 0');
+  assert.equal(result.success, false);
+  assert.match(result.error.message, /finite/);
+});
+
+test('calculator requires a string expression', async () => {
+  const result = await executeToolCall('calculator', { expression: 42 }, studentConfig);
+  assert.equal(result.error.code, 'INVALID_ARGUMENTS');
+});
+
+const mockConfig = (execution) => ({
+  tools: [{ type: 'function', function: { name: 'check_order' }, execution: { type: 'mock', ...execution } }]
+});
+
+test('mock tools answer with the first response whose `when` matches', async () => {
+  const config = mockConfig({
+    responses: [{ when: { order: 'A1' }, response: { status: 'shipped' } }],
+    response: { status: 'unknown' }
+  });
+  assert.deepEqual(await executeToolCall('check_order', '{"order":"A1"}', config), { success: true, data: { status: 'shipped' } });
+  assert.deepEqual(await executeToolCall('check_order', '{"order":"B2"}', config), { success: true, data: { status: 'unknown' } });
+});
+
+test('a mock delay is cancelled by the signal', async () => {
+  const config = mockConfig({ response: 'ok', delayMs: 5000 });
+
+  const controller = new AbortController();
+  const running = executeToolCall('check_order', {}, config, { signal: controller.signal });
+  controller.abort();
+  assert.equal((await running).error.code, 'CANCELLED');
+
+  // Already cancelled before the tool starts - no delay at all
+  const startedAt = Date.now();
+  const result = await executeToolCall('check_order', {}, config, { signal: AbortSignal.abort() });
+  assert.equal(result.error.code, 'CANCELLED');
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('unknown tools and bad JSON arguments fail with a code', async () => {
+  assert.equal((await executeToolCall('nope', {}, studentConfig)).error.code, 'UNKNOWN_TOOL');
+  assert.equal((await executeToolCall('calculator', '{bad', studentConfig)).error.code, 'INVALID_ARGUMENTS');
+});
+
+test('webhook tools may not call local or private addresses', async () => {
+  for (const url of ['http://example.com/hook', 'https://localhost/hook', 'https://127.0.0.1/hook', 'https://169.254.169.254/latest', 'https://[::1]/hook', 'https://10.1.2.3/hook']) {
+    const config = { tools: [{ type: 'function', function: { name: 'hook' }, execution: { type: 'webhook', url } }] };
+    const result = await executeToolCall('hook', {}, config);
+    assert.equal(result.error.code, 'BLOCKED_URL', url);
+  }
+});
+
+// Records what call control tools asked the call to do
+function createCallControl() {
+  const actions = [];
+  return {
+    actions,
+    end: (handoffData) => actions.push(['end', handoffData]),
+    setLanguage: (language) => actions.push(['setLanguage', language]),
+    play: (source) => actions.push(['play', source]),
+    sendDigits: (digits) => actions.push(['sendDigits', digits])
+  };
+}
+
+const callControlConfig = {
+  tools: ['end_call', 'transfer_to_human', 'switch_language', 'play_audio', 'send_digits']
+    .map(name => ({ execution: { type: 'builtin', name } }))
+};
+
+test('call control tools drive the call through callControl', async () => {
+  const callControl = createCallControl();
+  const run = (name, args) => executeToolCall(name, args, callControlConfig, { callControl, callSid: 'CA1' });
+
+  assert.equal((await run('switch_language', { language: 'es-ES' })).success, true);
+  assert.deepEqual((await run('play_audio', { url: 'https://example.com/hold.mp3' })).data, { url: 'https://example.com/hold.mp3', playing: true });
+  assert.deepEqual((await run('send_digits', { digits: '1w2#' })).data, { digits: '1w2#', sent: true });
+  assert.equal((await run('transfer_to_human', { reason: 'Billing' })).success, true);
+
+  assert.deepEqual(callControl.actions, [
+    ['setLanguage', 'es-ES'],
+    ['play', 'https://example.com/hold.mp3'],
+    ['sendDigits', '1w2#'],
+    ['end', { reasonCode: 'live-agent-handoff', reason: 'Billing', summary: null, callSid: 'CA1' }]
+  ]);
+});
+
+test('call control tools validate their arguments and need a live call', async () => {
+  const callControl = createCallControl();
+  const run = (name, args, options = { callControl }) => executeToolCall(name, args, callControlConfig, options);
+
+  for (const [name, args] of [
+    ['switch_language', { language: 'Spanish' }],
+    ['play_audio', { url: 'file:///etc/passwd' }],
+    ['play_audio', {}],
+    ['send_digits', { digits: '12a' }],
+    ['send_digits', { digits: '' }],
+    ['transfer_to_human', {}]
+  ]) {
+    const result = await run(name, args);
+    assert.equal(result.error?.code, 'INVALID_ARGUMENTS', `${name} ${JSON.stringify(args)}`);
+  }
+  assert.deepEqual(callControl.actions, []);
+
+  assert.equal((await run('end_call', {}, {})).error.code, 'NOT_AVAILABLE');
+  assert.equal((await run('send_digits', { digits: '1' }, {})).error.code, 'NOT_AVAILABLE');
+});
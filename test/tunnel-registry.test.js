@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTunnelRegistry } from '../tunnel-registry.js';
+
+function createSocket() {
+  return { readyState: 1, sent: [], send(payload) { this.sent.push(JSON.parse(payload)); } };
+}
+
+test('events fan out to every open tab with increasing seq', () => {
+  const tunnels = createTunnelRegistry();
+  const first = createSocket();
+  const second = createSocket();
+  const closed = { ...createSocket(), readyState: 3 };
+  tunnels.add('ws_1', first);
+  tunnels.add('ws_1', second);
+  tunnels.add('ws_1', closed);
+
+  assert.equal(tunnels.send('ws_1', { type: 'a' }), 2);
+  tunnels.send('ws_1', { type: 'b' });
+  assert.deepEqual(first.sent, [{ seq: 1, type: 'a' }, { seq: 2, type: 'b' }]);
+  assert.deepEqual(second.sent, first.sent);
+  assert.deepEqual(closed.sent, []);
+  assert.equal(tunnels.lastSeq('ws_1'), 2);
+});
+
+test('removing a tab keeps the session\'s other tabs', () => {
+  const tunnels = createTunnelRegistry();
+  const first = createSocket();
+  const second = createSocket();
+  tunnels.add('ws_1', first);
+  tunnels.add('ws_1', second);
+  tunnels.add('ws_2', createSocket());
+  assert.deepEqual(tunnels.stats(), { sessions: 2, connections: 3 });
+
+  assert.equal(tunnels.remove('ws_1', first), 1);
+  assert.deepEqual(tunnels.getOpen('ws_1'), [second]);
+  assert.equal(tunnels.remove('ws_1', second), 0);
+  assert.deepEqual(tunnels.getOpen('ws_1'), []);
+  assert.deepEqual(tunnels.stats(), { sessions: 1, connections: 1 });
+});
+
+test('a tab that fails to send doesn\'t stop the others', (t) => {
+  const tunnels = createTunnelRegistry();
+  const broken = { readyState: 1, send() { throw new Error('socket gone'); } };
+  const tab = createSocket();
+  tunnels.add('ws_1', broken);
+  tunnels.add('ws_1', tab);
+
+  assert.equal(tunnels.send('ws_1', { type: 'a' }), 1);
+  assert.deepEqual(tab.sent, [{ seq: 1, type: 'a' }]);
+});
+
+test('unbuffered messages get no seq and are not replayed', () => {
+  const tunnels = createTunnelRegistry();
+  const tab = createSocket();
+  tunnels.add('ws_1', tab);
+  tunnels.send('ws_1', { type: 'secret' }, { buffer: false });
+  assert.deepEqual(tab.sent, [{ type: 'secret' }]);
+
+  const resumed = createSocket();
+  assert.deepEqual(tunnels.resume('ws_1', resumed, 0), { replayed: 0, gap: false, reset: false });
+});
+
+test('resume replays the events a reconnecting tab missed', () => {
+  const tunnels = createTunnelRegistry();
+  for (const type of ['a', 'b', 'c']) {
+    tunnels.send('ws_1', { type });
+  }
+
+  const tab = createSocket();
+  assert.deepEqual(tunnels.resume('ws_1', tab, 1), { replayed: 2, gap: false, reset: false });
+  assert.deepEqual(tab.sent.map(event => event.seq), [2, 3]);
+  assert.deepEqual(tunnels.resume('ws_1', createSocket(), 3), { replayed: 0, gap: false, reset: false });
+});
+
+test('resume reports a gap when missed events fell out of the buffer', () => {
+  const tunnels = createTunnelRegistry({ bufferSize: 2 });
+  for (const type of ['a', 'b', 'c', 'd']) {
+    tunnels.send('ws_1', { type });
+  }
+
+  const tab = createSocket();
+  assert.deepEqual(tunnels.resume('ws_1', tab, 1), { replayed: 2, gap: true, reset: false });
+  assert.deepEqual(tab.sent.map(event => event.seq), [3, 4]);
+  assert.deepEqual(tunnels.resume('ws_1', createSocket(), 2), { replayed: 2, gap: false, reset: false });
+});
+
+test('resume for an unknown session replays nothing', () => {
+  assert.deepEqual(createTunnelRegistry().resume('ws_1', createSocket(), 0), { replayed: 0, gap: false, reset: false });
+  assert.deepEqual(createTunnelRegistry().resume('ws_1', createSocket(), 5), { replayed: 0, gap: false, reset: true });
+});
+
+test('resume from a seq this server never sent resets and replays everything', () => {
+  const tunnels = createTunnelRegistry();
+  for (const type of ['a', 'b']) {
+    tunnels.send('ws_1', { type });
+  }
+
+  const tab = createSocket();
+  assert.deepEqual(tunnels.resume('ws_1', tab, 40), { replayed: 2, gap: false, reset: true });
+  assert.deepEqual(tab.sent.map(event => event.type), ['a', 'b']);
+});
+
+test('a reset reports a gap when the start of the new numbering is gone', () => {
+  const tunnels = createTunnelRegistry({ bufferSize: 2 });
+  for (const type of ['a', 'b', 'c']) {
+    tunnels.send('ws_1', { type });
+  }
+
+  const tab = createSocket();
+  assert.deepEqual(tunnels.resume('ws_1', tab, 40), { replayed: 2, gap: true, reset: true });
+  assert.deepEqual(tab.sent.map(event => event.seq), [2, 3]);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { outboundUrlError, guardedRequest, guardedAgent, BlockedUrlError } from '../url-guard.js';
+
+test('outboundUrlError accepts public https URLs', () => {
+  assert.equal(outboundUrlError('https://example.com/hook'), null);
+  assert.equal(outboundUrlError('https://8.8.8.8/v1'), null);
+});
+
+test('outboundUrlError rejects http, local and private destinations', () => {
+  assert.equal(outboundUrlError('not a url'), 'must be an http(s) URL');
+  assert.equal(outboundUrlError('ftp://example.com'), 'must be an https URL');
+  assert.equal(outboundUrlError('http://example.com'), 'must be an https URL');
+  for (const url of ['https://localhost', 'https://api.localhost', 'https://127.0.0.1', 'https://10.0.0.1',
+    'https://172.16.5.4', 'https://192.168.1.1', 'https://169.254.169.254', 'https://[::1]', 'https://[fd00::1]',
+    'https://[::ffff:127.0.0.1]']) {
+    assert.equal(outboundUrlError(url), 'must not point to a local or private network address', url);
+  }
+});
+
+test('guardedRequest refuses a blocked URL before connecting', async () => {
+  let connected = false;
+  const server = http.createServer((req, res) => {
+    connected = true;
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    await assert.rejects(guardedRequest(`http://127.0.0.1:${server.address().port}/`), BlockedUrlError);
+    assert.equal(connected, false);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('guardedAgent refuses hosts that resolve to a private address', async () => {
+  let connected = false;
+  const server = http.createServer((req, res) => {
+    connected = true;
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const url = `http://localhost:${server.address().port}/`;
+  const agent = guardedAgent(url);
+  try {
+    await assert.rejects(new Promise((resolve, reject) => {
+      http.get(url, { agent }, resolve).on('error', reject);
+    }), BlockedUrlError);
+    assert.equal(connected, false);
+  } finally {
+    agent.destroy();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
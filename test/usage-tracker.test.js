@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import './support/register-fake-database.js';
+
+Object.assign(process.env, {
+  SESSION_CALLS_PER_MINUTE: '2',
+  GLOBAL_CALLS_PER_MINUTE: '4',
+  MAX_TOKENS_PER_CALL: '1000',
+  SESSION_DAILY_BUDGET_USD: '0.5',
+  GLOBAL_DAILY_BUDGET_USD: '0',
+  FALLBACK_SESSION_DAILY_BUDGET_USD: '0.1',
+  FALLBACK_DAILY_BUDGET_USD: '0'
+});
+
+const { fakeDb } = await import('./support/fake-database.js');
+
+// Spend saved before a restart - the totals are seeded from it on first use
+const today = new Date().toISOString().substring(0, 10);
+fakeDb.dailyUsage.push({
+  usage_date: today, session_token: 'seeded', model: 'gpt-4o', key_source: 'student',
+  request_count: 3, prompt_tokens: 100000, completion_tokens: 30000, cost_usd: 0.6
+});
+
+const { priceFor, calculateCost, MODEL_PRICES, checkCallAllowed, checkRequestAllowed, recordUsage } = await import('../usage-tracker.js');
+
+test('priceFor matches the longest model prefix', () => {
+  assert.deepEqual(priceFor('gpt-4o-mini-2024-07-18'), MODEL_PRICES['gpt-4o-mini']);
+  assert.deepEqual(priceFor('gpt-4o-2024-08-06'), MODEL_PRICES['gpt-4o']);
+  assert.deepEqual(priceFor('gpt-4.1-mini'), MODEL_PRICES['gpt-4.1-mini']);
+  assert.deepEqual(priceFor('claude-3-5-haiku-latest'), MODEL_PRICES['claude-3-5-haiku']);
+});
+
+test('unknown models are priced like gpt-4o', () => {
+  assert.deepEqual(priceFor('my-local-model'), { prompt: 2.5, completion: 10 });
+  assert.deepEqual(priceFor(undefined), { prompt: 2.5, completion: 10 });
+});
+
+test('calculateCost prices prompt and completion tokens per million', () => {
+  assert.equal(calculateCost('gpt-4o-mini', 1_000_000, 0), 0.15);
+  assert.equal(calculateCost('gpt-4o-mini', 0, 1_000_000), 0.6);
+  assert.ok(Math.abs(calculateCost('gpt-4o', 1000, 500) - 0.0075) < 1e-12);
+  assert.equal(calculateCost('gpt-4o', 0, 0), 0);
+});
+
+test('calls are limited per session and globally per minute, and refused calls do not count', async () => {
+  assert.equal(await checkCallAllowed('alpha', 'student'), null);
+  assert.equal(await checkCallAllowed('alpha', 'student'), null);
+
+  const limit = await checkCallAllowed('alpha', 'student');
+  assert.deepEqual(
+    { limit: limit.limit, scope: limit.scope, used: limit.used, cap: limit.cap },
+    { limit: 'calls_per_minute', scope: 'session', used: 2, cap: 2 }
+  );
+  assert.match(limit.message, /try again in a minute/);
+
+  assert.equal(await checkCallAllowed('beta', 'student'), null);
+  assert.equal(await checkCallAllowed('gamma', 'student'), null);
+  assert.equal((await checkCallAllowed('delta', 'student')).scope, 'global');
+});
+
+test('requests stop at the per-call token cap', async () => {
+  assert.equal(await checkRequestAllowed('tokens', 'student', 999), null);
+  const limit = await checkRequestAllowed('tokens', 'student', 1000);
+  assert.equal(limit.limit, 'tokens_per_call');
+  assert.equal(limit.scope, 'call');
+});
+
+test('spend saved before a restart counts towards the daily budget', async () => {
+  const limit = await checkRequestAllowed('seeded', 'student', 0);
+  assert.equal(limit.limit, 'daily_budget');
+  assert.equal(limit.scope, 'session');
+  assert.equal(limit.used, 0.6);
+});
+
+test('recorded spend is checked against the session and fallback budgets', async () => {
+  // gpt-4o: 20,000 prompt tokens = $0.05
+  const first = recordUsage('spender', { model: 'gpt-4o', keySource: 'fallback', promptTokens: 20000, completionTokens: 0 });
+  assert.equal(first.costUsd, 0.05);
+  assert.equal(await checkRequestAllowed('spender', 'fallback', 0), null);
+
+  recordUsage('spender', { model: 'gpt-4o', keySource: 'fallback', promptTokens: 20000, completionTokens: 0 });
+  assert.equal((await checkRequestAllowed('spender', 'fallback', 0)).scope, 'fallback_session');
+
+  // The fallback budgets don't apply to the student's own key
+  assert.equal(await checkRequestAllowed('spender', 'student', 0), null);
+  recordUsage('spender', { model: 'gpt-4o', keySource: 'student', promptTokens: 160000, completionTokens: 0 });
+  assert.equal((await checkRequestAllowed('spender', 'student', 0)).scope, 'session');
+});
+
+test('recorded usage is saved to the daily totals table', async () => {
+  recordUsage('saver', { model: 'gpt-4o-mini', keySource: 'student', promptTokens: 1000, completionTokens: 500 });
+  recordUsage('saver', { model: 'gpt-4o-mini', keySource: 'student', promptTokens: 1000, completionTokens: 500 });
+  await new Promise(resolve => setTimeout(resolve, 10));
+
+  const row = fakeDb.dailyUsage.find(saved => saved.session_token === 'saver');
+  assert.equal(row.usage_date, today);
+  assert.equal(row.request_count, 2);
+  assert.equal(row.prompt_tokens, 2000);
+  assert.equal(row.completion_tokens, 1000);
+});
@@ -0,0 +1,644 @@
+/**
+ * Tool Executor
+ * Runs the tools declared in a student's config when the model calls them
+ *
+ * Each entry in studentConfig.tools is an OpenAI function tool with an optional
+ * `execution` block describing how to run it:
+ *
+ *   { type: 'function', function: {...}, execution: { type: 'webhook', url, timeoutMs, maxResponseBytes, headers } }
+ *   { type: 'function', function: {...}, execution: { type: 'builtin', name: 'calculator' } }
+ *   { type: 'function', function: {...}, execution: { type: 'mock', response, responses: [{ when, response }] } }
+ *
+ * Built-in tools may omit `function` - the default definition is filled in.
+ * Every execution resolves to { success: true, data } or { success: false, error: { code, message } }.
+ */
+
+import { getStudentValue, setStudentValue } from './database.js';
+import { outboundUrlError, guardedRequest, BlockedUrlError } from './url-guard.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('tools');
+
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_RESPONSE_BYTES = 64 * 1024;
+
+/**
+ * Built-in tool implementations and their default OpenAI function definitions
+ */
+const BUILTIN_TOOLS = {
+  current_time: {
+    definition: {
+      name: 'current_time',
+      description: 'Get the current date and time in a time zone',
+      parameters: {
+        type: 'object',
+        properties: {
+          timezone: {
+            type: 'string',
+            description: 'IANA time zone name, e.g. America/New_York'
+          }
+        }
+      }
+    },
+    run: async (args) => {
+      const timezone = args.timezone || 'UTC';
+      let formatted;
+      try {
+        formatted = new Intl.DateTimeFormat('en-US', {
+          timeZone: timezone,
+          dateStyle: 'full',
+          timeStyle: 'long'
+        }).format(new Date());
+      } catch (error) {
+        throw new ToolError('INVALID_ARGUMENTS', `Unknown time zone: ${timezone}`);
+      }
+      return {
+        timezone,
+        formatted,
+        iso: new Date().toISOString()
+      };
+    }
+  },
+
+  calculator: {
+    definition: {
+      name: 'calculator',
+      description: 'Evaluate an arithmetic expression using + - * / % ^ and parentheses',
+      parameters: {
+        type: 'object',
+        properties: {
+          expression: {
+            type: 'string',
+            description: 'Arithmetic expression, e.g. (12.5 * 4) / 3'
+          }
+        },
+        required: ['expression']
+      }
+    },
+    run: async (args) => {
+      if (typeof args.expression !== 'string') {
+        throw new ToolError('INVALID_ARGUMENTS', 'expression must be a string');
+      }
+      return {
+        expression: args.expression,
+        result: evaluateExpression(args.expression)
+      };
+    }
+  },
+
+  lookup: {
+    definition: {
+      name: 'lookup',
+      description: 'Look up a saved value by key',
+      parameters: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', description: 'Key to look up' }
+        },
+        required: ['key']
+      }
+    },
+    run: async (args, context) => {
+      if (typeof args.key !== 'string' || !args.key) {
+        throw new ToolError('INVALID_ARGUMENTS', 'key must be a non-empty string');
+      }
+      const value = await getStudentValue(context.sessionToken, args.key);
+      return {
+        key: args.key,
+        found: value !== null,
+        value
+      };
+    }
+  },
+
+  save_value: {
+    definition: {
+      name: 'save_value',
+      description: 'Save a value under a key so it can be looked up later',
+      parameters: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', description: 'Key to save under' },
+          value: { type: 'string', description: 'Value to save' }
+        },
+        required: ['key', 'value']
+      }
+    },
+    run: async (args, context) => {
+      if (typeof args.key !== 'string' || !args.key) {
+        throw new ToolError('INVALID_ARGUMENTS', 'key must be a non-empty string');
+      }
+      await setStudentValue(context.sessionToken, args.key, args.value ?? null);
+      return {
+        key: args.key,
+        saved: true
+      };
+    }
+  },
+
+  remember_caller_fact: {
+    definition: {
+      name: 'remember_caller_fact',
+      description: 'Remember a fact about the caller for their future calls, e.g. their name or account number',
+      parameters: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', description: 'Name of the fact, e.g. preferredName' },
+          value: { type: 'string', description: 'Value to remember' }
+        },
+        required: ['key', 'value']
+      }
+    },
+    run: async (args, context) => {
+      if (!context.callerMemory) {
+        throw new ToolError('NOT_AVAILABLE', 'Caller memory is not turned on for this agent');
+      }
+      try {
+        await context.callerMemory.remember(args.key, args.value);
+      } catch (error) {
+        if (error.name === 'CallerMemoryError') {
+          throw new ToolError('INVALID_ARGUMENTS', error.message);
+        }
+        throw error;
+      }
+      return {
+        key: args.key,
+        remembered: true
+      };
+    }
+  },
+
+  end_call: {
+    definition: {
+      name: 'end_call',
+      description: 'Hang up when the conversation is finished. The call ends right after your reply, so say goodbye in it.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string', description: 'Why the call is ending' }
+        }
+      }
+    },
+    run: async (args, context) => {
+      const callControl = requireCallControl(context);
+      const handoffData = {
+        reasonCode: 'end_call',
+        reason: args.reason || 'Conversation complete'
+      };
+      callControl.end(handoffData);
+      return {
+        ending: true,
+        ...handoffData
+      };
+    }
+  },
+
+  transfer_to_human: {
+    definition: {
+      name: 'transfer_to_human',
+      description: 'Transfer the caller to a human agent. The transfer happens right after your reply, so tell the caller you are connecting them.',
+      parameters: {
+        type: 'object',
+        properties: {
+          reason: { type: 'string', description: 'Why the caller needs a human' },
+          summary: { type: 'string', description: 'Short summary of the call so far for the agent' }
+        },
+        required: ['reason']
+      }
+    },
+    run: async (args, context) => {
+      if (typeof args.reason !== 'string' || !args.reason) {
+        throw new ToolError('INVALID_ARGUMENTS', 'reason must be a non-empty string');
+      }
+      const callControl = requireCallControl(context);
+      // 'live-agent-handoff' is the reason code Twilio's ConversationRelay examples route to <Dial>
+      const handoffData = {
+        reasonCode: 'live-agent-handoff',
+        reason: args.reason,
+        summary: args.summary || null,
+        callSid: context.callSid
+      };
+      callControl.end(handoffData);
+      return {
+        transferring: true,
+        reason: args.reason
+      };
+    }
+  },
+
+  switch_language: {
+    definition: {
+      name: 'switch_language',
+      description: 'Switch the language you speak and listen in, e.g. when the caller prefers Spanish',
+      parameters: {
+        type: 'object',
+        properties: {
+          language: { type: 'string', description: 'BCP-47 language code, e.g. es-ES or fr-FR' }
+        },
+        required: ['language']
+      }
+    },
+    run: async (args, context) => {
+      if (typeof args.language !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(args.language)) {
+        throw new ToolError('INVALID_ARGUMENTS', 'language must be a BCP-47 code such as es-ES');
+      }
+      const callControl = requireCallControl(context);
+      callControl.setLanguage(args.language);
+      return {
+        language: args.language,
+        switched: true
+      };
+    }
+  },
+
+  play_audio: {
+    definition: {
+      name: 'play_audio',
+      description: 'Play an audio file to the caller, e.g. hold music or a recorded message',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: 'http(s) URL of an MP3 or WAV file' }
+        },
+        required: ['url']
+      }
+    },
+    run: async (args, context) => {
+      if (!isHttpUrl(args.url)) {
+        throw new ToolError('INVALID_ARGUMENTS', 'url must be an http(s) URL');
+      }
+      const callControl = requireCallControl(context);
+      callControl.play(args.url);
+      return {
+        url: args.url,
+        playing: true
+      };
+    }
+  },
+
+  send_digits: {
+    definition: {
+      name: 'send_digits',
+      description: 'Press keypad keys on the call, e.g. to navigate another phone menu',
+      parameters: {
+        type: 'object',
+        properties: {
+          digits: { type: 'string', description: 'Keys to press: 0-9, * and #, with w for a half-second pause' }
+        },
+        required: ['digits']
+      }
+    },
+    run: async (args, context) => {
+      if (typeof args.digits !== 'string' || !/^[0-9*#wW]{1,64}$/.test(args.digits)) {
+        throw new ToolError('INVALID_ARGUMENTS', 'digits must be 1-64 of 0-9, *, # and w');
+      }
+      const callControl = requireCallControl(context);
+      callControl.sendDigits(args.digits);
+      return {
+        digits: args.digits,
+        sent: true
+      };
+    }
+  }
+};
+
+// Names accepted in { execution: { type: 'builtin', name } }
+export const BUILTIN_TOOL_NAMES = Object.keys(BUILTIN_TOOLS);
+
+/**
+ * Error raised by tool runners with a stable error code
+ */
+class ToolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+  }
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string') {
+    return false;
+  }
+  try {
+    const url = new URL(value);
+    return url.protocol === 'http:' || url.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+}
+
+// Call control tools only work inside a live call (not e.g. from a test harness)
+function requireCallControl(context) {
+  if (!context.callControl) {
+    throw new ToolError('NOT_AVAILABLE', 'This tool only works during a call');
+  }
+  return context.callControl;
+}
+
+/**
+ * Convert student tool config into the definitions sent to the model
+ * Strips the `execution` block and fills in built-in definitions
+ * @param {Array} tools - Student's tool config
+ * @returns {Array} OpenAI function tool definitions
+ */
+export function prepareTools(tools) {
+  return (tools || []).map(tool => {
+    const builtin = tool.execution?.type === 'builtin' ? BUILTIN_TOOLS[tool.execution.name] : null;
+    return {
+      type: 'function',
+      function: tool.function || builtin?.definition
+    };
+  }).filter(tool => tool.function);
+}
+
+/**
+ * Execute a tool call
+ * @param {string} toolName - Name of the tool
+ * @param {string|Object} rawArgs - Tool arguments (JSON string from the model, or an object)
+ * @param {Object} studentConfig - Student configuration
+ * @param {Object} options - { signal, sessionToken, callSid, callControl, callerMemory }
+ *   callControl - { end(handoffData), setLanguage(language) } for the call control built-ins
+ *   callerMemory - The caller's memory (see caller-memory.js), when the student has turned it on
+ * @returns {Promise<Object>} { success, data } or { success, error: { code, message } }
+ */
+export async function executeToolCall(toolName, rawArgs, studentConfig, options = {}) {
+  log.info('Executing tool', { tool: toolName });
+  log.debug('Tool arguments', { tool: toolName, arguments: rawArgs });
+
+  let args;
+  try {
+    args = typeof rawArgs === 'string' ? JSON.parse(rawArgs || '{}') : (rawArgs || {});
+  } catch (error) {
+    return toolFailure('INVALID_ARGUMENTS', `Arguments are not valid JSON: ${error.message}`);
+  }
+
+  const tool = findTool(studentConfig.tools, toolName);
+  if (!tool) {
+    return toolFailure('UNKNOWN_TOOL', `Tool ${toolName} is not configured`);
+  }
+
+  const execution = tool.execution || (BUILTIN_TOOLS[toolName] ? { type: 'builtin', name: toolName } : null);
+  if (!execution) {
+    return toolFailure('NOT_CONFIGURED', `Tool ${toolName} has no execution configured`);
+  }
+
+  const context = {
+    sessionToken: options.sessionToken || studentConfig.session_token,
+    callSid: options.callSid || null,
+    callControl: options.callControl || null,
+    callerMemory: options.callerMemory || null,
+    signal: options.signal
+  };
+
+  try {
+    let data;
+    switch (execution.type) {
+      case 'webhook':
+        data = await runWebhookTool(toolName, args, execution, context);
+        break;
+
+      case 'builtin': {
+        const builtin = BUILTIN_TOOLS[execution.name];
+        if (!builtin) {
+          return toolFailure('NOT_CONFIGURED', `Unknown built-in tool: ${execution.name}`);
+        }
+        data = await builtin.run(args, context);
+        break;
+      }
+
+      case 'mock':
+        data = await runMockTool(args, execution, context);
+        break;
+
+      default:
+        return toolFailure('NOT_CONFIGURED', `Unknown execution type: ${execution.type}`);
+    }
+
+    return { success: true, data };
+
+  } catch (error) {
+    if (context.signal?.aborted) {
+      return toolFailure('CANCELLED', 'Tool call cancelled');
+    }
+    if (error instanceof ToolError || error instanceof BlockedUrlError) {
+      return toolFailure(error.code, error.message);
+    }
+    log.error('Tool failed', { tool: toolName, error });
+    return toolFailure('EXECUTION_ERROR', error.message);
+  }
+}
+
+function toolFailure(code, message) {
+  return {
+    success: false,
+    error: { code, message }
+  };
+}
+
+/**
+ * Whether a tool name is one the student configured or a built-in tool
+ * (model output can name anything, so metrics only label known tools)
+ * @param {Array} tools - studentConfig.tools
+ * @param {string} toolName - Tool name from the model
+ * @returns {boolean} True for a known tool
+ */
+export function isKnownTool(tools, toolName) {
+  return !!findTool(tools, toolName) || Object.hasOwn(BUILTIN_TOOLS, toolName);
+}
+
+function findTool(tools, toolName) {
+  return (tools || []).find(tool =>
+    (tool.function?.name || tool.execution?.name) === toolName
+  );
+}
+
+/**
+ * POST the tool arguments to the student's webhook
+ * Enforces the destination rules (see url-guard.js), a timeout and a cap on the response body size
+ */
+async function runWebhookTool(toolName, args, execution, context) {
+  if (!execution.url) {
+    throw new ToolError('NOT_CONFIGURED', `Tool ${toolName} has no webhook URL`);
+  }
+  const urlError = outboundUrlError(execution.url);
+  if (urlError) {
+    throw new ToolError('BLOCKED_URL', `Webhook URL ${urlError}`);
+  }
+
+  const timeoutMs = execution.timeoutMs || DEFAULT_WEBHOOK_TIMEOUT_MS;
+  const maxBytes = execution.maxResponseBytes || DEFAULT_MAX_RESPONSE_BYTES;
+
+  // Abort on timeout or when the caller interrupts
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  context.signal?.addEventListener('abort', onAbort, { once: true });
+  let timedOut = false;
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+
+  try {
+    const response = await postWebhook(execution.url, {
+      headers: execution.headers || {},
+      body: JSON.stringify({
+        tool: toolName,
+        arguments: args,
+        callSid: context.callSid
+      }),
+      signal: controller.signal,
+      maxBytes
+    });
+    const body = response.body;
+
+    if (response.status < 200 || response.status >= 300) {
+      throw new ToolError('HTTP_ERROR', `Webhook returned ${response.status}: ${body.substring(0, 200)}`);
+    }
+
+    try {
+      return JSON.parse(body);
+    } catch (e) {
+      return body;
+    }
+
+  } catch (error) {
+    if (timedOut) {
+      throw new ToolError('TIMEOUT', `Webhook did not respond within ${timeoutMs}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+    context.signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+// POST and read at most maxBytes of the response
+async function postWebhook(url, { headers, body, signal, maxBytes }) {
+  const response = await guardedRequest(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body,
+    signal
+  });
+
+  const chunks = [];
+  let received = 0;
+  for await (const chunk of response) {
+    received += chunk.length;
+    if (received > maxBytes) {
+      response.destroy();
+      throw new ToolError('RESPONSE_TOO_LARGE', `Webhook response exceeded ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  return {
+    status: response.statusCode,
+    body: Buffer.concat(chunks).toString('utf8')
+  };
+}
+
+/**
+ * Return a canned response for workshop exercises
+ * `responses` entries are matched in order against the arguments; `response` is the fallback
+ */
+async function runMockTool(args, execution, context) {
+  if (context.signal?.aborted) {
+    throw new ToolError('CANCELLED', 'Tool call cancelled');
+  }
+  if (execution.delayMs) {
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new ToolError('CANCELLED', 'Tool call cancelled'));
+      };
+      const timer = setTimeout(() => {
+        context.signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, execution.delayMs);
+      context.signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  const match = (execution.responses || []).find(entry =>
+    Object.entries(entry.when || {}).every(([key, value]) => args[key] === value)
+  );
+
+  if (match) {
+    return match.response;
+  }
+  if ('response' in execution) {
+    return execution.response;
+  }
+  throw new ToolError('NOT_CONFIGURED', 'Mock tool has no matching response');
+}
+
+/**
+ * Evaluate an arithmetic expression without eval()
+ * Supports numbers, + - * / % ^, unary minus and parentheses
+ * @param {string} expression - Expression to evaluate
+ * @returns {number} Result
+ */
+function evaluateExpression(expression) {
+  const tokens = expression.match(/\d+(?:\.\d+)?|\.\d+|[-+*/%^()]|\S/g) || [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+
+  const parsePrimary = () => {
+    const token = next();
+    if (token === '(') {
+      const value = parseSum();
+      if (next() !== ')') {
+        throw new ToolError('INVALID_ARGUMENTS', 'Missing closing parenthesis');
+      }
+      return value;
+    }
+    if (token === '-') return -parsePower();
+    if (token === '+') return parsePower();
+    if (token !== undefined && /^[\d.]/.test(token)) return parseFloat(token);
+    throw new ToolError('INVALID_ARGUMENTS', `Unexpected token: ${token ?? 'end of expression'}`);
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^') {
+      next();
+      return Math.pow(base, parsePower());
+    }
+    return base;
+  };
+
+  const parseProduct = () => {
+    let value = parsePower();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = next();
+      const right = parsePower();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  const parseSum = () => {
+    let value = parseProduct();
+    while (['+', '-'].includes(peek())) {
+      const operator = next();
+      const right = parseProduct();
+      value = operator === '+' ? value + right : value - right;
+    }
+    return value;
+  };
+
+  const result = parseSum();
+  if (position < tokens.length) {
+    throw new ToolError('INVALID_ARGUMENTS', `Unexpected token: ${peek()}`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new ToolError('INVALID_ARGUMENTS', 'Result is not a finite number');
+  }
+  return result;
+}
@@ -0,0 +1,212 @@
+/**
+ * Tunnel Registry
+ * Tracks the browser tunnel connections for each session
+ *
+ * A student may have the workshop open in several tabs, so each session token
+ * maps to a set of sockets. Events fan out to every open tab.
+ *
+ * Every event gets a per-session sequence number (`seq`) and the most recent
+ * events are buffered, so a browser that reconnects (e.g. after a laptop slept
+ * mid-call) can resume from the last `seq` it saw and receive what it missed.
+ * Sequence numbers live in memory, so they start over when the server restarts.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('tunnel');
+
+const DEFAULT_BUFFER_SIZE = 200;
+const DEFAULT_BUFFER_TTL_MS = 10 * 60 * 1000; // Keep a disconnected session's events for 10 minutes
+
+/**
+ * Create a tunnel registry
+ * @param {Object} options - { bufferSize, bufferTtlMs }
+ * @returns {Object} Registry with add/remove/getOpen/send/broadcast/resume
+ */
+export function createTunnelRegistry(options = {}) {
+  const bufferSize = options.bufferSize ?? DEFAULT_BUFFER_SIZE;
+  const bufferTtlMs = options.bufferTtlMs ?? DEFAULT_BUFFER_TTL_MS;
+
+  // Key: sessionToken, Value: { sockets: Set<WebSocket>, lastSeq, buffer, lastActivityAt }
+  const sessions = new Map();
+
+  const getSession = (sessionToken) => {
+    let session = sessions.get(sessionToken);
+    if (!session) {
+      session = {
+        sockets: new Set(),
+        lastSeq: 0,
+        buffer: [],
+        lastActivityAt: Date.now()
+      };
+      sessions.set(sessionToken, session);
+    }
+    return session;
+  };
+
+  // Drop buffers for sessions with no tabs and no recent events
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - bufferTtlMs;
+    for (const [sessionToken, session] of sessions) {
+      if (session.sockets.size === 0 && session.lastActivityAt < cutoff) {
+        sessions.delete(sessionToken);
+      }
+    }
+  }, Math.min(bufferTtlMs, 60 * 1000));
+  sweep.unref();
+
+  return {
+    /**
+     * Register a tab's tunnel socket
+     * @param {string} sessionToken - Student's session token
+     * @param {WebSocket} ws - Browser tunnel socket
+     * @returns {number} Number of sockets now registered for the session
+     */
+    add(sessionToken, ws) {
+      const session = getSession(sessionToken);
+      session.sockets.add(ws);
+      session.lastActivityAt = Date.now();
+      return session.sockets.size;
+    },
+
+    /**
+     * Remove a tab's tunnel socket (other tabs for the session are kept)
+     * The event buffer is kept so the tab can resume if it reconnects
+     * @param {string} sessionToken - Student's session token
+     * @param {WebSocket} ws - Browser tunnel socket
+     * @returns {number} Number of sockets still registered for the session
+     */
+    remove(sessionToken, ws) {
+      const session = sessions.get(sessionToken);
+      if (!session) {
+        return 0;
+      }
+      session.sockets.delete(ws);
+      session.lastActivityAt = Date.now();
+      return session.sockets.size;
+    },
+
+    /**
+     * Get the open tunnel sockets for a session
+     * @param {string} sessionToken - Student's session token
+     * @returns {WebSocket[]} Open sockets (may be empty)
+     */
+    getOpen(sessionToken) {
+      const session = sessions.get(sessionToken);
+      if (!session) {
+        return [];
+      }
+      return [...session.sockets].filter(ws => ws.readyState === 1); // 1 = OPEN
+    },
+
+    /**
+     * Send a message to every open tab for a session
+     * Buffered messages get a sequence number and can be replayed on resume
+     * @param {string} sessionToken - Student's session token
+     * @param {Object} message - Message to JSON-encode and send
+     * @param {Object} sendOptions - { buffer: false } for messages that must not be replayed
+     * @returns {number} Number of tabs the message was sent to
+     */
+    send(sessionToken, message, sendOptions = {}) {
+      let outgoing = message;
+
+      if (sendOptions.buffer !== false) {
+        const session = getSession(sessionToken);
+        outgoing = { seq: ++session.lastSeq, ...message };
+        session.buffer.push(outgoing);
+        if (session.buffer.length > bufferSize) {
+          session.buffer.shift();
+        }
+        session.lastActivityAt = Date.now();
+      }
+
+      const sockets = this.getOpen(sessionToken);
+      if (sockets.length === 0) {
+        return 0;
+      }
+
+      const payload = JSON.stringify(outgoing);
+      let delivered = 0;
+      for (const ws of sockets) {
+        try {
+          ws.send(payload);
+          delivered++;
+        } catch (error) {
+          log.error('Failed to send tunnel message', { eventType: message.type, error });
+        }
+      }
+      return delivered;
+    },
+
+    /**
+     * Send a message to every open tab of every session (not buffered)
+     * @param {Object} message - Message to JSON-encode and send
+     * @returns {number} Number of tabs the message was sent to
+     */
+    broadcast(message) {
+      let delivered = 0;
+      for (const sessionToken of sessions.keys()) {
+        delivered += this.send(sessionToken, message, { buffer: false });
+      }
+      return delivered;
+    },
+
+    /**
+     * Latest sequence number sent for a session
+     * @param {string} sessionToken - Student's session token
+     * @returns {number} Last seq (0 if nothing was sent yet)
+     */
+    lastSeq(sessionToken) {
+      return sessions.get(sessionToken)?.lastSeq || 0;
+    },
+
+    /**
+     * Replay buffered events a reconnecting tab missed
+     * A tab that has seen a higher seq than this process ever sent is talking to a new
+     * instance (the server restarted): it gets `reset` and the whole buffer, since
+     * sequence numbers started over and its lastSeq means nothing here.
+     * @param {string} sessionToken - Student's session token
+     * @param {WebSocket} ws - Tab to replay to
+     * @param {number} afterSeq - Last seq the tab saw
+     * @returns {Object} { replayed, gap, reset } - gap is true if some missed events were no longer buffered
+     */
+    resume(sessionToken, ws, afterSeq) {
+      const session = sessions.get(sessionToken);
+      const lastSeq = session?.lastSeq || 0;
+      const reset = afterSeq > lastSeq;
+      if (!session) {
+        return { replayed: 0, gap: false, reset };
+      }
+
+      const fromSeq = reset ? 0 : afterSeq;
+      const missed = session.buffer.filter(event => event.seq > fromSeq);
+      const oldestAvailable = session.buffer.length > 0 ? session.buffer[0].seq : lastSeq + 1;
+      const gap = fromSeq < lastSeq && oldestAvailable > fromSeq + 1;
+
+      for (const event of missed) {
+        ws.send(JSON.stringify(event));
+      }
+
+      return { replayed: missed.length, gap, reset };
+    },
+
+    /**
+     * Count registered sessions and sockets
+     * @returns {Object} { sessions, connections }
+     */
+    stats() {
+      let activeSessions = 0;
+      let connections = 0;
+      for (const session of sessions.values()) {
+        if (session.sockets.size > 0) {
+          activeSessions++;
+          connections += session.sockets.size;
+        }
+      }
+      return {
+        sessions: activeSessions,
+        connections
+      };
+    }
+  };
+}
@@ -0,0 +1,144 @@
+/**
+ * Outbound URL Guard
+ * Destination rules for requests the server makes to student-supplied URLs
+ * (webhook tools and custom LLM base URLs)
+ *
+ * These requests run on the shared server, so by default they must be https and must
+ * not reach its loopback, link-local (cloud metadata) or private network. Host names are
+ * checked when the config is validated and again after DNS resolution, on the address
+ * actually connected to (no DNS rebinding in between).
+ *
+ * ALLOW_PRIVATE_WEBHOOKS=true turns the rules off for local development (e.g. Ollama on
+ * localhost); on a shared server it lets students reach the server's own network.
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const ALLOW_PRIVATE_URLS = process.env.ALLOW_PRIVATE_WEBHOOKS === 'true';
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the IPv4 subnets
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix, type] of [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, type);
+}
+
+/**
+ * Error for a URL or resolved address the rules above don't allow
+ */
+export class BlockedUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BlockedUrlError';
+    this.code = 'BLOCKED_URL';
+  }
+}
+
+/**
+ * Check a student-supplied URL against the destination rules
+ * @param {string} value - URL from the student's config
+ * @returns {string|null} What's wrong with the URL, or null if it may be called
+ */
+export function outboundUrlError(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return 'must be an http(s) URL';
+  }
+
+  if (ALLOW_PRIVATE_URLS) {
+    return url.protocol === 'https:' || url.protocol === 'http:' ? null : 'must be an http(s) URL';
+  }
+  if (url.protocol !== 'https:') {
+    return 'must be an https URL';
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host))) {
+    return 'must not point to a local or private network address';
+  }
+  return null;
+}
+
+/**
+ * HTTP agent for a student-supplied URL whose connections refuse private addresses
+ * (for clients that take an agent, like the OpenAI SDK)
+ * @param {string} url - URL the agent will connect to
+ * @returns {http.Agent|undefined} Guarded agent, or undefined when private addresses are allowed
+ */
+export function guardedAgent(url) {
+  if (ALLOW_PRIVATE_URLS) {
+    return undefined;
+  }
+  const Agent = new URL(url).protocol === 'https:' ? https.Agent : http.Agent;
+  return new Agent({ keepAlive: true, lookup: publicOnlyLookup });
+}
+
+/**
+ * Make a request to a student-supplied URL
+ * Uses http(s).request because fetch can't check the resolved address. Redirects are not followed.
+ * @param {string} url - Destination URL
+ * @param {Object} options - { method, headers, body, signal }
+ * @returns {Promise<http.IncomingMessage>} Response (the body is left unread)
+ * @throws {BlockedUrlError} When the URL or the address it resolves to isn't allowed
+ */
+export function guardedRequest(url, { method = 'GET', headers = {}, body, signal } = {}) {
+  const urlError = outboundUrlError(url);
+  if (urlError) {
+    return Promise.reject(new BlockedUrlError(`URL ${urlError}`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+      method,
+      headers: body === undefined ? headers : { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      signal,
+      lookup: ALLOW_PRIVATE_URLS ? undefined : publicOnlyLookup
+    }, resolve);
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// DNS lookup that refuses private addresses
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      callback(new BlockedUrlError(`Host ${hostname} resolves to a local or private network address`));
+      return;
+    }
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
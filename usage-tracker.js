@@ -0,0 +1,265 @@
+/**
+ * Usage Tracker
+ * Token accounting, spend caps and call rate limits
+ *
+ * Every LLM request is priced from MODEL_PRICES and added to the session's daily
+ * totals (kept in memory and in the usage_daily table). Before a call starts and
+ * before each LLM request, the configured caps are checked:
+ *
+ *   SESSION_CALLS_PER_MINUTE / GLOBAL_CALLS_PER_MINUTE       - new calls per rolling minute
+ *   MAX_TOKENS_PER_CALL                                      - tokens used by a single call
+ *   SESSION_DAILY_BUDGET_USD / GLOBAL_DAILY_BUDGET_USD       - spend per UTC day, any key
+ *   FALLBACK_SESSION_DAILY_BUDGET_USD / FALLBACK_DAILY_BUDGET_USD
+ *                                                            - spend per UTC day on the instructor's fallback key
+ *
+ * A cap of 0 disables it. Checks return null when allowed, or a limit object
+ * { limit, scope, used, cap, message } where `message` is safe to speak to the caller.
+ */
+
+import { addDailyUsage, getDailyUsage } from './database.js';
+import { createLogger, sessionPrefix } from './logger.js';
+import { llmTokens } from './metrics.js';
+
+const log = createLogger('usage');
+
+// USD per million tokens. Models are matched by the longest prefix.
+export const MODEL_PRICES = {
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.60 },
+  'gpt-4o': { prompt: 2.50, completion: 10.00 },
+  'gpt-4.1-nano': { prompt: 0.10, completion: 0.40 },
+  'gpt-4.1-mini': { prompt: 0.40, completion: 1.60 },
+  'gpt-4.1': { prompt: 2.00, completion: 8.00 },
+  'gpt-4-turbo': { prompt: 10.00, completion: 30.00 },
+  'gpt-4': { prompt: 30.00, completion: 60.00 },
+  'gpt-3.5-turbo': { prompt: 0.50, completion: 1.50 },
+  'o3-mini': { prompt: 1.10, completion: 4.40 },
+  'o4-mini': { prompt: 1.10, completion: 4.40 },
+  'claude-3-haiku': { prompt: 0.25, completion: 1.25 },
+  'claude-3-5-haiku': { prompt: 0.80, completion: 4.00 },
+  'claude-3-5-sonnet': { prompt: 3.00, completion: 15.00 },
+  'claude-3-7-sonnet': { prompt: 3.00, completion: 15.00 },
+  'claude-sonnet-4': { prompt: 3.00, completion: 15.00 },
+  'claude-3-opus': { prompt: 15.00, completion: 75.00 },
+  'claude-opus-4': { prompt: 15.00, completion: 75.00 }
+};
+
+// Unknown models are priced conservatively so they can't slip past a budget
+const DEFAULT_PRICE = { prompt: 2.50, completion: 10.00 };
+
+const LIMITS = {
+  sessionCallsPerMinute: limitFromEnv('SESSION_CALLS_PER_MINUTE', 5),
+  globalCallsPerMinute: limitFromEnv('GLOBAL_CALLS_PER_MINUTE', 120),
+  tokensPerCall: limitFromEnv('MAX_TOKENS_PER_CALL', 50000),
+  sessionDailyUsd: limitFromEnv('SESSION_DAILY_BUDGET_USD', 0),
+  globalDailyUsd: limitFromEnv('GLOBAL_DAILY_BUDGET_USD', 0),
+  fallbackSessionDailyUsd: limitFromEnv('FALLBACK_SESSION_DAILY_BUDGET_USD', 1),
+  fallbackDailyUsd: limitFromEnv('FALLBACK_DAILY_BUDGET_USD', 25)
+};
+
+const MESSAGES = {
+  calls_per_minute: 'Sorry, this line is getting a lot of calls right now. Please try again in a minute.',
+  tokens_per_call: "Sorry, we've reached the length limit for this call. Thanks for calling!",
+  daily_budget: 'Sorry, this assistant has reached its usage limit for today. Please try again tomorrow.'
+};
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+// Key: sessionToken, Value: call start timestamps within the last minute
+const sessionCallStarts = new Map();
+const globalCallStarts = [];
+
+// Spend for the current UTC day, seeded from the database on first use
+let daily = createDailyTotals(null);
+
+/**
+ * Look up the price of a model
+ * @param {string} model - Model name
+ * @returns {Object} { prompt, completion } in USD per million tokens
+ */
+export function priceFor(model) {
+  let match = null;
+  for (const prefix of Object.keys(MODEL_PRICES)) {
+    if (model?.startsWith(prefix) && (!match || prefix.length > match.length)) {
+      match = prefix;
+    }
+  }
+  return match ? MODEL_PRICES[match] : DEFAULT_PRICE;
+}
+
+/**
+ * Price a request
+ * @param {string} model - Model name
+ * @param {number} promptTokens - Prompt tokens
+ * @param {number} completionTokens - Completion tokens
+ * @returns {number} Cost in USD
+ */
+export function calculateCost(model, promptTokens, completionTokens) {
+  const price = priceFor(model);
+  return (promptTokens * price.prompt + completionTokens * price.completion) / 1e6;
+}
+
+/**
+ * Check whether a new call may start, and count it if so
+ * @param {string} sessionToken - Student's session token
+ * @param {string} keySource - 'student', 'fallback' or 'none'
+ * @returns {Promise<Object|null>} null if allowed, otherwise the limit that was hit
+ */
+export async function checkCallAllowed(sessionToken, keySource) {
+  const now = Date.now();
+  const sessionStarts = pruneWindow(sessionCallStarts.get(sessionToken) || [], now);
+  pruneWindow(globalCallStarts, now);
+
+  const limit =
+    exceeds('calls_per_minute', 'session', sessionStarts.length, LIMITS.sessionCallsPerMinute) ||
+    exceeds('calls_per_minute', 'global', globalCallStarts.length, LIMITS.globalCallsPerMinute) ||
+    await checkDailyBudgets(sessionToken, keySource);
+
+  if (!limit) {
+    sessionStarts.push(now);
+    globalCallStarts.push(now);
+  }
+
+  if (sessionStarts.length > 0) {
+    sessionCallStarts.set(sessionToken, sessionStarts);
+  } else {
+    sessionCallStarts.delete(sessionToken);
+  }
+
+  return limit;
+}
+
+/**
+ * Check whether another LLM request may be made during a call
+ * @param {string} sessionToken - Student's session token
+ * @param {string} keySource - 'student', 'fallback' or 'none'
+ * @param {number} callTokens - Tokens used by the call so far
+ * @returns {Promise<Object|null>} null if allowed, otherwise the limit that was hit
+ */
+export async function checkRequestAllowed(sessionToken, keySource, callTokens) {
+  return exceeds('tokens_per_call', 'call', callTokens, LIMITS.tokensPerCall) ||
+    await checkDailyBudgets(sessionToken, keySource);
+}
+
+/**
+ * Record the tokens used by one LLM request
+ * @param {string} sessionToken - Student's session token
+ * @param {Object} usage - { model, keySource, promptTokens, completionTokens }
+ * @returns {Object} { costUsd, sessionDailyUsd } - cost of this request and the session's spend today
+ */
+export function recordUsage(sessionToken, usage) {
+  const costUsd = calculateCost(usage.model, usage.promptTokens, usage.completionTokens);
+  const totals = currentDailyTotals();
+
+  addToTotals(totals, sessionToken, usage.keySource, costUsd);
+  llmTokens.inc({ model: usage.model, type: 'prompt' }, usage.promptTokens);
+  llmTokens.inc({ model: usage.model, type: 'completion' }, usage.completionTokens);
+
+  // Write only after today's seed has been read, so the seed can't pick up
+  // this request on top of the in-memory total it was just added to
+  totals.loaded.then(() => addDailyUsage({
+    day: totals.day,
+    sessionToken,
+    model: usage.model,
+    keySource: usage.keySource,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    costUsd
+  })).catch(error => {
+    log.error('Failed to save usage', { session: sessionPrefix(sessionToken), error });
+  });
+
+  return {
+    costUsd,
+    sessionDailyUsd: totals.sessions.get(sessionToken).costUsd
+  };
+}
+
+async function checkDailyBudgets(sessionToken, keySource) {
+  const totals = currentDailyTotals();
+  await totals.loaded;
+
+  const session = totals.sessions.get(sessionToken) || { costUsd: 0, fallbackCostUsd: 0 };
+
+  const limit =
+    exceeds('daily_budget', 'session', session.costUsd, LIMITS.sessionDailyUsd) ||
+    exceeds('daily_budget', 'global', totals.costUsd, LIMITS.globalDailyUsd);
+  if (limit || keySource !== 'fallback') {
+    return limit;
+  }
+
+  return exceeds('daily_budget', 'fallback_session', session.fallbackCostUsd, LIMITS.fallbackSessionDailyUsd) ||
+    exceeds('daily_budget', 'fallback_global', totals.fallbackCostUsd, LIMITS.fallbackDailyUsd);
+}
+
+// Start a fresh set of totals when the UTC day changes
+function currentDailyTotals() {
+  const day = new Date().toISOString().substring(0, 10);
+  if (daily.day !== day) {
+    daily = createDailyTotals(day);
+  }
+  return daily;
+}
+
+function createDailyTotals(day) {
+  const totals = {
+    day,
+    costUsd: 0,
+    fallbackCostUsd: 0,
+    // Key: sessionToken, Value: { costUsd, fallbackCostUsd }
+    sessions: new Map(),
+    loaded: Promise.resolve()
+  };
+
+  if (day) {
+    // Spend recorded before a restart still counts - if the database is down,
+    // start from zero rather than blocking calls
+    totals.loaded = getDailyUsage(day)
+      .then(rows => {
+        for (const row of rows) {
+          addToTotals(totals, row.session_token, row.key_source, Number(row.cost_usd));
+        }
+      })
+      .catch(error => {
+        log.warn("Could not load today's usage - budgets start from zero", { error });
+      });
+  }
+
+  return totals;
+}
+
+function addToTotals(totals, sessionToken, keySource, costUsd) {
+  const session = totals.sessions.get(sessionToken) || { costUsd: 0, fallbackCostUsd: 0 };
+  session.costUsd += costUsd;
+  totals.costUsd += costUsd;
+  if (keySource === 'fallback') {
+    session.fallbackCostUsd += costUsd;
+    totals.fallbackCostUsd += costUsd;
+  }
+  totals.sessions.set(sessionToken, session);
+}
+
+function exceeds(limit, scope, used, cap) {
+  if (!cap || used < cap) {
+    return null;
+  }
+  return {
+    limit,
+    scope,
+    used,
+    cap,
+    message: MESSAGES[limit]
+  };
+}
+
+// Drop timestamps older than the rate window (in place)
+function pruneWindow(timestamps, now) {
+  while (timestamps.length > 0 && now - timestamps[0] >= RATE_WINDOW_MS) {
+    timestamps.shift();
+  }
+  return timestamps;
+}
+
+function limitFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name] ?? '');
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}